@@ -2,7 +2,8 @@
 /**
  * update-tle.js
  *
- * 这个脚本用于下载 TLE 数据。
+ * 这个脚本用于下载 TLE 数据，也可以下载 OMM 格式（JSON、XML、CSV）的 GP 数据。
+ * 用法: update-tle.js [tle|json|xml|csv ...]，默认只下载 TLE。
  *
  */
 
@@ -13,10 +14,18 @@ const process = require("process");
 // Change dir to the location of this script
 process.chdir(__dirname);
 
-function downloadTLE(groupName) {
-  const url = `https://celestrak.org/NORAD/elements/gp.php?GROUP=${groupName}&FORMAT=tle`;
+// Celestrak GP data formats and the file extension used to store them
+const formatExtensions = {
+  tle: "txt",
+  json: "json",
+  xml: "xml",
+  csv: "csv",
+};
+
+function downloadGroup(groupName, format = "tle") {
+  const url = `https://celestrak.org/NORAD/elements/gp.php?GROUP=${groupName}&FORMAT=${format}`;
   const path = "groups/";
-  const filename = `${groupName}.txt`;
+  const filename = `${groupName}.${formatExtensions[format]}`;
 
   https.get(url, (res) => {
     const writeStream = fs.createWriteStream(path + filename);
@@ -86,6 +95,15 @@ const groups = [
   "eutelsat",
 ];
 
-groups.forEach((group) => {
-  downloadTLE(group);
+const formats = process.argv.length > 2 ? process.argv.slice(2) : ["tle"];
+const unknownFormats = formats.filter((format) => !(format in formatExtensions));
+if (unknownFormats.length > 0) {
+  console.error(`Unknown format ${unknownFormats.join(", ")}, supported formats: ${Object.keys(formatExtensions).join(", ")}`);
+  process.exit(1);
+}
+
+formats.forEach((format) => {
+  groups.forEach((group) => {
+    downloadGroup(group, format);
+  });
 });
@@ -19,7 +19,7 @@ import Toast from "vue-toastification";
 import * as Sentry from "@sentry/browser";
 import { library } from "@fortawesome/fontawesome-svg-core";
 import { FontAwesomeIcon } from "@fortawesome/vue-fontawesome";
-import { faLayerGroup, faGlobeAfrica, faMobileAlt, faHammer, faEye } from "@fortawesome/free-solid-svg-icons";
+import { faLayerGroup, faGlobeAfrica, faMobileAlt, faHammer, faEye, faCrosshairs, faSatellite, faDownload } from "@fortawesome/free-solid-svg-icons";
 import { faGithub } from "@fortawesome/free-brands-svg-icons";
 
 import App from "./App.vue";
@@ -58,7 +58,7 @@ function satvisSetup(customConfig = {}) {
   });
 
   // 注册 FontAwesome 图标库和组件
-  library.add(faLayerGroup, faGlobeAfrica, faMobileAlt, faHammer, faEye, faGithub); // 添加所需的 FontAwesome 图标
+  library.add(faLayerGroup, faGlobeAfrica, faMobileAlt, faHammer, faEye, faCrosshairs, faSatellite, faDownload, faGithub); // 添加所需的 FontAwesome 图标
   app.component("FontAwesomeIcon", FontAwesomeIcon); // 注册 FontAwesome 图标组件
 
   // 挂载 Vue 应用到 DOM
@@ -12,10 +12,12 @@
  * - 跳转到指定位置 "jumpTo"
  * - 设置相机模式 "cameraMode"
  * - 设置时间 "setTime"
+ * - 跳转到交会时刻并显示连线 "showConjunction"
  * - 创建输入事件处理器 "createInputHandler"
- * - 从点击事件设置地面站 "setGroundStationFromClickEvent"
+ * - 从点击事件添加地面站 "setGroundStationFromClickEvent"
  * - 从地理位置设置地面站 "setGroundStationFromGeolocation"
  * - 从经纬度设置地面站 "setGroundStationFromLatLon"
+ * - 创建拖放事件处理器，用于导入地面站网络 "createDropHandler"
  * - 设置 UI 显示 "showUI"
  * - 修复 Cesium 标志位置 "fixLogo"
  * - 设置质量预设 "qualityPreset"
@@ -32,9 +34,11 @@ import dayjs from "dayjs";  // 导入 dayjs 库，用于日期和时间的处理
 import utc from "dayjs/plugin/utc";  // 导入 dayjs 的 UTC 插件，用于处理 UTC 时间
 import * as Sentry from "@sentry/browser";  // 导入 Sentry，用于监控错误和异常情况
 import { icon } from "@fortawesome/fontawesome-svg-core";  // 导入 FontAwesome 的图标生成函数
-import { faBell, faInfo } from "@fortawesome/free-solid-svg-icons";  // 导入 FontAwesome 的两个图标：通知铃铛和信息图标
+import { faBell, faCalendarPlus, faInfo } from "@fortawesome/free-solid-svg-icons";  // 导入 FontAwesome 的图标：通知铃铛、日历和信息图标
+import { useToast } from "vue-toastification";  // 导入消息提示，用于显示地面站导入结果
 
 import { DeviceDetect } from "./util/DeviceDetect";  // 导入设备检测工具类，用于判断设备类型或环境
+import { DownloadHelper } from "./util/DownloadHelper";  // 导入下载工具类，用于导出通过日历和多普勒曲线
 import { CesiumPerformanceStats } from "./util/CesiumPerformanceStats";  // 导入 Cesium 性能统计工具，用于监控和记录 Cesium 的性能
 import { SatelliteManager } from "./SatelliteManager";  // 导入卫星管理器类，用于管理和控制卫星数据
 import { useCesiumStore } from "../stores/cesium";  // 从 Pinia 状态管理中导入 Cesium 的 store，处理应用状态
@@ -93,6 +97,7 @@ export class CesiumController {  // 导出 CesiumController 类，负责管理
     this.cameraModes = ["Fixed", "Inertial"];  // 支持的相机模式
 
     this.createInputHandler();  // 创建输入事件处理器
+    this.createDropHandler();  // 创建拖放事件处理器，用于导入地面站网络（CSV/GeoJSON）
     this.addErrorHandler();  // 添加错误处理器，用于捕获和报告渲染错误
     this.styleInfoBox();  // 样式化信息框
 
@@ -360,6 +365,12 @@ export class CesiumController {  // 导出 CesiumController 类，负责管理
     }
   }
 
+  showConjunction(conjunction) {
+    this.setTime(dayjs.utc(conjunction.tca).toISOString());
+    this.viewer.clock.shouldAnimate = false;
+    this.sats.showConjunction(conjunction);
+  }
+
   createInputHandler() {
     const handler = new Cesium.ScreenSpaceEventHandler(this.viewer.scene.canvas);
     handler.setInputAction((event) => {
@@ -381,7 +392,7 @@ export class CesiumController {  // 导出 CesiumController 类，负责管理
       coordinates.latitude = Cesium.Math.toDegrees(cartographicPosition.latitude);
       coordinates.height = Cesium.Math.toDegrees(cartographicPosition.height);
       coordinates.cartesian = cartesian;
-      this.sats.setGroundStation(coordinates);
+      this.sats.addGroundStation(coordinates);
       useCesiumStore().pickMode = false;
     }
   }
@@ -396,11 +407,11 @@ export class CesiumController {  // 导出 CesiumController 类，负责管理
       coordinates.latitude = position.coords.latitude;
       coordinates.height = position.coords.altitude;
       coordinates.cartesian = Cesium.Cartesian3.fromDegrees(coordinates.longitude, coordinates.latitude, coordinates.height);
-      this.sats.setGroundStation(coordinates);
+      this.sats.setGroundStation(coordinates, "My location");
     });
   }
 
-  setGroundStationFromLatLon(lat, lon, height = 0) {
+  setGroundStationFromLatLon(lat, lon, height = 0, name = undefined) {
     if (!lat || !lon) {
       return;
     }
@@ -413,7 +424,30 @@ export class CesiumController {  // 导出 CesiumController 类，负责管理
     coordinates.latitude = lat;
     coordinates.height = height;
     coordinates.cartesian = Cesium.Cartesian3.fromDegrees(coordinates.longitude, coordinates.latitude, coordinates.height);
-    this.sats.setGroundStation(coordinates);
+    this.sats.setGroundStation(coordinates, name);
+  }
+
+  createDropHandler() {
+    const { container } = this.viewer;
+    container.addEventListener("dragover", (event) => {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = "copy";
+    });
+    container.addEventListener("drop", (event) => {
+      event.preventDefault();
+      [...event.dataTransfer.files].forEach((file) => {
+        if (!/\.(csv|txt|json|geojson)$/i.test(file.name)) {
+          useToast().warning(`Unsupported ground station file ${file.name}`);
+          return;
+        }
+        file.text().then((data) => {
+          const count = this.sats.importGroundStations(data);
+          useToast().success(`Imported ${count} ground station${count === 1 ? "" : "s"} from ${file.name}`);
+        }).catch((error) => {
+          useToast().error(`Invalid ground station file ${file.name}: ${error.message}`);
+        });
+      });
+    });
   }
 
   set showUI(enabled) {
@@ -523,7 +557,7 @@ export class CesiumController {  // 导出 CesiumController 类，负责管理
       notifyButton.addEventListener("click", () => {
         if (this.sats.selectedSatellite) {
           this.sats.getSatellite(this.sats.selectedSatellite).props.notifyPasses();
-        } else if (this.sats.groundStationAvailable && this.sats.groundStation.isSelected) {
+        } else if (this.sats.groundStations.some((groundStation) => groundStation.isSelected)) {
           this.sats.enabledSatellites.forEach((sat) => {
             sat.props.notifyPasses();
           });
@@ -531,6 +565,27 @@ export class CesiumController {  // 导出 CesiumController 类，负责管理
       });
       container.appendChild(notifyButton);
 
+      // Calendar export button
+      const calendarButton = document.createElement("button");
+      calendarButton.setAttribute("type", "button");
+      calendarButton.setAttribute("class", "cesium-button cesium-infoBox-custom");
+      calendarButton.setAttribute("title", "Export passes as iCalendar");
+      calendarButton.innerHTML = icon(faCalendarPlus).html;
+      calendarButton.addEventListener("click", () => {
+        const groundStation = this.sats.groundStations.find((station) => station.isSelected);
+        let selection;
+        if (this.sats.selectedSatellite) {
+          selection = { satellite: this.sats.selectedSatellite };
+        } else if (groundStation) {
+          selection = { groundStation: groundStation.name };
+        } else {
+          return;
+        }
+        const name = selection.satellite ?? selection.groundStation;
+        DownloadHelper.download(this.sats.exportPassesIcs(selection), DownloadHelper.filename(`${name}-passes`, "ics"), "text/calendar");
+      });
+      container.appendChild(calendarButton);
+
       // Info button
       const infoButton = document.createElement("button");
       infoButton.setAttribute("type", "button");
@@ -563,16 +618,24 @@ export class CesiumController {  // 导出 CesiumController 类，负责管理
       head.appendChild(style);
     }, false);
 
-    // Allow js in infobox
-    frame.setAttribute("sandbox", "allow-same-origin allow-popups allow-forms allow-scripts");
+    // Allow js and file downloads in infobox
+    frame.setAttribute("sandbox", "allow-same-origin allow-popups allow-forms allow-scripts allow-downloads");
     frame.setAttribute("allowTransparency", "true");
     frame.src = "about:blank";
 
-    // Allow time changes from infobox
+    // Allow time changes and Doppler exports from infobox
     window.addEventListener("message", (e) => {
-      const pass = e.data;
-      if ("start" in pass) {
-        this.setTime(pass.start);
+      const { data } = e;
+      // Ignore messages from other windows or extensions and messages without an object payload
+      if (e.source !== frame.contentWindow || typeof data !== "object" || data === null) {
+        return;
+      }
+      if ("exportDoppler" in data) {
+        const { satellite, groundStation, start } = data.exportDoppler;
+        const filename = DownloadHelper.filename(`${satellite}-${dayjs.utc(start).format("YYYYMMDDTHHmmss")}-doppler`, "csv");
+        DownloadHelper.download(this.sats.exportDoppler(satellite, groundStation, start), filename, "text/csv");
+      } else if ("start" in data) {
+        this.setTime(data.start);
       }
     });
   }
@@ -0,0 +1,144 @@
+/**
+ * ConjunctionScreening.js
+ *
+ * 该文件定义了一个ConjunctionScreening类，用于筛查卫星之间的近距离接近（交会）事件。
+ * 先通过远地点/近地点高度进行粗筛，再利用Orbit.positionECI进行精细传播并求解最近接近时刻（TCA）。
+ * 其中方法包括：
+ * - 计算轨道的近地点和远地点半径 “apsides”
+ * - 远地点/近地点粗筛 “overlaps”
+ * - 计算两颗卫星的距离 “distance”
+ * - 求解最近接近时刻 “refineTca”
+ * - 筛查一颗卫星与其他卫星的交会 “screen”
+ */
+
+// Maximum relative velocity of two earth orbiting objects in km/s used to widen the coarse sample filter
+const maxRelativeVelocity = 16;
+const goldenRatio = (Math.sqrt(5) - 1) / 2;
+
+function subtract(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function norm(v) {
+  return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+export class ConjunctionScreening {
+  /**
+   * Compute the perigee and apogee radius of an orbit from its classical elements.
+   * @param {Orbit|KeplerianOrbit} orbit - SGP4 or Keplerian orbit
+   * @returns {{perigee: Number, apogee: Number}} - radii in km
+   */
+  static apsides(orbit) {
+    const { semiMajorAxis, eccentricity } = orbit.elements;
+    return {
+      perigee: semiMajorAxis * (1 - eccentricity),
+      apogee: semiMajorAxis * (1 + eccentricity),
+    };
+  }
+
+  /**
+   * Coarse filter: two objects can only come close if their radial ranges overlap.
+   * @param {Orbit} a - first orbit
+   * @param {Orbit} b - second orbit
+   * @param {Number} threshold - distance threshold in km
+   * @returns {Boolean}
+   */
+  static overlaps(a, b, threshold) {
+    const apsidesA = this.apsides(a);
+    const apsidesB = this.apsides(b);
+    return apsidesA.perigee - threshold <= apsidesB.apogee && apsidesB.perigee - threshold <= apsidesA.apogee;
+  }
+
+  static distance(a, b, time) {
+    const date = new Date(time);
+    const positionA = a.positionECI(date);
+    const positionB = b.positionECI(date);
+    if (!positionA || !positionB) {
+      return Infinity;
+    }
+    return norm(subtract(positionA, positionB));
+  }
+
+  static refineTca(a, b, start, end, tolerance = 10) {
+    let lower = start;
+    let upper = end;
+    let c = upper - goldenRatio * (upper - lower);
+    let d = lower + goldenRatio * (upper - lower);
+    let distanceC = this.distance(a, b, c);
+    let distanceD = this.distance(a, b, d);
+    while (upper - lower > tolerance) {
+      if (distanceC < distanceD) {
+        upper = d;
+        d = c;
+        distanceD = distanceC;
+        c = upper - goldenRatio * (upper - lower);
+        distanceC = this.distance(a, b, c);
+      } else {
+        lower = c;
+        c = d;
+        distanceC = distanceD;
+        d = lower + goldenRatio * (upper - lower);
+        distanceD = this.distance(a, b, d);
+      }
+    }
+    return Math.round((lower + upper) / 2);
+  }
+
+  /**
+   * Screen a primary orbit against other orbits for close approaches.
+   * @param {Orbit} primary - orbit to screen
+   * @param {Orbit[]} secondaries - orbits to screen against
+   * @param {Date} startDate - start of the screening window
+   * @param {Date} endDate - end of the screening window
+   * @param {Object} options - threshold in km and coarse sampling step in seconds
+   * @returns {Object[]} - close approaches ({primary, secondary, tca, missDistance, relativeVelocity}) with distances in km and velocities in km/s
+   */
+  static screen(primary, secondaries, startDate, endDate, { threshold = 10, step = 60 } = {}) {
+    const candidates = secondaries.filter((secondary) => secondary !== primary && this.overlaps(primary, secondary, threshold));
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const times = [];
+    for (let time = startDate.getTime(); time <= endDate.getTime(); time += step * 1000) {
+      times.push(time);
+    }
+    const primaryPositions = times.map((time) => primary.positionECI(new Date(time)));
+    // Samples further apart than this can't be next to a close approach below the threshold
+    const sampleThreshold = threshold + maxRelativeVelocity * step;
+
+    const conjunctions = [];
+    candidates.forEach((secondary) => {
+      const distances = times.map((time, i) => {
+        const position = secondary.positionECI(new Date(time));
+        if (!position || !primaryPositions[i]) {
+          return Infinity;
+        }
+        return norm(subtract(primaryPositions[i], position));
+      });
+      // Only interior minima are close approaches, minima at the window boundaries are cut off by the window
+      distances.slice(1, -1).forEach((distance, index) => {
+        const i = index + 1;
+        if (distance > sampleThreshold || distance > distances[i - 1] || distance >= distances[i + 1]) {
+          return;
+        }
+        const tca = this.refineTca(primary, secondary, times[i - 1], times[i + 1]);
+        const missDistance = this.distance(primary, secondary, tca);
+        if (missDistance > threshold) {
+          return;
+        }
+        const { velocity: velocityPrimary } = primary.propagate(new Date(tca));
+        const { velocity: velocitySecondary } = secondary.propagate(new Date(tca));
+        conjunctions.push({
+          primary: primary.name,
+          secondary: secondary.name,
+          tca,
+          missDistance,
+          relativeVelocity: norm(subtract(velocityPrimary, velocitySecondary)),
+        });
+      });
+    });
+    return conjunctions.sort((a, b) => a.missDistance - b.missDistance);
+  }
+}
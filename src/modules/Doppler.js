@@ -0,0 +1,84 @@
+/**
+ * Doppler.js
+ *
+ * 该文件定义了一个Doppler类，用于计算卫星通过期间的多普勒频移。
+ * 根据通过信息和标称上行/下行频率，生成距离、距离变化率和修正频率的时间序列。
+ * 其中方法包括：
+ * - 计算修正后的频率 “correctFrequency”
+ * - 计算通过的采样步长 “step”
+ * - 计算通过的多普勒曲线 “profile”
+ * - 导出CSV “toCsv”
+ */
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+
+dayjs.extend(utc);
+
+// Speed of light in km/s
+const speedOfLight = 299792.458;
+
+export class Doppler {
+  /**
+   * Compute the Doppler corrected frequency.
+   * For downlinks the frequency to receive on the ground is returned,
+   * for uplinks the frequency to transmit on so that the satellite receives the nominal frequency.
+   * @param {Number} frequency - nominal frequency in Hz
+   * @param {Number} rangeRate - range rate in km/s, positive if the satellite moves away from the ground station
+   * @param {String} direction - "downlink" or "uplink"
+   * @returns {Number} - corrected frequency in Hz
+   */
+  static correctFrequency(frequency, rangeRate, direction = "downlink") {
+    const factor = 1 - rangeRate / speedOfLight;
+    return direction === "uplink" ? frequency / factor : frequency * factor;
+  }
+
+  /**
+   * Sampling step for a pass that limits the number of samples of long passes, e.g. visibility windows of geosynchronous satellites.
+   * @param {Object} pass - pass with duration in ms
+   * @param {Number} maxSamples - maximum number of samples
+   * @returns {Number} - step in seconds, at least 1 s
+   */
+  static step(pass, maxSamples = 600) {
+    return Math.max(1, Math.ceil(pass.duration / 1000 / maxSamples));
+  }
+
+  /**
+   * Compute the range, range rate and corrected frequencies over a pass.
+   * @param {Orbit} orbit - orbit of the satellite
+   * @param {Object} groundStationPosition - latitude and longitude in degrees, height in meters
+   * @param {Object} pass - pass as computed by Orbit.computePassesElevation
+   * @param {Object[]} frequencies - nominal frequencies ({name, frequency, direction}) with frequency in Hz
+   * @param {Number} step - time step in seconds
+   * @returns {Object[]} - samples ({time, range, rangeRate, frequencies})
+   */
+  static profile(orbit, groundStationPosition, pass, frequencies = [], step = 1) {
+    const samples = [];
+    for (let time = pass.start; time <= pass.end; time += step * 1000) {
+      const { range, rangeRate } = orbit.lookAngles(groundStationPosition, new Date(time));
+      samples.push({
+        time,
+        range,
+        rangeRate,
+        frequencies: frequencies.map(({ frequency, direction }) => this.correctFrequency(frequency, rangeRate, direction)),
+      });
+    }
+    return samples;
+  }
+
+  /**
+   * Export a Doppler profile as CSV.
+   * @param {Object[]} profile - samples as computed by profile
+   * @param {Object[]} frequencies - nominal frequencies used to compute the profile
+   * @returns {String} - CSV content
+   */
+  static toCsv(profile, frequencies = []) {
+    const header = ["time", "range_km", "range_rate_km_s", ...frequencies.map(({ name, direction }) => `${name.replace(/\W+/g, "_")}_${direction}_hz`)];
+    const rows = profile.map((sample) => [
+      dayjs.utc(sample.time).toISOString(),
+      sample.range.toFixed(3),
+      sample.rangeRate.toFixed(5),
+      ...sample.frequencies.map((frequency) => frequency.toFixed(0)),
+    ]);
+    return [header, ...rows].map((row) => row.join(",")).join("\n");
+  }
+}
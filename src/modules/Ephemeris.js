@@ -0,0 +1,89 @@
+/**
+ * Ephemeris.js
+ *
+ * 该文件定义了一个Ephemeris类，用于按固定步长采样卫星在一段时间内的星历。
+ * 每个采样点包括时刻、地心惯性坐标（ECI/TEME）、地心固定坐标（ECEF）和大地坐标，并可导出为CSV或JSON。
+ * 其中方法包括：
+ * - 采样星历 “sample”
+ * - 导出CSV “toCsv”
+ * - 导出JSON “toJson”
+ */
+import * as satellitejs from "satellite.js";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+
+dayjs.extend(utc);
+
+const rad2deg = 180 / Math.PI;
+
+export class Ephemeris {
+  // Upper limit of samples per export to keep the browser responsive
+  static MAX_SAMPLES = 100000;
+
+  /**
+   * Sample the position of a satellite at a fixed step.
+   * @param {Orbit} orbit - orbit of the satellite
+   * @param {Date} startDate - start of the ephemeris
+   * @param {Date} endDate - end of the ephemeris, included if it falls on a step
+   * @param {Number} step - step in seconds
+   * @returns {Object[]} - samples with time, eci and ecef position in km and geodetic latitude and longitude in degrees and altitude in km
+   */
+  static sample(orbit, startDate, endDate, step = 60) {
+    const start = new Date(startDate).getTime();
+    const end = new Date(endDate).getTime();
+    if (Number.isNaN(start) || Number.isNaN(end) || end < start) {
+      throw new Error("Invalid ephemeris interval");
+    }
+    if (!(step > 0)) {
+      throw new Error("Ephemeris step must be positive");
+    }
+    if ((end - start) / (step * 1000) >= this.MAX_SAMPLES) {
+      throw new Error(`Ephemeris is limited to ${this.MAX_SAMPLES} samples, increase the step`);
+    }
+
+    const samples = [];
+    for (let time = start; time <= end; time += step * 1000) {
+      const date = new Date(time);
+      const { position } = orbit.propagate(date);
+      if (!position) {
+        // Propagation failed, e.g. after decay
+        break;
+      }
+      const gmst = satellitejs.gstime(date);
+      const ecef = satellitejs.eciToEcf(position, gmst);
+      const geodetic = satellitejs.eciToGeodetic(position, gmst);
+      samples.push({
+        time,
+        eci: { x: position.x, y: position.y, z: position.z },
+        ecef: { x: ecef.x, y: ecef.y, z: ecef.z },
+        geodetic: {
+          latitude: geodetic.latitude * rad2deg,
+          longitude: geodetic.longitude * rad2deg,
+          altitude: geodetic.height,
+        },
+      });
+    }
+    return samples;
+  }
+
+  static toCsv(samples) {
+    const header = [
+      "time",
+      "eci_x_km", "eci_y_km", "eci_z_km",
+      "ecef_x_km", "ecef_y_km", "ecef_z_km",
+      "latitude_deg", "longitude_deg", "altitude_km",
+    ];
+    const rows = samples.map(({ time, eci, ecef, geodetic }) => [
+      dayjs.utc(time).toISOString(),
+      ...[eci.x, eci.y, eci.z, ecef.x, ecef.y, ecef.z].map((value) => value.toFixed(6)),
+      geodetic.latitude.toFixed(6),
+      geodetic.longitude.toFixed(6),
+      geodetic.altitude.toFixed(6),
+    ]);
+    return [header, ...rows].map((row) => row.join(",")).join("\n");
+  }
+
+  static toJson(samples) {
+    return JSON.stringify(samples.map((sample) => ({ ...sample, time: dayjs.utc(sample.time).toISOString() })), null, 2);
+  }
+}
@@ -6,7 +6,11 @@
  * 其中方法包括：
  * - 创建地面站实体 “createEntities”
  * - 创建地面站图标 “createGroundStation”
+ * - 创建地平遮挡围栏 “createHorizonFence”
+ * - 计算某一方位角的最小仰角 “minElevationAt”
+ * - 获取通过预测使用的仰角遮挡 “elevationMask”
  * - 创建地面站描述 “createDescription”
+ * - 重命名地面站 “rename”
  * - 计算通过时间 “passes”
  * - 生成描述内容 “createDescription”
  */
@@ -18,12 +22,29 @@ import { DescriptionHelper } from "./util/DescriptionHelper";
 import icon from "../images/icons/dish.svg";
 
 export class GroundStationEntity extends CesiumComponentCollection {
-  constructor(viewer, sats, position) {
+  static DEFAULT_NAME = "Ground station";
+
+  static DEFAULT_MIN_ELEVATION = 10;
+
+  // Radius in meters of the horizon fence around the station
+  static HORIZON_FENCE_RADIUS = 20000;
+
+  /**
+   * @param {Cesium.Viewer} viewer - viewer
+   * @param {SatelliteManager} sats - satellite manager
+   * @param {Object} position - latitude and longitude in degrees, height in meters and cartesian
+   * @param {String} name - unique name of the ground station
+   * @param {Number} minElevation - minimum elevation of passes in degrees
+   * @param {HorizonMask} horizonMask - optional azimuth-dependent minimum elevation, e.g. of obstructions
+   */
+  constructor(viewer, sats, position, name = GroundStationEntity.DEFAULT_NAME, minElevation = GroundStationEntity.DEFAULT_MIN_ELEVATION, horizonMask = undefined) {
     super(viewer);
     this.sats = sats;
 
-    this.name = "Ground station";
+    this.name = name;
     this.position = position;
+    this.minElevation = minElevation;
+    this.horizonMask = horizonMask;
 
     this.createEntities();
   }
@@ -31,6 +52,7 @@ export class GroundStationEntity extends CesiumComponentCollection {
   createEntities() {
     this.createDescription();
     this.createGroundStation();
+    this.createHorizonFence();
   }
 
   createGroundStation() {
@@ -43,6 +65,51 @@ export class GroundStationEntity extends CesiumComponentCollection {
     this.createCesiumEntity("Groundstation", "billboard", billboard, this.name, this.description, this.position.cartesian, false);
   }
 
+  // Translucent wall around the station with the height of the minimum elevation in each direction
+  createHorizonFence() {
+    const radius = GroundStationEntity.HORIZON_FENCE_RADIUS;
+    const { latitude, longitude, height } = this.position;
+    const azimuths = [];
+    for (let azimuth = 0; azimuth < 360; azimuth += 5) {
+      azimuths.push(azimuth);
+    }
+    if (this.horizonMask) {
+      azimuths.push(...this.horizonMask.points.map((point) => point.azimuth));
+    }
+    azimuths.sort((a, b) => a - b);
+    azimuths.push(azimuths[0] + 360);
+
+    const enu = Cesium.Transforms.eastNorthUpToFixedFrame(Cesium.Cartesian3.fromDegrees(longitude, latitude, height));
+    const positions = azimuths.map((azimuth) => {
+      const az = Cesium.Math.toRadians(azimuth);
+      const local = new Cesium.Cartesian3(radius * Math.sin(az), radius * Math.cos(az), 0);
+      return Cesium.Matrix4.multiplyByPoint(enu, local, new Cesium.Cartesian3());
+    });
+    const wall = new Cesium.WallGraphics({
+      positions,
+      minimumHeights: azimuths.map(() => height),
+      maximumHeights: azimuths.map((azimuth) => height + radius * Math.tan(Cesium.Math.toRadians(Math.max(0, this.minElevationAt(azimuth))))),
+      material: Cesium.Color.ORANGE.withAlpha(0.3),
+      outline: true,
+      outlineColor: Cesium.Color.ORANGE,
+    });
+    this.createCesiumEntity("Horizon fence", "wall", wall, this.name, this.description, this.position.cartesian, false);
+  }
+
+  /**
+   * Minimum elevation of passes in a direction from the station
+   * @param {Number} azimuth - azimuth in degrees
+   * @returns {Number} - elevation in degrees
+   */
+  minElevationAt(azimuth) {
+    return Math.max(this.minElevation, this.horizonMask?.elevation(azimuth) ?? -90);
+  }
+
+  // Minimum elevation for the pass prediction, a function of the azimuth if the station has a horizon mask
+  get elevationMask() {
+    return this.horizonMask ? (azimuth) => this.minElevationAt(azimuth) : this.minElevation;
+  }
+
   createDescription() {
     this.description = DescriptionHelper.cachedCallbackProperty((time) => {
       const passes = this.passes(time);
@@ -51,12 +118,19 @@ export class GroundStationEntity extends CesiumComponentCollection {
     });
   }
 
+  rename(name) {
+    this.name = name;
+    this.entities.forEach((entity) => {
+      entity.name = name;
+    });
+  }
+
   passes(time, deltaHours = 48) {
     let passes = [];
-    // Aggregate passes from all visible satellites
+    // Aggregate passes from all visible satellites over this station or over all stations if merged
     this.sats.visibleSatellites.forEach((sat) => {
       sat.props.updatePasses(this.viewer.clock.currentTime);
-      passes.push(...sat.props.passes);
+      passes.push(...sat.props.passes.filter((pass) => this.sats.mergeStationPasses || pass.groundStation === this.name));
     });
 
     // Filter passes based on time
@@ -0,0 +1,87 @@
+/**
+ * HorizonMask.js
+ *
+ * 该文件定义了一个HorizonMask类，用于描述地面站天线的方位角相关的地平遮挡（方位角 → 最小仰角表）。
+ * 表中各点之间按方位角线性插值，并在360°处循环，通过预测、地面站链接和通知都会考虑该遮挡。
+ * 其中方法包括：
+ * - 从CSV创建遮挡 “fromCsv”
+ * - 从紧凑的文本格式创建遮挡 “fromString”
+ * - 计算某一方位角的最小仰角 “elevation”
+ * - 导出为CSV “toCsv”
+ * - 导出为紧凑的文本格式（用于url状态和地面站列表） “toString”
+ */
+export class HorizonMask {
+  /**
+   * @param {{azimuth: Number, elevation: Number}[]} points - minimum elevation by azimuth in degrees
+   */
+  constructor(points) {
+    if (points.length === 0) {
+      throw new Error("Horizon mask requires at least one point");
+    }
+    points.forEach(({ azimuth, elevation }) => {
+      if (!Number.isFinite(azimuth) || !Number.isFinite(elevation)) {
+        throw new Error("Horizon mask points need an azimuth and an elevation");
+      }
+      if (elevation < -90 || elevation >= 90) {
+        throw new Error(`Invalid horizon mask elevation ${elevation}`);
+      }
+    });
+    this.points = points
+      .map(({ azimuth, elevation }) => ({ azimuth: ((azimuth % 360) + 360) % 360, elevation }))
+      .sort((a, b) => a.azimuth - b.azimuth);
+  }
+
+  /**
+   * Parse a horizon mask from CSV with the azimuth and minimum elevation in degrees per row, a header row is optional.
+   * @param {String} data - raw file content
+   * @returns {HorizonMask}
+   */
+  static fromCsv(data) {
+    const points = data.split(/\r?\n/)
+      .map((line) => line.split(/[,;\t]/).map((value) => Number.parseFloat(value)))
+      .filter(([azimuth, elevation]) => Number.isFinite(azimuth) && Number.isFinite(elevation))
+      .map(([azimuth, elevation]) => ({ azimuth, elevation }));
+    return new HorizonMask(points);
+  }
+
+  /**
+   * Parse a horizon mask from the compact form used in the url state and in ground station lists.
+   * @param {String} text - space separated azimuth:elevation pairs in degrees, e.g. "0:5 90:12.5 180:3"
+   * @returns {HorizonMask}
+   */
+  static fromString(text) {
+    const points = text.trim().split(/\s+/).map((point) => {
+      const [azimuth, elevation] = point.split(":").map((value) => Number.parseFloat(value));
+      return { azimuth, elevation };
+    });
+    return new HorizonMask(points);
+  }
+
+  /**
+   * Minimum elevation interpolated linearly between the neighbouring points of the mask.
+   * @param {Number} azimuth - azimuth in degrees
+   * @returns {Number} - minimum elevation in degrees
+   */
+  elevation(azimuth) {
+    const { points } = this;
+    const az = ((azimuth % 360) + 360) % 360;
+    const index = points.findIndex((point) => point.azimuth > az);
+    // Neighbours wrap around at north
+    const next = points[index === -1 ? 0 : index];
+    const previous = points[(index === -1 ? points.length : index) - 1] ?? points[points.length - 1];
+    const span = (((next.azimuth - previous.azimuth) % 360) + 360) % 360;
+    if (span === 0) {
+      return previous.elevation;
+    }
+    const fraction = ((((az - previous.azimuth) % 360) + 360) % 360) / span;
+    return previous.elevation + fraction * (next.elevation - previous.elevation);
+  }
+
+  toCsv() {
+    return ["azimuth,elevation", ...this.points.map(({ azimuth, elevation }) => `${azimuth},${elevation}`)].join("\n");
+  }
+
+  toString() {
+    return this.points.map(({ azimuth, elevation }) => `${azimuth}:${elevation}`).join(" ");
+  }
+}
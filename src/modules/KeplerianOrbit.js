@@ -0,0 +1,113 @@
+/**
+ * KeplerianOrbit.js
+ *
+ * 该文件定义了一个KeplerianOrbit类，该类继承自Orbit类，用于没有TLE的自定义卫星（例如规划中的任务）。
+ * 轨道由历元时刻的经典开普勒根数或状态向量定义，并使用二体模型和J2长期摄动进行解析传播，其余接口与Orbit相同。
+ * 其中方法包括：
+ * - 从状态向量创建轨道 “fromStateVector”
+ * - 计算卫星的轨道周期 “orbitalPeriod”
+ * - 获取历元 “epoch”
+ * - 获取半长轴 “semiMajorAxis”
+ * - 获取轨道根数 “elements”
+ * - 计算平近点角 “meanAnomaly”
+ * - 计算卫星位置和速度 “propagate”
+ */
+import Orbit from "./Orbit";
+import { KeplerianPropagator } from "./util/KeplerianPropagator";
+
+export class KeplerianOrbit extends Orbit {
+  /**
+   * @param {String} name - satellite name
+   * @param {Object} elements - semiMajorAxis in km, eccentricity, inclination, raan, argumentOfPerigee and meanAnomaly in degrees
+   * @param {Date} epoch - epoch of the elements
+   */
+  constructor(name, elements, epoch) {
+    super(name);
+    const { semiMajorAxis, eccentricity, inclination, raan, argumentOfPerigee, meanAnomaly } = elements;
+    [semiMajorAxis, eccentricity, inclination, raan, argumentOfPerigee, meanAnomaly].forEach((value) => {
+      if (!Number.isFinite(value)) {
+        throw new Error(`Invalid orbital elements for ${name}`);
+      }
+    });
+    if (eccentricity < 0 || eccentricity >= 1) {
+      throw new Error(`Eccentricity of ${name} must be in [0, 1)`);
+    }
+    if (semiMajorAxis * (1 - eccentricity) <= KeplerianPropagator.earthRadius) {
+      throw new Error(`Perigee of ${name} is below the Earth surface`);
+    }
+    if (Number.isNaN(new Date(epoch).getTime())) {
+      throw new Error(`Invalid epoch for ${name}`);
+    }
+    this.keplerian = {
+      semiMajorAxis,
+      eccentricity,
+      inclination,
+      raan,
+      argumentOfPerigee,
+      meanAnomaly,
+      epoch: new Date(epoch).getTime(),
+    };
+  }
+
+  /**
+   * Create an orbit from a Cartesian state vector.
+   * @param {String} name - satellite name
+   * @param {Object} position - position in km in the TEME frame
+   * @param {Object} velocity - velocity in km/s in the TEME frame
+   * @param {Date} epoch - time of the state vector
+   * @returns {KeplerianOrbit}
+   */
+  static fromStateVector(name, position, velocity, epoch) {
+    return new KeplerianOrbit(name, KeplerianPropagator.elementsFromStateVector(position, velocity), epoch);
+  }
+
+  get satnum() {
+    // Custom satellites are not in the catalog
+    return undefined;
+  }
+
+  get error() {
+    return 0;
+  }
+
+  get orbitalPeriod() {
+    return (2 * Math.PI) / KeplerianPropagator.secularRates(this.keplerian).meanAnomaly / 60;
+  }
+
+  get epoch() {
+    return new Date(this.keplerian.epoch);
+  }
+
+  get semiMajorAxis() {
+    return this.keplerian.semiMajorAxis;
+  }
+
+  get elements() {
+    const { semiMajorAxis, eccentricity } = this.keplerian;
+    return {
+      semiMajorAxis,
+      apogee: semiMajorAxis * (1 + eccentricity) - KeplerianPropagator.earthRadius,
+      perigee: semiMajorAxis * (1 - eccentricity) - KeplerianPropagator.earthRadius,
+      inclination: this.keplerian.inclination,
+      eccentricity,
+      raan: this.keplerian.raan,
+      argumentOfPerigee: this.keplerian.argumentOfPerigee,
+      meanAnomaly: this.keplerian.meanAnomaly,
+      period: this.orbitalPeriod,
+      epoch: this.epoch,
+    };
+  }
+
+  meanAnomaly(time) {
+    const seconds = (time.getTime() - this.keplerian.epoch) / 1000;
+    return (this.keplerian.meanAnomaly * Math.PI) / 180 + KeplerianPropagator.secularRates(this.keplerian).meanAnomaly * seconds;
+  }
+
+  propagate(time) {
+    return KeplerianPropagator.propagate(this.keplerian, time);
+  }
+
+  get propagationSource() {
+    return { keplerian: this.keplerian };
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * ManeuverDetection.js
+ *
+ * 该文件定义了一个ManeuverDetection类，用于根据同一卫星的多组TLE检测机动和轨道衰减。
+ * 相邻两组TLE之间的半长轴、倾角或升交点赤经的跳变超过预期漂移时视为机动，平均运动持续增大时视为衰减。
+ * 其中方法包括：
+ * - 预测两组TLE之间的升交点赤经漂移 “nodalPrecession”
+ * - 检测相邻TLE之间的机动 “detectManeuvers”
+ * - 检测轨道衰减 “detectDecay”
+ * - 检测所有事件 “detect”
+ */
+
+const rad2deg = 180 / Math.PI;
+// WGS72 constants as used by SGP4
+const earthRadius = 6378.135;
+const j2 = 0.001082616;
+const minutesPerDay = 1440;
+
+export class ManeuverDetection {
+  static MANEUVER = "maneuver";
+
+  static DECAY = "decay";
+
+  // Residuals beyond these limits are flagged as maneuver, the RAAN limit grows with the time between the element sets
+  static thresholds = {
+    semiMajorAxis: 0.5,
+    inclination: 0.02,
+    raan: 0.05,
+    raanPerDay: 0.01,
+  };
+
+  /**
+   * Secular RAAN drift caused by the Earth oblateness (J2).
+   * @param {Orbit} orbit - element set
+   * @param {Number} minutes - propagation time in minutes
+   * @returns {Number} - RAAN drift in degrees
+   */
+  static nodalPrecession(orbit, minutes) {
+    const { semiMajorAxis, eccentricity, inclination } = orbit.elements;
+    const semiLatusRectum = semiMajorAxis * (1 - eccentricity * eccentricity);
+    const rate = -1.5 * orbit.satrec.no * j2 * (earthRadius / semiLatusRectum) ** 2 * Math.cos(inclination / rad2deg);
+    return rate * minutes * rad2deg;
+  }
+
+  /**
+   * Compare successive element sets with the drift expected from drag and J2.
+   * @param {Orbit[]} orbits - element sets of a satellite sorted by epoch
+   * @returns {Object[]} - maneuvers ({type, epoch, previousEpoch, semiMajorAxis, inclination, raan}) with the residuals in km and degrees
+   */
+  static detectManeuvers(orbits, thresholds = this.thresholds) {
+    const maneuvers = [];
+    orbits.slice(1).forEach((orbit, i) => {
+      const previous = orbits[i];
+      const minutes = (orbit.epoch - previous.epoch) / 60000;
+      const before = previous.elements;
+      const after = orbit.elements;
+
+      // Mean motion change predicted by the first derivative of the previous set (satrec.ndot is half of it in rev/day^2)
+      const meanMotionDot = (2 * previous.satrec.ndot * 2 * Math.PI) / (minutesPerDay * minutesPerDay);
+      const expectedMeanMotion = previous.satrec.no + meanMotionDot * minutes;
+      const expectedSemiMajorAxis = before.semiMajorAxis * (previous.satrec.no / expectedMeanMotion) ** (2 / 3);
+      const expectedRaan = before.raan + this.nodalPrecession(previous, minutes);
+
+      const residuals = {
+        semiMajorAxis: after.semiMajorAxis - expectedSemiMajorAxis,
+        inclination: after.inclination - before.inclination,
+        // Wrap to [-180, 180)
+        raan: ((((after.raan - expectedRaan + 180) % 360) + 360) % 360) - 180,
+      };
+      const raanThreshold = thresholds.raan + thresholds.raanPerDay * (minutes / minutesPerDay);
+      if (Math.abs(residuals.semiMajorAxis) > thresholds.semiMajorAxis ||
+        Math.abs(residuals.inclination) > thresholds.inclination ||
+        Math.abs(residuals.raan) > raanThreshold) {
+        maneuvers.push({
+          type: this.MANEUVER,
+          epoch: orbit.epoch.getTime(),
+          previousEpoch: previous.epoch.getTime(),
+          ...residuals,
+        });
+      }
+    });
+    return maneuvers;
+  }
+
+  /**
+   * Detect a steady increase of the mean motion over the latest element sets.
+   * @param {Orbit[]} orbits - element sets of a satellite sorted by epoch
+   * @param {Number} minSets - minimum number of successive sets with increasing mean motion
+   * @param {Number} minRate - minimum mean motion increase in rev/day per day
+   * @returns {Object|undefined} - decay ({type, epoch, startEpoch, meanMotionRate})
+   */
+  static detectDecay(orbits, minSets = 4, minRate = 0.0005) {
+    const meanMotion = (orbit) => (orbit.satrec.no * minutesPerDay) / (2 * Math.PI);
+    let start = orbits.length - 1;
+    while (start > 0 && meanMotion(orbits[start - 1]) < meanMotion(orbits[start])) {
+      start -= 1;
+    }
+    if (orbits.length - start < minSets) {
+      return undefined;
+    }
+    const first = orbits[start];
+    const last = orbits[orbits.length - 1];
+    const rate = (meanMotion(last) - meanMotion(first)) / ((last.epoch - first.epoch) / 86400000);
+    if (rate < minRate) {
+      return undefined;
+    }
+    return {
+      type: this.DECAY,
+      epoch: last.epoch.getTime(),
+      startEpoch: first.epoch.getTime(),
+      meanMotionRate: rate,
+    };
+  }
+
+  /**
+   * Detect maneuvers and decay from successive element sets.
+   * @param {Orbit[]} orbits - element sets of a satellite sorted by epoch
+   * @returns {Object[]} - events sorted by epoch
+   */
+  static detect(orbits) {
+    if (orbits.length < 2) {
+      return [];
+    }
+    const events = this.detectManeuvers(orbits);
+    const decay = this.detectDecay(orbits);
+    if (decay) {
+      events.push(decay);
+    }
+    return events.sort((a, b) => a.epoch - b.epoch);
+  }
+}
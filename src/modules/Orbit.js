@@ -3,28 +3,93 @@
  *
  * 该文件定义了一个Orbit类，用于计算卫星的轨道信息。
  * 其中方法包括：
+ * - 从OMM记录创建轨道 “fromOmm”
  * - 计算卫星的轨道周期 “orbitalPeriod”
+ * - 判断是否为地球同步或更高的轨道 “geosynchronous”
+ * - 获取TLE历元 “epoch”
+ * - 计算半长轴 “semiMajorAxis”
+ * - 计算轨道根数 “elements”
+ * - 计算平近点角 “meanAnomaly”
+ * - 计算卫星位置和速度 “propagate”（SGP4，子类可以使用其他传播模型）
  * - 计算卫星位置 “positionECI”（地心惯性坐标系）
  * - 计算卫星位置 “positionECF”（地心固定坐标系）
  * - 计算卫星位置 “positionGeodetic”（大地坐标系）
- * - 计算卫星通过 “computePassesElevation”
+ * - 计算观测角度、距离和距离变化率 “lookAngles”
+ * - 计算卫星通过 “computePassesElevation”，并精确计算AOS/LOS/TCA时刻
+ * - 补充通过的TCA及AOS/TCA/LOS时刻的观测信息 “completePass”
+ * - 计算地球同步卫星的连续可见窗口 “computeVisibilityWindows”
+ * - 计算卫星的光照状态 “shadowState”
+ * - 计算卫星的地影区间 “computeEclipses”
+ * - 计算目视可见的卫星通过 “computeVisiblePasses”
  */
 
 import * as satellitejs from "satellite.js";
 import dayjs from "dayjs";
+import { OmmParser } from "./util/OmmParser";
+import { Sun } from "./Sun";
 
 const deg2rad = Math.PI / 180;
 const rad2deg = 180 / Math.PI;
+// Earth gravitational parameter in km^3/s^2 and equatorial radius in km (WGS72 as used by SGP4)
+const earthGravitationalParameter = 398600.8;
+const earthRadius = 6378.135;
+// Earth rotation rate in rad/s
+const earthRotationRate = 7.292115e-5;
+// Time tolerance in ms for the refinement of AOS, LOS and TCA
+const refinementTolerance = 10;
+const goldenRatio = (Math.sqrt(5) - 1) / 2;
+
+// Elevation above the minimum elevation, which is either fixed or a function of the azimuth, e.g. a horizon mask
+function elevationAboveMask({ azimuth, elevation }, minElevation) {
+  return elevation - (typeof minElevation === "function" ? minElevation(azimuth) : minElevation);
+}
+
+function toGroundStation(groundStationPosition) {
+  return {
+    latitude: groundStationPosition.latitude * deg2rad,
+    longitude: groundStationPosition.longitude * deg2rad,
+    height: groundStationPosition.height / 1000,
+  };
+}
 
 export default class Orbit {
   constructor(name, tle) {
     this.name = name;
+    if (typeof tle === "undefined") {
+      // Subclasses with their own propagator don't have a TLE
+      return;
+    }
     this.tle = tle.split("\n");
     this.satrec = satellitejs.twoline2satrec(this.tle[1], this.tle[2]);
   }
 
+  /**
+   * Create an orbit from a CCSDS OMM record with SGP4 mean elements.
+   * @param {Object} omm - OMM record as parsed by OmmParser
+   * @returns {Orbit}
+   */
+  static fromOmm(omm) {
+    const orbit = new Orbit(omm.OBJECT_NAME, OmmParser.toTle(omm));
+    orbit.omm = omm;
+    return orbit;
+  }
+
+  /**
+   * Catalog number as Number to match SATCAT records, registry entries and element sets of the same object
+   * independent of leading zeros or the Alpha-5 encoding of the TLE.
+   * @returns {Number} - catalog number
+   */
   get satnum() {
-    return this.satrec.satnum;
+    if (this.omm) {
+      // Catalog numbers above 339999 can't be encoded in the TLE
+      return Number(this.omm.NORAD_CAT_ID);
+    }
+    const satnum = this.satrec.satnum.trim();
+    if (/^[A-Z]/.test(satnum)) {
+      // Alpha-5 catalog number
+      return OmmParser.decodeAlpha5(satnum);
+    }
+    return Number(satnum);
   }
 
   get error() {
@@ -37,8 +102,68 @@ export default class Orbit {
     return period;
   }
 
+  // Geosynchronous and higher orbits move slowly across the sky and are visible in long continuous windows instead of passes
+  get geosynchronous() {
+    return this.orbitalPeriod > 60 * 20;
+  }
+
+  get epoch() {
+    // Julian date to unix time
+    return new Date((this.satrec.jdsatepoch - 2440587.5) * 86400000);
+  }
+
+  get semiMajorAxis() {
+    const meanMotion = this.satrec.no / 60;
+    return (earthGravitationalParameter / (meanMotion * meanMotion)) ** (1 / 3);
+  }
+
+  /**
+   * Classical orbital elements derived from the SGP4 mean elements of the TLE.
+   * @returns {Object} - angles in degrees, distances and altitudes in km, period in minutes
+   */
+  get elements() {
+    const { semiMajorAxis } = this;
+    const eccentricity = this.satrec.ecco;
+    return {
+      semiMajorAxis,
+      apogee: semiMajorAxis * (1 + eccentricity) - earthRadius,
+      perigee: semiMajorAxis * (1 - eccentricity) - earthRadius,
+      inclination: this.satrec.inclo * rad2deg,
+      eccentricity,
+      raan: this.satrec.nodeo * rad2deg,
+      argumentOfPerigee: this.satrec.argpo * rad2deg,
+      period: this.orbitalPeriod,
+      bstar: this.satrec.bstar,
+      epoch: this.epoch,
+    };
+  }
+
+  /**
+   * Mean anomaly of the mean elements including the secular J2 drift, drag is neglected.
+   * @param {Date} time - time
+   * @returns {Number} - mean anomaly in radians
+   */
+  meanAnomaly(time) {
+    const minutes = (time.getTime() - this.epoch.getTime()) / 60000;
+    return this.satrec.mo + this.satrec.mdot * minutes;
+  }
+
+  /**
+   * Propagate the orbit with SGP4.
+   * @param {Date} time - time
+   * @returns {{position: Object, velocity: Object}} - position in km and velocity in km/s in the TEME frame
+   */
+  propagate(time) {
+    return satellitejs.propagate(this.satrec, time);
+  }
+
+  // Structured-clonable input for Propagation.propagate, e.g. to propagate in a web worker
+  get propagationSource() {
+    return this.satrec;
+  }
+
   positionECI(time) {
-    return satellitejs.propagate(this.satrec, time).position;
+    return this.propagate(time).position;
   }
 
   positionECF(time) {
@@ -49,7 +174,7 @@ export default class Orbit {
   }
 
   positionGeodetic(timestamp, calculateVelocity = false) {
-    const { position: positionEci, velocity: velocityVector } = satellitejs.propagate(this.satrec, timestamp);
+    const { position: positionEci, velocity: velocityVector } = this.propagate(timestamp);
     const gmst = satellitejs.gstime(timestamp);
     const positionGd = satellitejs.eciToGeodetic(positionEci, gmst);
 
@@ -65,6 +190,137 @@ export default class Orbit {
     };
   }
 
+  /**
+   * Compute look angles, range and range rate from a ground station to the satellite.
+   * @param {Object} groundStationPosition - latitude and longitude in degrees, height in meters
+   * @param {Date} date - time of the observation
+   * @returns {{azimuth: Number, elevation: Number, range: Number, rangeRate: Number}} - angles in degrees, range in km, range rate in km/s
+   */
+  lookAngles(groundStationPosition, date) {
+    return this.computeLookAngles(toGroundStation(groundStationPosition), date);
+  }
+
+  computeLookAngles(groundStation, date) {
+    const { position, velocity } = this.propagate(date);
+    const gmst = satellitejs.gstime(date);
+    const positionEcf = satellitejs.eciToEcf(position, gmst);
+    const lookAngles = satellitejs.ecfToLookAngles(groundStation, positionEcf);
+
+    // Range rate from the relative position and velocity in the inertial frame
+    const groundStationEci = satellitejs.ecfToEci(satellitejs.geodeticToEcf(groundStation), gmst);
+    const relativePosition = {
+      x: position.x - groundStationEci.x,
+      y: position.y - groundStationEci.y,
+      z: position.z - groundStationEci.z,
+    };
+    const relativeVelocity = {
+      x: velocity.x + earthRotationRate * groundStationEci.y,
+      y: velocity.y - earthRotationRate * groundStationEci.x,
+      z: velocity.z,
+    };
+    const range = Math.sqrt(relativePosition.x ** 2 + relativePosition.y ** 2 + relativePosition.z ** 2);
+    const rangeRate = (relativePosition.x * relativeVelocity.x + relativePosition.y * relativeVelocity.y + relativePosition.z * relativeVelocity.z) / range;
+
+    return {
+      azimuth: lookAngles.azimuth * rad2deg,
+      elevation: lookAngles.elevation * rad2deg,
+      range,
+      rangeRate,
+    };
+  }
+
+  /**
+   * Find the time the elevation crosses the minimum elevation through bisection.
+   * @param {Object} groundStation - ground station in radians and km
+   * @param {Number|Function} minElevation - elevation threshold in degrees or a function of the azimuth in degrees
+   * @param {Number} below - timestamp in ms with an elevation below the threshold
+   * @param {Number} above - timestamp in ms with an elevation above the threshold
+   * @returns {Number} - timestamp in ms of the crossing
+   */
+  refineElevationCrossing(groundStation, minElevation, below, above) {
+    let lower = below;
+    let upper = above;
+    while (Math.abs(upper - lower) > refinementTolerance) {
+      const mid = (lower + upper) / 2;
+      if (elevationAboveMask(this.computeLookAngles(groundStation, new Date(mid)), minElevation) > 0) {
+        upper = mid;
+      } else {
+        lower = mid;
+      }
+    }
+    return Math.round((lower + upper) / 2);
+  }
+
+  /**
+   * Find the AOS of a pass by stepping back from a time within the pass until the elevation drops below the minimum elevation.
+   * @param {Object} groundStation - ground station in radians and km
+   * @param {Number|Function} minElevation - elevation threshold in degrees or a function of the azimuth in degrees
+   * @param {Number} above - timestamp in ms with an elevation above the threshold
+   * @param {Number} earliest - timestamp in ms to stop searching, e.g. the start of the prediction
+   * @returns {Number} - timestamp in ms of the AOS
+   */
+  refinePassStart(groundStation, minElevation, above, earliest) {
+    const step = 5000;
+    let upper = above;
+    let lower = above - step;
+    while (lower > earliest && elevationAboveMask(this.computeLookAngles(groundStation, new Date(lower)), minElevation) > 0) {
+      upper = lower;
+      lower -= step;
+    }
+    if (lower <= earliest) {
+      lower = earliest;
+      if (elevationAboveMask(this.computeLookAngles(groundStation, new Date(lower)), minElevation) > 0) {
+        // Pass already ongoing at the start of the prediction
+        return earliest;
+      }
+    }
+    return this.refineElevationCrossing(groundStation, minElevation, lower, upper);
+  }
+
+  /**
+   * Find the time of maximum elevation within an interval through golden-section search.
+   * @param {Object} groundStation - ground station in radians and km
+   * @param {Number} start - interval start timestamp in ms
+   * @param {Number} end - interval end timestamp in ms
+   * @returns {Number} - timestamp in ms of the maximum elevation
+   */
+  refineApex(groundStation, start, end) {
+    const elevation = (time) => this.computeLookAngles(groundStation, new Date(time)).elevation;
+    let a = start;
+    let b = end;
+    let c = b - goldenRatio * (b - a);
+    let d = a + goldenRatio * (b - a);
+    let elevationC = elevation(c);
+    let elevationD = elevation(d);
+    while (Math.abs(b - a) > refinementTolerance) {
+      if (elevationC > elevationD) {
+        b = d;
+        d = c;
+        elevationD = elevationC;
+        c = b - goldenRatio * (b - a);
+        elevationC = elevation(c);
+      } else {
+        a = c;
+        c = d;
+        elevationC = elevationD;
+        d = a + goldenRatio * (b - a);
+        elevationD = elevation(d);
+      }
+    }
+    return Math.round((a + b) / 2);
+  }
+
+  /**
+   * Compute passes over a ground station.
+   * Passes are detected by coarse stepping, AOS and LOS are then refined through bisection and TCA through golden-section search.
+   * Each pass contains start/apex/end timestamps, the maximum elevation, as well as azimuth, range (km) and range rate (km/s) at AOS, TCA and LOS.
+   * @param {Object} groundStationPosition - latitude and longitude in degrees, height in meters
+   * @param {Date} startDate - start of the prediction
+   * @param {Date} endDate - end of the prediction
+   * @param {Number|Function} minElevation - minimum elevation in degrees or a function of the azimuth in degrees, e.g. a horizon mask
+   * @param {Number} maxPasses - maximum number of passes
+   * @returns {Object[]} - passes
+   */
   computePassesElevation(
     groundStationPosition,
     startDate = dayjs().toDate(),
@@ -72,58 +328,63 @@ export default class Orbit {
     minElevation = 10,
     maxPasses = 50,
   ) {
-    const groundStation = { ...groundStationPosition };
-    groundStation.latitude *= deg2rad;
-    groundStation.longitude *= deg2rad;
-    groundStation.height /= 1000;
+    if (this.geosynchronous) {
+      return this.computeVisibilityWindows(groundStationPosition, startDate, endDate, minElevation, maxPasses);
+    }
+    const groundStation = toGroundStation(groundStationPosition);
+    // Passes of higher orbits last for hours, scale the sampling during a pass with the orbital period
+    const passStep = Math.max(5, Math.round(this.orbitalPeriod / 20));
 
     const date = new Date(startDate);
+    const startTime = date.getTime();
     const passes = [];
     let pass = false;
     let ongoingPass = false;
     let lastElevation = 0;
+    let lastDate;
     while (date < endDate) {
-      const positionEcf = this.positionECF(date);
-      const lookAngles = satellitejs.ecfToLookAngles(groundStation, positionEcf);
-      const elevation = lookAngles.elevation / deg2rad;
+      const lookAngles = this.computeLookAngles(groundStation, date);
+      const { elevation } = lookAngles;
+      // Above the horizon but below the horizon mask, the satellite may reappear behind an obstruction before it sets
+      const obstructed = typeof minElevation === "function" && elevation > 0;
 
-      if (elevation > minElevation) {
+      if (elevationAboveMask(lookAngles, minElevation) > 0) {
         if (!ongoingPass) {
           // Start of new pass
           pass = {
             name: this.name,
-            start: date.getTime(),
-            azimuthStart: lookAngles.azimuth,
+            start: this.refinePassStart(groundStation, minElevation, date.getTime(), startTime),
             maxElevation: elevation,
-            azimuthApex: lookAngles.azimuth,
+            apex: date.getTime(),
           };
           ongoingPass = true;
         } else if (elevation > pass.maxElevation) {
           // Ongoing pass
           pass.maxElevation = elevation;
           pass.apex = date.getTime();
-          pass.azimuthApex = lookAngles.azimuth;
         }
-        date.setSeconds(date.getSeconds() + 5);
+        lastDate = date.getTime();
+        date.setSeconds(date.getSeconds() + passStep);
       } else if (ongoingPass) {
-        // End of pass
-        pass.end = date.getTime();
-        pass.duration = pass.end - pass.start;
-        pass.azimuthEnd = lookAngles.azimuth;
-        pass.azimuthStart /= deg2rad;
-        pass.azimuthApex /= deg2rad;
-        pass.azimuthEnd /= deg2rad;
+        // End of pass, refine LOS between the last sample above and the current sample below the minimum elevation
+        pass.end = this.refineElevationCrossing(groundStation, minElevation, date.getTime(), lastDate);
+        this.completePass(groundStation, pass, passStep * 1000);
         passes.push(pass);
         if (passes.length > maxPasses) {
           break;
         }
         ongoingPass = false;
-        lastElevation = -180;
-        date.setMinutes(date.getMinutes() + this.orbitalPeriod * 0.5);
+        if (obstructed) {
+          lastElevation = elevation;
+          date.setSeconds(date.getSeconds() + passStep);
+        } else {
+          lastElevation = -180;
+          date.setMinutes(date.getMinutes() + this.orbitalPeriod * 0.5);
+        }
       } else {
         const deltaElevation = elevation - lastElevation;
         lastElevation = elevation;
-        if (deltaElevation < 0) {
+        if (deltaElevation < 0 && !obstructed) {
           date.setMinutes(date.getMinutes() + this.orbitalPeriod * 0.5);
           lastElevation = -180;
         } else if (elevation < -20) {
@@ -139,4 +400,265 @@ export default class Orbit {
     }
     return passes;
   }
+
+  /**
+   * Refine the TCA of a pass with known AOS and LOS and add azimuth, range (km) and range rate (km/s) at AOS, TCA and LOS.
+   * @param {Object} groundStation - ground station in radians and km
+   * @param {Object} pass - pass with start, end and the apex of the coarse sampling
+   * @param {Number} apexWindow - time in ms around the coarse apex to refine the TCA in
+   * @returns {Object} - the completed pass
+   */
+  completePass(groundStation, pass, apexWindow) {
+    pass.apex = this.refineApex(groundStation, Math.max(pass.start, pass.apex - apexWindow), Math.min(pass.end, pass.apex + apexWindow));
+    pass.duration = pass.end - pass.start;
+
+    const aos = this.computeLookAngles(groundStation, new Date(pass.start));
+    const tca = this.computeLookAngles(groundStation, new Date(pass.apex));
+    const los = this.computeLookAngles(groundStation, new Date(pass.end));
+    pass.maxElevation = tca.elevation;
+    pass.azimuthStart = aos.azimuth;
+    pass.azimuthApex = tca.azimuth;
+    pass.azimuthEnd = los.azimuth;
+    pass.rangeStart = aos.range;
+    pass.rangeApex = tca.range;
+    pass.rangeEnd = los.range;
+    pass.rangeRateStart = aos.rangeRate;
+    pass.rangeRateApex = tca.rangeRate;
+    pass.rangeRateEnd = los.rangeRate;
+    return pass;
+  }
+
+  /**
+   * Compute continuous visibility windows of a geosynchronous satellite over a ground station.
+   * The slow apparent motion allows coarse sampling, AOS and LOS are refined through bisection.
+   * Windows that are cut off by the prediction interval start or end at its bounds and are marked as clipped,
+   * a satellite that is always visible has a single clipped window.
+   * @param {Object} groundStationPosition - latitude and longitude in degrees, height in meters
+   * @param {Date} startDate - start of the prediction
+   * @param {Date} endDate - end of the prediction
+   * @param {Number|Function} minElevation - minimum elevation in degrees or a function of the azimuth in degrees
+   * @param {Number} maxWindows - maximum number of windows
+   * @param {Number} step - coarse sampling step in seconds
+   * @returns {Object[]} - visibility windows in the same format as passes
+   */
+  computeVisibilityWindows(groundStationPosition, startDate, endDate, minElevation = 10, maxWindows = 50, step = 600) {
+    const groundStation = toGroundStation(groundStationPosition);
+    const lookAngles = (time) => this.computeLookAngles(groundStation, new Date(time));
+    const startTime = new Date(startDate).getTime();
+    const endTime = new Date(endDate).getTime();
+
+    const windows = [];
+    let window;
+    let lastTime = startTime;
+    const start = lookAngles(startTime);
+    if (elevationAboveMask(start, minElevation) > 0) {
+      window = { name: this.name, start: startTime, apex: startTime, maxElevation: start.elevation, clipped: true };
+    }
+    while (lastTime < endTime && windows.length < maxWindows) {
+      const time = Math.min(lastTime + step * 1000, endTime);
+      const current = lookAngles(time);
+      const currentElevation = current.elevation;
+      if (elevationAboveMask(current, minElevation) > 0) {
+        if (!window) {
+          window = {
+            name: this.name,
+            start: this.refineElevationCrossing(groundStation, minElevation, lastTime, time),
+            apex: time,
+            maxElevation: currentElevation,
+          };
+        } else if (currentElevation > window.maxElevation) {
+          window.apex = time;
+          window.maxElevation = currentElevation;
+        }
+      } else if (window) {
+        window.end = this.refineElevationCrossing(groundStation, minElevation, time, lastTime);
+        windows.push(this.completePass(groundStation, window, step * 1000));
+        window = undefined;
+      }
+      lastTime = time;
+    }
+    if (window) {
+      window.end = endTime;
+      window.clipped = true;
+      windows.push(this.completePass(groundStation, window, step * 1000));
+    }
+    return windows;
+  }
+
+  /**
+   * Determine whether the satellite is sunlit or in the penumbra or umbra of the Earth.
+   * @param {Date} date - time
+   * @returns {String} - Sun.SUNLIT, Sun.PENUMBRA or Sun.UMBRA
+   */
+  shadowState(date) {
+    return Sun.shadowState(this.positionECI(date), Sun.positionECI(date));
+  }
+
+  /**
+   * Find the first time after a sample at which the shadow state differs from the state of that sample through bisection.
+   * @param {Number} start - timestamp in ms with the given shadow state
+   * @param {Number} end - timestamp in ms with a different shadow state
+   * @param {String} state - shadow state at start
+   * @returns {Number} - timestamp in ms of the transition
+   */
+  refineShadowTransition(start, end, state) {
+    let lower = start;
+    let upper = end;
+    while (upper - lower > refinementTolerance * 10) {
+      const mid = (lower + upper) / 2;
+      if (this.shadowState(new Date(mid)) === state) {
+        lower = mid;
+      } else {
+        upper = mid;
+      }
+    }
+    return Math.round(upper);
+  }
+
+  /**
+   * Compute eclipse intervals in which the satellite is in the shadow of the Earth.
+   * @param {Date} startDate - start of the computation
+   * @param {Date} endDate - end of the computation
+   * @param {Number} step - coarse sampling step in seconds
+   * @returns {Object[]} - eclipses with timestamps in ms of penumbra entry (start), umbra entry (umbraStart), umbra exit (umbraEnd) and penumbra exit (end)
+   */
+  computeEclipses(startDate = dayjs().toDate(), endDate = dayjs(startDate).add(1, "day").toDate(), step = 60) {
+    const eclipses = [];
+    let eclipse;
+    let lastTime = startDate.getTime();
+    let lastState = this.shadowState(startDate);
+
+    const transition = (time, state) => {
+      if (state !== Sun.SUNLIT && !eclipse) {
+        eclipse = { name: this.name, start: time };
+      }
+      if (state === Sun.UMBRA) {
+        eclipse.umbraStart = eclipse.umbraStart ?? time;
+      } else if (lastState === Sun.UMBRA) {
+        eclipse.umbraEnd = time;
+      }
+      if (state === Sun.SUNLIT && eclipse) {
+        eclipse.end = time;
+        eclipse.duration = eclipse.end - eclipse.start;
+        eclipses.push(eclipse);
+        eclipse = undefined;
+      }
+      lastState = state;
+    };
+
+    transition(lastTime, lastState);
+    for (let time = lastTime + step * 1000; time <= endDate.getTime(); time += step * 1000) {
+      const state = this.shadowState(new Date(time));
+      // Multiple transitions (e.g. sunlit -> penumbra -> umbra) may occur within a single step
+      while (state !== lastState) {
+        const transitionTime = this.refineShadowTransition(lastTime, time, lastState);
+        lastTime = transitionTime;
+        transition(transitionTime, this.shadowState(new Date(transitionTime)));
+      }
+      lastTime = time;
+    }
+    if (eclipse) {
+      // Eclipse ongoing at the end of the computation
+      eclipse.end = endDate.getTime();
+      eclipse.duration = eclipse.end - eclipse.start;
+      eclipses.push(eclipse);
+    }
+    return eclipses;
+  }
+
+  /**
+   * Compute the visibility geometry of the satellite for an observer.
+   * @param {Object} groundStation - ground station in radians and km
+   * @param {Date} date - time
+   * @returns {{azimuth: Number, elevation: Number, range: Number, shadowState: String, sunElevation: Number, phaseAngle: Number}}
+   */
+  computeVisibility(groundStation, date) {
+    const position = this.positionECI(date);
+    const sunPosition = Sun.positionECI(date);
+    const gmst = satellitejs.gstime(date);
+    const lookAngles = satellitejs.ecfToLookAngles(groundStation, satellitejs.eciToEcf(position, gmst));
+    const sunLookAngles = satellitejs.ecfToLookAngles(groundStation, satellitejs.eciToEcf(sunPosition, gmst));
+
+    // Phase angle between the directions from the satellite to the Sun and to the observer
+    const observer = satellitejs.ecfToEci(satellitejs.geodeticToEcf(groundStation), gmst);
+    const toSun = { x: sunPosition.x - position.x, y: sunPosition.y - position.y, z: sunPosition.z - position.z };
+    const toObserver = { x: observer.x - position.x, y: observer.y - position.y, z: observer.z - position.z };
+    const dot = toSun.x * toObserver.x + toSun.y * toObserver.y + toSun.z * toObserver.z;
+    const norms = Math.sqrt(toSun.x ** 2 + toSun.y ** 2 + toSun.z ** 2) * Math.sqrt(toObserver.x ** 2 + toObserver.y ** 2 + toObserver.z ** 2);
+
+    return {
+      azimuth: lookAngles.azimuth * rad2deg,
+      elevation: lookAngles.elevation * rad2deg,
+      range: lookAngles.rangeSat,
+      shadowState: Sun.shadowState(position, sunPosition),
+      sunElevation: sunLookAngles.elevation * rad2deg,
+      phaseAngle: Math.acos(Math.max(-1, Math.min(1, dot / norms))),
+    };
+  }
+
+  /**
+   * Compute passes that are optically visible: the satellite is sunlit while the ground station is in twilight or darker.
+   * Each visible pass additionally contains the visible interval, the shadow entry and exit if they occur during the pass
+   * and the estimated visual magnitude at its brightest point.
+   * Visibility windows clipped at the prediction bounds are skipped as they have no actual AOS or LOS.
+   * @param {Object} groundStationPosition - latitude and longitude in degrees, height in meters
+   * @param {Date} startDate - start of the prediction
+   * @param {Date} endDate - end of the prediction
+   * @param {Object} options - twilight ("civil", "nautical" or "astronomical"), standardMagnitude,
+   *   minElevation (in degrees or a function of the azimuth) and sampling step in seconds
+   * @returns {Object[]} - visible passes
+   */
+  computeVisiblePasses(
+    groundStationPosition,
+    startDate = dayjs().toDate(),
+    endDate = dayjs(startDate).add(7, "day").toDate(),
+    { twilight = "nautical", standardMagnitude = 4, minElevation = 10, step = 10 } = {},
+  ) {
+    const groundStation = toGroundStation(groundStationPosition);
+    const maxSunElevation = Sun.TWILIGHT[twilight];
+    const isVisible = (visibility) => visibility.shadowState === Sun.SUNLIT && visibility.sunElevation < maxSunElevation;
+    const shadowPoint = (time) => {
+      const { azimuth, elevation } = this.computeVisibility(groundStation, new Date(time));
+      return { time, azimuth, elevation };
+    };
+
+    const passes = this.computePassesElevation(groundStationPosition, startDate, endDate, minElevation);
+    return passes.filter((pass) => {
+      if (pass.clipped) {
+        return false;
+      }
+      const times = [];
+      for (let time = pass.start; time < pass.end; time += step * 1000) {
+        times.push(time);
+      }
+      times.push(pass.end);
+
+      let lastTime;
+      let lastVisibility;
+      times.forEach((time) => {
+        const visibility = this.computeVisibility(groundStation, new Date(time));
+        if (isVisible(visibility)) {
+          const magnitude = Sun.visualMagnitude(standardMagnitude, visibility.range, visibility.phaseAngle);
+          pass.visibleStart = pass.visibleStart ?? time;
+          pass.visibleEnd = time;
+          if (typeof pass.magnitude === "undefined" || magnitude < pass.magnitude) {
+            pass.magnitude = magnitude;
+          }
+        }
+        if (lastVisibility) {
+          const wasSunlit = lastVisibility.shadowState === Sun.SUNLIT;
+          const isSunlit = visibility.shadowState === Sun.SUNLIT;
+          if (wasSunlit && !isSunlit) {
+            pass.shadowEntry = shadowPoint(this.refineShadowTransition(lastTime, time, Sun.SUNLIT));
+          } else if (!wasSunlit && isSunlit) {
+            pass.shadowExit = shadowPoint(this.refineShadowTransition(lastTime, time, lastVisibility.shadowState));
+          }
+        }
+        lastTime = time;
+        lastVisibility = visibility;
+      });
+      pass.visible = typeof pass.visibleStart !== "undefined";
+      return pass.visible;
+    });
+  }
 }
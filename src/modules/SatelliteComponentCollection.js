@@ -10,41 +10,68 @@
  * - 创建组件 “createComponent”
  * - 创建描述 “createDescription”
  * - 创建Cesium卫星实体 “createCesiumSatelliteEntity”
+ * - 创建由多个实体组成的组件 “createCesiumSatelliteEntities”
+ * - 创建批量渲染的卫星图元 “createBatchedSatellitePrimitive”
  * - 创建点 “createPoint”
  * - 创建盒子 “createBox”
  * - 创建模型 “createModel”
  * - 创建标签 “createLabel”
+ * - 设置标签偏移 “setLabelOffset”
  * - 创建轨道 “createOrbit”
  * - 创建轨道路径 “createOrbitPath”
  * - 创建轨道折线 “createOrbitPolylinePrimitive”
  * - 创建轨道折线几何 “createOrbitPolylineGeometry”
  * - 创建轨道轨迹 “createOrbitTrack”
  * - 创建地面轨迹 “createGroundTrack”
+ * - 创建覆盖区 “createFootprint”
  * - 创建传感器锥体 “createCone”
  * - 创建地面站链接 “createGroundStationLink”
- * - 设置地面站 “groundStation”
+ * - 获取组件颜色 “componentColor”
+ * - 设置传感器模型 “sensors”
+ * - 设置注册表元数据 “metadata”
+ * - 重新创建组件 “recreateComponents”
+ * - 设置地面站 “groundStations”
+ * - 重新计算通过 “refreshPasses”
  * - 计算通过时间 “passes”
  */
 import * as Cesium from "@cesium/engine";
 import CesiumSensorVolumes from "cesium-sensor-volumes";
 
 import { SatelliteProperties } from "./SatelliteProperties";
+import { SensorModel } from "./SensorModel";
+import { Sun } from "./Sun";
 import { CesiumComponentCollection } from "./util/CesiumComponentCollection";
+import { BatchedPrimitive } from "./util/BatchedPrimitive";
 import { CesiumTimelineHelper } from "./util/CesiumTimelineHelper";
 import { DescriptionHelper } from "./util/DescriptionHelper";
 import { CesiumCallbackHelper } from "./util/CesiumCallbackHelper";
 
+const illuminationColors = {
+  [Sun.SUNLIT]: Cesium.Color.WHITE,
+  [Sun.PENUMBRA]: Cesium.Color.GRAY,
+  [Sun.UMBRA]: Cesium.Color.fromCssColorString("#404040"),
+};
+
 export class SatelliteComponentCollection extends CesiumComponentCollection {
+  // Render points and labels with shared primitive collections instead of entities to scale to 10k+ satellites
+  static batchedRendering = true;
+
   constructor(viewer, tle, tags) {
     super(viewer);
     this.props = new SatelliteProperties(tle, tags);
     this.eventListeners = {};
+    this.pendingComponents = new Set();
   }
 
   enableComponent(name) {
-    if (!this.created) {
+    if (!this.eventListeners.sampledPosition) {
       this.init();
     }
+    if (!this.props.sampledPosition?.ready) {
+      // Components are created once the first samples have been propagated
+      this.pendingComponents.add(name);
+      return;
+    }
     if (!this.props.sampledPosition.valid) {
       console.error(`No valid position data available for ${this.props.name}`);
       return;
@@ -58,9 +85,7 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
 
     if (name === "3D model") {
       // Adjust label offset to avoid overlap with model
-      if (this.components.Label) {
-        this.components.Label.label.pixelOffset = new Cesium.Cartesian2(20, 0);
-      }
+      this.setLabelOffset(new Cesium.Cartesian2(20, 0));
     } else if (name === "Orbit" && this.components[name] instanceof Cesium.Primitive) {
       // Update the model matrix periodically to keep the orbit in the inertial frame
       if (!this.orbitPrimitiveUpdater) {
@@ -89,16 +114,19 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
     }
   }
 
+  hide(componentNames = [...this.componentNames, ...this.pendingComponents]) {
+    super.hide(componentNames);
+  }
+
   disableComponent(name) {
+    this.pendingComponents.delete(name);
     if (name === "3D model") {
       // Restore old label offset
-      if (this.components.Label) {
-        this.components.Label.label.pixelOffset = new Cesium.Cartesian2(10, 0);
-      }
+      this.setLabelOffset(new Cesium.Cartesian2(10, 0));
     }
     super.disableComponent(name);
 
-    if (this.componentNames.length === 0) {
+    if (this.componentNames.length === 0 && this.pendingComponents.size === 0) {
       // Remove event listeners when no components are enabled
       this.deinit();
     }
@@ -107,8 +135,19 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
   init() {
     this.createDescription();
 
+    let { orbit } = this.props;
     this.eventListeners.sampledPosition = this.props.createSampledPosition(this.viewer, () => {
+      if (this.props.orbit !== orbit) {
+        // Switched to another element set of the TLE archive
+        orbit = this.props.orbit;
+        this.refreshPasses();
+      }
       this.updatedSampledPositionForComponents(true);
+      if (this.pendingComponents.size > 0) {
+        const pendingComponents = [...this.pendingComponents];
+        this.pendingComponents.clear();
+        this.show(pendingComponents);
+      }
     });
 
     // Set up event listeners
@@ -137,13 +176,12 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
 
   deinit() {
     // Remove event listeners
-    this.eventListeners.sampledPosition();
-    this.eventListeners.selectedEntity();
-    this.eventListeners.trackedEntity();
+    Object.values(this.eventListeners).forEach((removeListener) => removeListener());
+    this.eventListeners = {};
   }
 
   updatedSampledPositionForComponents(update = false) {
-    const { fixed, inertial } = this.props.sampledPosition;
+    const { fixed, inertial, packed } = this.props.sampledPosition;
 
     Object.entries(this.components).forEach(([type, component]) => {
       if (type === "Orbit") {
@@ -154,15 +192,18 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
           this.enableComponent("Orbit");
         }
       } else if (type === "Sensor cone") {
-        component.position = fixed;
-        component.orientation = new Cesium.CallbackProperty((time) => {
-          const position = this.props.position(time);
-          const hpr = new Cesium.HeadingPitchRoll(0, Cesium.Math.toRadians(180), 0);
-          return Cesium.Transforms.headingPitchRollQuaternion(position, hpr);
-        }, false);
+        // The sensor orientation is set on creation
+        component.forEach((entity) => {
+          entity.position = fixed;
+        });
       } else {
-        component.position = fixed;
-        component.orientation = new Cesium.VelocityOrientationProperty(fixed);
+        [component].flat().forEach((entity) => {
+          entity.position = fixed;
+          entity.orientation = new Cesium.VelocityOrientationProperty(fixed);
+        });
+        if (component instanceof BatchedPrimitive) {
+          component.samples = packed;
+        }
       }
     });
     // Request a single frame after satellite position updates when the clock is paused
@@ -191,6 +232,9 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
       case "Ground track":
         this.createGroundTrack();
         break;
+      case "Footprint":
+        this.createFootprint();
+        break;
       case "Sensor cone":
         this.createCone();
         break;
@@ -208,23 +252,74 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
   createDescription() {
     this.description = DescriptionHelper.cachedCallbackProperty((time) => {
       const cartographic = this.props.orbit.positionGeodetic(Cesium.JulianDate.toDate(time), true);
-      const content = DescriptionHelper.renderDescription(time, this.props.name, cartographic, this.props.passes, false, this.props.orbit.tle);
+      this.props.updateEclipses(time);
+      const details = {
+        eclipses: this.props.eclipses,
+        elements: {
+          elements: this.props.orbit.elements,
+          epochAge: this.props.epochAge(time),
+          stale: this.props.isStale(time),
+        },
+        orbitEvents: this.props.orbitEvents,
+        satellite: [
+          ["Catalog name", this.props.displayName === this.props.name ? undefined : this.props.name],
+          ["NORAD ID", this.props.satnum],
+          ["Operator", this.props.metadata.operator],
+          ...DescriptionHelper.satcatFields(this.props.satcat),
+        ],
+      };
+      const nextPass = this.props.nextPass(time);
+      if (nextPass && this.props.frequencies.length > 0) {
+        details.doppler = {
+          pass: nextPass,
+          profile: this.props.dopplerProfile(nextPass),
+          frequencies: this.props.frequencies,
+        };
+      }
+      const content = DescriptionHelper.renderDescription(time, this.props.displayName, cartographic, this.props.passes, false, this.props.orbit.tle, details);
       return content;
     });
   }
 
   createCesiumSatelliteEntity(entityName, entityKey, entityValue) {
-    this.createCesiumEntity(entityName, entityKey, entityValue, this.props.name, this.description, this.props.sampledPosition.fixed, true);
+    this.createCesiumEntity(entityName, entityKey, entityValue, this.props.displayName, this.description, this.props.sampledPosition.fixed, true);
+  }
+
+  // Create a component with several entities, e.g. one per sensor or ground station
+  createCesiumSatelliteEntities(entityName, entityKey, entityValues) {
+    this.components[entityName] = entityValues.map((entityValue) => this.buildCesiumEntity(
+      entityKey,
+      entityValue,
+      this.props.displayName,
+      this.description,
+      this.props.sampledPosition.fixed,
+      true,
+    ));
+  }
+
+  // Satellite color from the registry or the default color of the component
+  componentColor(defaultColor, alpha = 1) {
+    return (this.props.color ?? defaultColor).withAlpha(alpha);
+  }
+
+  createBatchedSatellitePrimitive(componentName, type, options) {
+    const { fixed, packed } = this.props.sampledPosition;
+    this.createBatchedPrimitive(componentName, type, options, this.props.displayName, this.description, fixed, packed);
   }
 
   createPoint() {
-    const point = new Cesium.PointGraphics({
+    const options = {
       pixelSize: 6,
-      color: Cesium.Color.WHITE,
+      // Color by illumination unless the registry configures a color, the shadow state is looked up in the eclipse intervals
+      color: this.props.color ?? DescriptionHelper.cachedCallbackProperty((time) => illuminationColors[this.props.illumination(time)]),
       outlineColor: Cesium.Color.DIMGREY,
       outlineWidth: 1,
-    });
-    this.createCesiumSatelliteEntity("Point", "point", point);
+    };
+    if (this.constructor.batchedRendering) {
+      this.createBatchedSatellitePrimitive("Point", BatchedPrimitive.POINT, options);
+      return;
+    }
+    this.createCesiumSatelliteEntity("Point", "point", new Cesium.PointGraphics(options));
   }
 
   createBox() {
@@ -238,7 +333,7 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
 
   createModel() {
     const model = new Cesium.ModelGraphics({
-      uri: `./data/models/${this.props.name.split(" ").join("-")}.glb`,
+      uri: this.props.modelUri,
       minimumPixelSize: 50,
       maximumScale: 10000,
     });
@@ -246,9 +341,10 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
   }
 
   createLabel() {
-    const label = new Cesium.LabelGraphics({
-      text: this.props.name,
+    const options = {
+      text: this.props.displayName,
       font: "15px Arial",
+      fillColor: this.componentColor(Cesium.Color.WHITE),
       style: Cesium.LabelStyle.FILL_AND_OUTLINE,
       outlineColor: Cesium.Color.DIMGREY,
       outlineWidth: 2,
@@ -256,8 +352,21 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
       pixelOffset: new Cesium.Cartesian2(10, 0),
       distanceDisplayCondition: new Cesium.DistanceDisplayCondition(2000, 8e7),
       translucencyByDistance: new Cesium.NearFarScalar(6e7, 1.0, 8e7, 0.0),
-    });
-    this.createCesiumSatelliteEntity("Label", "label", label);
+    };
+    if (this.constructor.batchedRendering) {
+      this.createBatchedSatellitePrimitive("Label", BatchedPrimitive.LABEL, options);
+      return;
+    }
+    this.createCesiumSatelliteEntity("Label", "label", new Cesium.LabelGraphics(options));
+  }
+
+  setLabelOffset(pixelOffset) {
+    const label = this.components.Label;
+    if (label instanceof BatchedPrimitive) {
+      label.setOption("pixelOffset", pixelOffset);
+    } else if (label) {
+      label.label.pixelOffset = pixelOffset;
+    }
   }
 
   createOrbit() {
@@ -280,11 +389,11 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
     const path = new Cesium.PathGraphics({
       leadTime: (this.props.orbit.orbitalPeriod * 60) / 2 + 5,
       trailTime: (this.props.orbit.orbitalPeriod * 60) / 2 + 5,
-      material: Cesium.Color.WHITE.withAlpha(0.15),
+      material: this.componentColor(Cesium.Color.WHITE, 0.15),
       resolution: 600,
       width: 2,
     });
-    this.createCesiumEntity("Orbit", "path", path, this.props.name, this.description, this.props.sampledPosition.inertial, true);
+    this.createCesiumEntity("Orbit", "path", path, this.props.displayName, this.description, this.props.sampledPosition.inertial, true);
   }
 
   createOrbitPolylinePrimitive() {
@@ -298,7 +407,7 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
           vertexFormat: Cesium.PolylineColorAppearance.VERTEX_FORMAT,
         }),
         attributes: {
-          color: Cesium.ColorGeometryInstanceAttribute.fromColor(new Cesium.Color(1.0, 1.0, 1.0, 0.15)),
+          color: Cesium.ColorGeometryInstanceAttribute.fromColor(this.componentColor(Cesium.Color.WHITE, 0.15)),
         },
         id: this.props.name,
       }),
@@ -324,7 +433,7 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
         vertexFormat: Cesium.PolylineColorAppearance.VERTEX_FORMAT,
       }),
       attributes: {
-        color: Cesium.ColorGeometryInstanceAttribute.fromColor(new Cesium.Color(1.0, 1.0, 1.0, 0.15)),
+        color: Cesium.ColorGeometryInstanceAttribute.fromColor(this.componentColor(Cesium.Color.WHITE, 0.15)),
       },
       id: this.props.name,
     });
@@ -335,7 +444,7 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
     const path = new Cesium.PathGraphics({
       leadTime,
       trailTime,
-      material: Cesium.Color.GOLD.withAlpha(0.15),
+      material: this.componentColor(Cesium.Color.GOLD, 0.15),
       resolution: 600,
       width: 2,
     });
@@ -343,44 +452,81 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
   }
 
   createGroundTrack() {
-    if (this.props.orbit.orbitalPeriod > 60 * 2) {
-      // Ground track unavailable for non-LEO satellites
-      return;
-    }
-    const corridor = new Cesium.CorridorGraphics({
+    // Update the track once per sample of the sampled position
+    const samplingInterval = (this.props.orbit.orbitalPeriod * 60) / 120;
+    const corridor = (positions, width) => new Cesium.CorridorGraphics({
       cornerType: Cesium.CornerType.MITERED,
       height: 1000,
       heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
-      material: Cesium.Color.DARKRED.withAlpha(0.25),
-      positions: new Cesium.CallbackProperty((time) => this.props.groundTrack(time), false),
-      width: this.props.swath * 1000,
+      material: this.componentColor(Cesium.Color.DARKRED, 0.25),
+      positions,
+      width,
     });
-    this.createCesiumSatelliteEntity("Ground track", "corridor", corridor);
+    if (this.props.sensors.length === 0) {
+      const positions = DescriptionHelper.cachedCallbackProperty((time) => this.props.groundTrack(time), samplingInterval);
+      this.createCesiumSatelliteEntities("Ground track", "corridor", [corridor(positions, this.props.swath * 1000)]);
+      return;
+    }
+    // The coverage at the current altitude is used for the whole track
+    this.createCesiumSatelliteEntities("Ground track", "corridor", this.props.sensors.map((sensor) => corridor(
+      DescriptionHelper.cachedCallbackProperty((time) => this.props.groundTrack(time, this.props.sensorCoverage(time, sensor)?.offset), samplingInterval),
+      DescriptionHelper.cachedCallbackProperty((time) => this.props.sensorCoverage(time, sensor)?.width, samplingInterval),
+    )));
+  }
+
+  createFootprint() {
+    // The radius only changes with the altitude, update it once per sample of the sampled position like the ground track
+    const samplingInterval = (this.props.orbit.orbitalPeriod * 60) / 120;
+    const radius = DescriptionHelper.cachedCallbackProperty((time) => this.props.footprintRadius(time), samplingInterval);
+    const ellipse = new Cesium.EllipseGraphics({
+      semiMajorAxis: radius,
+      semiMinorAxis: radius,
+      heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+      material: this.componentColor(Cesium.Color.DEEPSKYBLUE, 0.2),
+      // Close to the full hemisphere for GEO satellites
+      granularity: Cesium.Math.toRadians(0.5),
+    });
+    this.createCesiumSatelliteEntity("Footprint", "ellipse", ellipse);
   }
 
   createCone(fov = 10) {
-    if (this.props.orbit.orbitalPeriod > 60 * 2) {
-      // Cone graphic unavailable for non-LEO satellites
-      return;
-    }
-    const entity = new Cesium.Entity();
-    entity.addProperty("conicSensor");
-    entity.conicSensor = new CesiumSensorVolumes.ConicSensorGraphics({
-      radius: 1000000,
-      innerHalfAngle: Cesium.Math.toRadians(0),
-      outerHalfAngle: Cesium.Math.toRadians(fov),
-      lateralSurfaceMaterial: Cesium.Color.GOLD.withAlpha(0.15),
-      intersectionColor: Cesium.Color.GOLD.withAlpha(0.3),
+    const { semiMajorAxis, eccentricity } = this.props.orbit.elements;
+    const sensors = this.props.sensors.length > 0 ? this.props.sensors : [new SensorModel({ halfAngle: fov })];
+    const options = {
+      // Long enough to intersect the earth from the apogee
+      radius: semiMajorAxis * (1 + eccentricity) * 1000,
+      lateralSurfaceMaterial: this.componentColor(Cesium.Color.GOLD, 0.15),
+      intersectionColor: this.componentColor(Cesium.Color.GOLD, 0.3),
       intersectionWidth: 1,
+    };
+    this.components["Sensor cone"] = sensors.map((sensor) => {
+      const entity = new Cesium.Entity();
+      if (sensor.shape === SensorModel.RECTANGULAR) {
+        entity.addProperty("rectangularSensor");
+        entity.rectangularSensor = new CesiumSensorVolumes.RectangularSensorGraphics({
+          ...options,
+          xHalfAngle: Cesium.Math.toRadians(sensor.alongTrackHalfAngle),
+          yHalfAngle: Cesium.Math.toRadians(sensor.crossTrackHalfAngle),
+        });
+      } else {
+        entity.addProperty("conicSensor");
+        entity.conicSensor = new CesiumSensorVolumes.ConicSensorGraphics({
+          ...options,
+          innerHalfAngle: Cesium.Math.toRadians(0),
+          outerHalfAngle: Cesium.Math.toRadians(sensor.halfAngle),
+        });
+      }
+      // Samples of a recreated sampled position might still be propagated, in that case the orientation is undefined
+      entity.orientation = new Cesium.CallbackProperty((time) => this.props.sensorOrientation(time, sensor), false);
+      return entity;
     });
-    this.components["Sensor cone"] = entity;
   }
 
   createGroundStationLink() {
     if (!this.props.groundStationAvailable) {
       return;
     }
-    const polyline = new Cesium.PolylineGraphics({
+    const polylines = this.props.groundStations.map((groundStation) => new Cesium.PolylineGraphics({
       followSurface: false,
       material: new Cesium.PolylineGlowMaterialProperty({
         glowPower: 0.5,
@@ -388,23 +534,67 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
       }),
       positions: new Cesium.CallbackProperty((time) => {
         const satPosition = this.props.position(time);
-        const groundPosition = this.props.groundStationPosition.cartesian;
+        const groundPosition = groundStation.position.cartesian;
         const positions = [satPosition, groundPosition];
         return positions;
       }, false),
-      show: new Cesium.CallbackProperty((time) => this.props.passIntervals.contains(time), false),
+      show: new Cesium.CallbackProperty((time) => this.props.passIntervals.get(groundStation.name)?.contains(time) ?? false, false),
       width: 5,
-    });
-    this.createCesiumSatelliteEntity("Ground station link", "polyline", polyline);
+    }));
+    this.createCesiumSatelliteEntities("Ground station link", "polyline", polylines);
   }
 
-  set groundStation(position) {
-    // No groundstation calculation for GEO satellites
-    if (this.props.orbit.orbitalPeriod > 60 * 12) {
+  /**
+   * Replace the sensor models and recreate the components rendered from them
+   * @param {SensorModel[]} sensors - sensors, a nadir cone is used if empty
+   */
+  set sensors(sensors) {
+    if (sensors === this.props.sensors || (sensors.length === 0 && this.props.sensors.length === 0)) {
       return;
     }
+    this.props.sensors = sensors;
+    this.recreateComponents(["Ground track", "Sensor cone"]);
+  }
+
+  /**
+   * Replace the registry metadata and recreate all components to apply name, color and model
+   * @param {Object} metadata - metadata as returned by SatelliteRegistry.lookup
+   */
+  set metadata(metadata) {
+    this.props.metadata = metadata;
+    if (metadata.frequencies) {
+      this.props.frequencies = metadata.frequencies;
+      this.props.dopplerProfiles.clear();
+    }
+    this.recreateComponents();
+  }
 
-    this.props.groundStationPosition = position;
+  recreateComponents(names = this.componentNames) {
+    const recreated = names.filter((name) => name in this.components);
+    if (recreated.some((name) => [this.components[name]].flat().includes(this.defaultEntity))) {
+      // The default entity is replaced as well
+      this.defaultEntity = undefined;
+    }
+    recreated.forEach((name) => {
+      super.disableComponent(name);
+      this.enableComponent(name);
+    });
+  }
+
+  /**
+   * @param {Object[]} groundStations - ground stations with name and position
+   */
+  set groundStations(groundStations) {
+    this.props.groundStations = groundStations;
+    this.refreshPasses();
+    if ("Ground station link" in this.components) {
+      this.recreateComponents(["Ground station link"]);
+    } else if (this.created) {
+      this.createGroundStationLink();
+    }
+  }
+
+  refreshPasses() {
     this.props.clearPasses();
     if (this.isSelected || this.isTracked) {
       this.props.updatePasses(this.viewer.clock.currentTime);
@@ -412,8 +602,5 @@ export class SatelliteComponentCollection extends CesiumComponentCollection {
         CesiumTimelineHelper.updateHighlightRanges(this.viewer, this.props.passes);
       }
     }
-    if (this.created) {
-      this.createGroundStationLink();
-    }
   }
 }
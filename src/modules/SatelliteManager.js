@@ -3,12 +3,26 @@
  *
  * 该文件定义了一个SatelliteManager类，用于管理卫星的显示和隐藏。
  * 其中方法包括：
- * - 从TLE URL添加卫星 "addFromTleUrl"
+ * - 从TLE/OMM URL添加卫星 "addFromTleUrl"
+ * - 从历史TLE/OMM存档URL添加卫星的多组轨道根数 "addFromTleArchiveUrl"
+ * - 从SATCAT URL加载卫星目录信息 "addSatcatUrl"
+ * - 按目录编号添加轨道根数 "addOrbits"
  * - 从TLE添加卫星 "addFromTle"
+ * - 报告无效的TLE记录 "reportRejectedRecords"
+ * - 从OMM记录添加卫星 "addFromOmm"
+ * - 从开普勒根数或状态向量添加自定义卫星 "addFromElements"
  * - 添加卫星 "#add"
+ * - 移除卫星 "removeSatellite"
+ * - 生成或重新生成Walker星座 "addWalkerConstellation"
+ * - 移除带有标签的所有卫星 "removeSatellitesWithTag"
+ * - 更新最近机动的卫星标签 "updateManeuverTag"
+ * - 按SATCAT信息筛选卫星 "filterSatellites"
+ * - 按SATCAT信息为卫星添加/移除标签 "tagSatellites" / "removeSatcatTag"
+ * - 更新SATCAT筛选标签 "updateSatcatTags"
  * - 更新store "updateStore"
  * - 获取带有标签的卫星 "getSatellitesWithTag"
  * - 获取卫星 "getSatellite"
+ * - 设置卫星的无线电频率 "setFrequencies"
  * - 获取启用的卫星 "enabledSatellites"
  * - 设置启用的卫星 "enabledSatellites"
  * - 获取标签 "tags"
@@ -17,28 +31,123 @@
  * - 获取组件 "components"
  * - 获取启用的组件 "enabledComponents"
  * - 设置启用的组件 "enabledComponents"
+ * - 获取/设置是否只计算目视可见的通过 "visiblePassesOnly"
+ * - 获取/设置目视可见通过的晨昏阶段 "twilight"
+ * - 获取/设置TLE过期的历元时长阈值 "staleTleAge"
+ * - 获取/设置覆盖区的默认最小仰角和按标签的最小仰角 "footprintElevation" / "footprintElevations"
+ * - 获取卫星覆盖区的最小仰角 "footprintElevationOf"
+ * - 加载卫星元数据注册表 "loadRegistry"
+ * - 获取/设置卫星元数据注册表 "registry"
+ * - 获取/设置按卫星名称或标签的传感器模型 "sensors"
+ * - 获取卫星的传感器模型 "sensorsOf"
+ * - 获取/设置是否在Web Worker中计算卫星位置 "propagationWorkers"
+ * - 筛查卫星之间的交会 "screenConjunctions"
+ * - 显示/清除交会连线 "showConjunction" / "clearConjunction"
  * - 获取地面站是否可用 "groundStationAvailable"
+ * - 获取地面站 "getGroundStation"
  * - 聚焦地面站 "focusGroundStation"
- * - 设置地面站 "setGroundStation"
+ * - 添加地面站 "addGroundStation"
+ * - 设置（添加或移动）地面站 "setGroundStation"
+ * - 移除地面站 "removeGroundStation"
+ * - 重命名地面站 "renameGroundStation"
+ * - 设置地面站的最小仰角 "setGroundStationMinElevation"
+ * - 设置/加载地面站的地平遮挡 "setHorizonMask" / "addHorizonMaskFromUrl"
+ * - 替换所有地面站 "setGroundStations"
+ * - 导入地面站网络（CSV/GeoJSON） "importGroundStations"
+ * - 从URL加载地面站网络 "addGroundStationsFromUrl"
+ * - 导出地面站网络 "exportGroundStations"
+ * - 获取卫星或地面站即将到来的通过 "upcomingPasses"
+ * - 将通过导出为iCalendar "exportPassesIcs"
+ * - 将通过导出为CSV/JSON "exportPasses"
+ * - 将通过的多普勒曲线导出为CSV "exportDoppler"
+ * - 将卫星星历导出为CSV/JSON "exportEphemeris"
  */
+import * as Cesium from "@cesium/engine";
+import { useToast } from "vue-toastification";
+
 import { SatelliteComponentCollection } from "./SatelliteComponentCollection";
+import { KeplerianOrbit } from "./KeplerianOrbit";
+import { WalkerConstellation } from "./WalkerConstellation";
 import { GroundStationEntity } from "./GroundStationEntity";
+import { HorizonMask } from "./HorizonMask";
+import { Doppler } from "./Doppler";
+import { Ephemeris } from "./Ephemeris";
+import { ConjunctionScreening } from "./ConjunctionScreening";
+import Orbit from "./Orbit";
+import { SatelliteRegistry } from "./SatelliteRegistry";
+import { SensorModel } from "./SensorModel";
+import { Sun } from "./Sun";
 
 import { useSatStore } from "../stores/sat";
+import { CesiumCallbackHelper } from "./util/CesiumCallbackHelper";
 import { CesiumCleanupHelper } from "./util/CesiumCleanupHelper";
+import { GroundStationParser } from "./util/GroundStationParser";
+import { ICalendarHelper } from "./util/ICalendarHelper";
+import { PassExportHelper } from "./util/PassExportHelper";
+import { OmmParser } from "./util/OmmParser";
+import { PropagationPool } from "./util/PropagationPool";
+import { SatcatParser } from "./util/SatcatParser";
+import { TleParser } from "./util/TleParser";
+
+function fetchText(url) {
+  return fetch(url, {
+    mode: "no-cors",
+  }).then((response) => {
+    if (!response.ok) {
+      throw Error(response.statusText);
+    }
+    return response;
+  }).then((response) => response.text());
+}
 
 export class SatelliteManager {
+  // Filter tag of satellites with a maneuver detected within the last 30 days of the simulation time
+  static MANEUVERED_TAG = "Maneuvered recently";
+
+  // Default tag of satellites added from Keplerian elements or state vectors
+  static CUSTOM_TAG = "Custom";
+
+  // Satellite metadata (display name, color, swath, sensors, model, operator, frequencies) by NORAD ID or name pattern
+  static REGISTRY_URL = "data/satellites.json";
+
   #enabledComponents = ["Point", "Label"];
 
   #enabledTags = [];
 
   #enabledSatellites = [];
 
+  #visiblePassesOnly = false;
+
+  #twilight = "nautical";
+
+  #staleTleAge = 14;
+
+  #footprintElevation = 10;
+
+  #footprintElevations = {};
+
+  #sensors = {};
+
+  #registry = new SatelliteRegistry();
+
+  // SATCAT records by catalog number
+  #satcat = new Map();
+
+  // SATCAT filter criteria by tag (see filterSatellites)
+  #satcatTags = {};
+
   constructor(viewer) {
     this.viewer = viewer;
 
     this.satellites = [];
-    this.availableComponents = ["Point", "Label", "Orbit", "Orbit track", "Ground track", "Sensor cone", "3D model"];
+    this.groundStations = [];
+    // Show the passes of all ground stations in the infobox of each station
+    this.mergeStationPasses = false;
+    // Minutes before AOS for reminders of exported calendar events, no reminders if 0
+    this.calendarAlarm = 0;
+    // Invalid TLE records that were skipped while loading ({file, line, name, message})
+    this.rejectedRecords = [];
+    this.availableComponents = ["Point", "Label", "Orbit", "Orbit track", "Ground track", "Footprint", "Sensor cone", "3D model"];
 
     this.viewer.trackedEntityChanged.addEventListener(() => {
       if (this.trackedSatellite) {
@@ -46,6 +155,52 @@ export class SatelliteManager {
       }
       useSatStore().trackedSatellite = this.trackedSatellite;
     });
+
+    // Follow the simulation time, e.g. when the timeline is scrubbed, with the maneuver tag
+    CesiumCallbackHelper.createPeriodicTimeCallback(this.viewer, 3600, (time) => {
+      if (this.updateManeuverTag(time)) {
+        this.updateStore();
+        if (this.#enabledTags.includes(SatelliteManager.MANEUVERED_TAG)) {
+          this.showEnabledSatellites();
+        }
+      }
+    });
+
+    // Satellites from TLE/OMM URLs are added once the registry is loaded to avoid recreating their components
+    this.registryLoaded = this.loadRegistry(SatelliteManager.REGISTRY_URL);
+  }
+
+  /**
+   * Load the satellite metadata registry and apply it to all satellites
+   * @param {String} url - URL of the registry JSON file
+   * @returns {Promise} - resolves once the registry is applied, or kept if it failed to load
+   */
+  loadRegistry(url) {
+    return SatelliteRegistry.load(url)
+      .then((registry) => {
+        this.registry = registry;
+      })
+      .catch((error) => {
+        console.log(`Failed to load satellite registry ${url}`, error);
+        useToast().warning(`Failed to load satellite metadata from ${url}, using defaults`);
+      });
+  }
+
+  get registry() {
+    return this.#registry;
+  }
+
+  set registry(registry) {
+    this.#registry = registry;
+    this.satellites.forEach((sat) => {
+      const metadata = registry.lookup(sat.props.satnum, sat.props.name);
+      // Only recreate the components of satellites whose metadata changed
+      if (SatelliteRegistry.equalMetadata(metadata, sat.props.metadata)) {
+        return;
+      }
+      sat.metadata = metadata;
+      sat.sensors = this.sensorsOf(sat);
+    });
   }
 
   addFromTleUrls(urlTagList) {
@@ -55,19 +210,66 @@ export class SatelliteManager {
   }
 
   addFromTleUrl(url, tags, updateStore = true) {
-    return fetch(url, {
-      mode: "no-cors",
-    }).then((response) => {
-      if (!response.ok) {
-        throw Error(response.statusText);
-      }
-      return response;
-    }).then((response) => response.text())
+    return Promise.all([fetchText(url), this.registryLoaded])
+      .then(([data]) => {
+        const format = OmmParser.detectFormat(data);
+        if (format !== "tle") {
+          OmmParser.parse(data, format).forEach((omm) => {
+            this.addFromOmm(omm, tags, updateStore);
+          });
+          return;
+        }
+        const { records, errors } = TleParser.parse(data, url);
+        records.forEach((record) => {
+          this.addFromTle(record.tle, tags, updateStore);
+        });
+        this.reportRejectedRecords(url, errors);
+      })
+      .catch((error) => {
+        console.log(error);
+      });
+  }
+
+  /**
+   * Load a TLE/OMM archive with multiple element sets per satellite, e.g. the TLE history of a NORAD ID.
+   * The element sets are added to already loaded satellites with the same catalog number,
+   * the satellite propagates the set with the epoch closest to the simulation time.
+   * @param {String} url - archive url
+   * @param {String[]} tags - tags of satellites that are not loaded yet
+   */
+  addFromTleArchiveUrl(url, tags = [], updateStore = true) {
+    return Promise.all([fetchText(url), this.registryLoaded])
+      .then(([data]) => {
+        const format = OmmParser.detectFormat(data);
+        if (format !== "tle") {
+          this.addOrbits(OmmParser.parse(data, format).map((omm) => Orbit.fromOmm(omm)), tags, updateStore);
+          return;
+        }
+        const { records, errors } = TleParser.parse(data, url);
+        this.addOrbits(records.map((record) => new Orbit(record.name, record.tle)), tags, updateStore);
+        this.reportRejectedRecords(url, errors);
+      })
+      .catch((error) => {
+        console.log(error);
+      });
+  }
+
+  /**
+   * Load a local copy of the Celestrak SATCAT and join it with all current and future satellites on the catalog number
+   * @param {String} url - URL of the SATCAT in CSV or JSON format
+   */
+  addSatcatUrl(url, updateStore = true) {
+    return fetchText(url)
       .then((data) => {
-        const lines = data.split(/\r?\n/);
-        for (let i = 3; i < lines.length; i + 3) {
-          const tle = lines.splice(i - 3, i).join("\n");
-          this.addFromTle(tle, tags, updateStore);
+        SatcatParser.parse(data).forEach((record) => {
+          this.#satcat.set(record.satnum, record);
+        });
+        this.satellites.forEach((sat) => {
+          sat.props.satcat = this.#satcat.get(sat.props.satnum);
+        });
+        if (updateStore) {
+          this.updateStore();
+          this.showEnabledSatellites();
         }
       })
       .catch((error) => {
@@ -75,6 +277,28 @@ export class SatelliteManager {
       });
   }
 
+  addOrbits(orbits, tags = [], updateStore = true) {
+    const orbitsBySatnum = new Map();
+    orbits.forEach((orbit) => {
+      if (!orbitsBySatnum.has(orbit.satnum)) {
+        orbitsBySatnum.set(orbit.satnum, []);
+      }
+      orbitsBySatnum.get(orbit.satnum).push(orbit);
+    });
+    orbitsBySatnum.forEach((satOrbits, satnum) => {
+      let sat = this.satellites.find((existingSat) => existingSat.props.satnum === satnum);
+      if (!sat) {
+        const latest = satOrbits.reduce((a, b) => (b.epoch > a.epoch ? b : a));
+        sat = new SatelliteComponentCollection(this.viewer, latest, tags);
+        this.#add(sat);
+      }
+      sat.props.addOrbits(satOrbits);
+    });
+    if (updateStore) {
+      this.updateStore();
+    }
+  }
+
   addFromTle(tle, tags, updateStore = true) {
     const sat = new SatelliteComponentCollection(this.viewer, tle, tags);
     this.#add(sat);
@@ -83,17 +307,75 @@ export class SatelliteManager {
     }
   }
 
+  reportRejectedRecords(url, errors) {
+    if (errors.length === 0) {
+      return;
+    }
+    this.rejectedRecords.push(...errors);
+    errors.forEach((error) => {
+      console.warn(`Rejected TLE ${error.name ?? ""} in ${error.file}:${error.line}: ${error.message}`);
+    });
+    useToast().warning(`Rejected ${errors.length} invalid TLE record${errors.length > 1 ? "s" : ""} in ${url}`);
+  }
+
+  addFromOmm(omm, tags, updateStore = true) {
+    const sat = new SatelliteComponentCollection(this.viewer, Orbit.fromOmm(omm), tags);
+    this.#add(sat);
+    if (updateStore) {
+      this.updateStore();
+    }
+  }
+
+  /**
+   * Add a custom satellite without TLE, e.g. for a planned mission, propagated with a two-body + J2 model.
+   * A custom satellite with the same name is replaced.
+   * @param {String} name - satellite name
+   * @param {Object} elements - epoch (Date or ISO string) and either the classical elements
+   *   (semiMajorAxis in km, eccentricity, inclination, raan, argumentOfPerigee and meanAnomaly in degrees)
+   *   or a state vector (position in km and velocity in km/s as {x, y, z} in the TEME frame)
+   * @param {String[]} tags - satellite tags
+   * @returns {SatelliteComponentCollection} - the added satellite
+   */
+  addFromElements(name, { epoch, position, velocity, ...elements }, tags = [SatelliteManager.CUSTOM_TAG], updateStore = true) {
+    const orbit = position ?
+      KeplerianOrbit.fromStateVector(name, position, velocity, new Date(epoch)) :
+      new KeplerianOrbit(name, elements, new Date(epoch));
+    const existingSat = this.getSatellite(name);
+    if (existingSat) {
+      if (!(existingSat.props.orbit instanceof KeplerianOrbit)) {
+        throw new Error(`Satellite ${name} already exists`);
+      }
+      this.removeSatellite(name, false);
+    }
+    const sat = new SatelliteComponentCollection(this.viewer, orbit, tags);
+    this.#add(sat);
+    if (updateStore) {
+      this.updateStore();
+    }
+    return sat;
+  }
+
   #add(newSat) {
     const existingSat = this.satellites.find((sat) => sat.props.satnum === newSat.props.satnum && sat.props.name === newSat.props.name);
     if (existingSat) {
       existingSat.props.addTags(newSat.props.tags);
+      existingSat.props.addOrbits(newSat.props.orbits);
+      existingSat.props.footprintElevation = this.footprintElevationOf(existingSat);
+      existingSat.sensors = this.sensorsOf(existingSat);
       if (newSat.props.tags.some((tag) => this.#enabledTags.includes(tag))) {
         existingSat.show(this.#enabledComponents);
       }
       return;
     }
+    newSat.props.visiblePassesOnly = this.#visiblePassesOnly;
+    newSat.props.twilight = this.#twilight;
+    newSat.props.staleTleAge = this.#staleTleAge;
+    newSat.props.footprintElevation = this.footprintElevationOf(newSat);
+    newSat.metadata = this.#registry.lookup(newSat.props.satnum, newSat.props.name);
+    newSat.props.sensors = this.sensorsOf(newSat);
+    newSat.props.satcat = this.#satcat.get(newSat.props.satnum);
     if (this.groundStationAvailable) {
-      newSat.groundStation = this.groundStation.position;
+      newSat.groundStations = this.groundStations;
     }
     this.satellites.push(newSat);
 
@@ -105,7 +387,156 @@ export class SatelliteManager {
     }
   }
 
+  removeSatellite(name, updateStore = true) {
+    const sat = this.getSatellite(name);
+    if (!sat) {
+      return;
+    }
+    if (sat.isTracked) {
+      this.viewer.trackedEntity = undefined;
+    }
+    if (sat.isSelected) {
+      this.viewer.selectedEntity = undefined;
+    }
+    sat.hide();
+    this.satellites = this.satellites.filter((other) => other !== sat);
+    if (updateStore) {
+      this.updateStore();
+    }
+  }
+
+  /**
+   * Generate all satellites of a Walker constellation under a new tag and enable the tag.
+   * A constellation previously generated under the same tag is replaced.
+   * @param {String} tag - tag and name prefix of the satellites
+   * @param {Object} parameters - Walker parameters as expected by WalkerConstellation.generate
+   * @param {Date} epoch - epoch of the elements, defaults to the simulation time
+   * @returns {SatelliteComponentCollection[]} - the generated satellites
+   */
+  addWalkerConstellation(tag, parameters, epoch = Cesium.JulianDate.toDate(this.viewer.clock.currentTime)) {
+    const satellites = WalkerConstellation.generate(tag, parameters);
+    const previousSats = this.getSatellitesWithTag(tag);
+    if (previousSats.some((sat) => !(sat.props.orbit instanceof KeplerianOrbit))) {
+      throw new Error(`Tag ${tag} is already used by satellites from TLEs`);
+    }
+    // Check all names before the previous constellation is removed to not leave a partial constellation behind
+    const collision = satellites.find(({ name }) => {
+      const sat = this.getSatellite(name);
+      return sat && !previousSats.includes(sat);
+    });
+    if (collision) {
+      throw new Error(`Satellite ${collision.name} already exists`);
+    }
+    this.removeSatellitesWithTag(tag, false);
+    const sats = satellites.map(({ name, elements }) => this.addFromElements(name, { ...elements, epoch }, [tag], false));
+    this.updateStore();
+    if (!this.#enabledTags.includes(tag)) {
+      this.enabledTags = [...this.#enabledTags, tag];
+    }
+    return sats;
+  }
+
+  removeSatellitesWithTag(tag, updateStore = true) {
+    this.getSatellitesWithTag(tag).forEach((sat) => this.removeSatellite(sat.props.name, false));
+    if (updateStore) {
+      this.updateStore();
+      if (this.#enabledTags.includes(tag)) {
+        this.enabledTags = this.#enabledTags.filter((enabledTag) => enabledTag !== tag);
+      }
+    }
+  }
+
+  /**
+   * Tag satellites with a maneuver within the last 30 days of the given time
+   * @param {Cesium.JulianDate} time - simulation time
+   * @returns {Boolean} - true if the tag was added to or removed from any satellite
+   */
+  updateManeuverTag(time = this.viewer.clock.currentTime) {
+    let changed = false;
+    this.satellites.forEach((sat) => {
+      const maneuvered = sat.props.maneuveredRecently(time);
+      if (maneuvered === sat.props.hasTag(SatelliteManager.MANEUVERED_TAG)) {
+        return;
+      }
+      if (maneuvered) {
+        sat.props.addTags([SatelliteManager.MANEUVERED_TAG]);
+      } else {
+        sat.props.tags = sat.props.tags.filter((tag) => tag !== SatelliteManager.MANEUVERED_TAG);
+      }
+      changed = true;
+    });
+    return changed;
+  }
+
+  /**
+   * Satellites matching SATCAT criteria, satellites without SATCAT record never match
+   * @param {Object} criteria - any of owner, objectType and rcsSize (value or list of values), launchYear,
+   *   launchedAfter and launchedBefore (Date or date string) and decayed, e.g. { owner: "PRC", objectType: "PAYLOAD", launchYear: 2026 }
+   * @returns {SatelliteComponentCollection[]}
+   */
+  filterSatellites(criteria) {
+    const oneOf = (value, allowed) => typeof allowed === "undefined" || [allowed].flat().includes(value);
+    const { owner, objectType, rcsSize, launchYear, launchedAfter, launchedBefore, decayed } = criteria;
+    return this.satellites.filter((sat) => {
+      const { satcat } = sat.props;
+      if (!satcat || !oneOf(satcat.owner, owner) || !oneOf(satcat.objectType, objectType) || !oneOf(satcat.rcsSize, rcsSize)) {
+        return false;
+      }
+      if (typeof decayed !== "undefined" && satcat.decayed !== decayed) {
+        return false;
+      }
+      if (typeof launchYear !== "undefined" && satcat.launchDate?.getUTCFullYear() !== launchYear) {
+        return false;
+      }
+      if (launchedAfter && !(satcat.launchDate >= new Date(launchedAfter))) {
+        return false;
+      }
+      return !launchedBefore || satcat.launchDate < new Date(launchedBefore);
+    });
+  }
+
+  /**
+   * Tag all satellites matching SATCAT criteria, the tag is kept up to date when satellites or SATCAT records are added
+   * @param {String} tag - tag
+   * @param {Object} criteria - criteria as for filterSatellites
+   * @returns {SatelliteComponentCollection[]} - tagged satellites
+   */
+  tagSatellites(tag, criteria) {
+    this.#satcatTags[tag] = criteria;
+    this.updateStore();
+    if (this.#enabledTags.includes(tag)) {
+      this.showEnabledSatellites();
+    }
+    return this.getSatellitesWithTag(tag);
+  }
+
+  removeSatcatTag(tag) {
+    delete this.#satcatTags[tag];
+    this.satellites.forEach((sat) => {
+      sat.props.tags = sat.props.tags.filter((satTag) => satTag !== tag);
+    });
+    this.updateStore();
+    if (this.#enabledTags.includes(tag)) {
+      this.enabledTags = this.#enabledTags.filter((enabledTag) => enabledTag !== tag);
+    }
+  }
+
+  updateSatcatTags() {
+    Object.entries(this.#satcatTags).forEach(([tag, criteria]) => {
+      const matches = new Set(this.filterSatellites(criteria));
+      this.satellites.forEach((sat) => {
+        if (matches.has(sat)) {
+          sat.props.addTags([tag]);
+        } else if (sat.props.hasTag(tag)) {
+          sat.props.tags = sat.props.tags.filter((satTag) => satTag !== tag);
+        }
+      });
+    });
+  }
+
   updateStore() {
+    this.updateManeuverTag();
+    this.updateSatcatTags();
     const satStore = useSatStore();
     satStore.availableTags = this.tags;
     satStore.availableSatellitesByTag = this.taglist;
@@ -181,6 +612,20 @@ export class SatelliteManager {
     return this.satellites.find((sat) => sat.props.name === name);
   }
 
+  /**
+   * Set the nominal radio frequencies of a satellite for Doppler correction, replacing the frequencies from the registry
+   * @param {String} name - satellite name
+   * @param {Object[]} frequencies - frequencies ({name, frequency, direction}) with frequency in Hz and direction "uplink" or "downlink"
+   */
+  setFrequencies(name, frequencies) {
+    const sat = this.getSatellite(name);
+    if (!sat) {
+      return;
+    }
+    sat.props.frequencies = frequencies;
+    sat.props.dopplerProfiles.clear();
+  }
+
   get enabledSatellites() {
     return this.#enabledSatellites;
   }
@@ -281,35 +726,551 @@ export class SatelliteManager {
     });
   }
 
+  get visiblePassesOnly() {
+    return this.#visiblePassesOnly;
+  }
+
+  set visiblePassesOnly(visibleOnly) {
+    this.#visiblePassesOnly = visibleOnly;
+    this.satellites.forEach((sat) => {
+      sat.props.visiblePassesOnly = visibleOnly;
+      sat.refreshPasses();
+    });
+
+    const satStore = useSatStore();
+    satStore.visiblePassesOnly = visibleOnly;
+  }
+
+  get twilightModes() {
+    return Object.keys(Sun.TWILIGHT);
+  }
+
+  get twilight() {
+    return this.#twilight;
+  }
+
+  set twilight(twilight) {
+    if (!this.twilightModes.includes(twilight)) {
+      console.error("Unknown twilight");
+      return;
+    }
+    this.#twilight = twilight;
+    this.satellites.forEach((sat) => {
+      sat.props.twilight = twilight;
+      if (this.#visiblePassesOnly) {
+        sat.refreshPasses();
+      }
+    });
+
+    const satStore = useSatStore();
+    satStore.twilight = twilight;
+  }
+
+  get staleTleAge() {
+    return this.#staleTleAge;
+  }
+
+  /**
+   * Set the TLE epoch age in days above which the TLE of a satellite is marked as stale
+   * @param {Number} days - threshold in days
+   */
+  set staleTleAge(days) {
+    if (!(days > 0)) {
+      // Ignore incomplete input of the toolbar field
+      return;
+    }
+    this.#staleTleAge = days;
+    this.satellites.forEach((sat) => {
+      sat.props.staleTleAge = days;
+    });
+  }
+
+  get footprintElevation() {
+    return this.#footprintElevation;
+  }
+
+  /**
+   * Set the default minimum elevation of the footprint for satellites without a tag specific elevation
+   * @param {Number} elevation - minimum elevation in degrees
+   */
+  set footprintElevation(elevation) {
+    this.#footprintElevation = elevation;
+    this.satellites.forEach((sat) => {
+      sat.props.footprintElevation = this.footprintElevationOf(sat);
+    });
+  }
+
+  get footprintElevations() {
+    return this.#footprintElevations;
+  }
+
+  /**
+   * Set the minimum elevation of the footprint per tag
+   * @param {Object} elevations - minimum elevation in degrees by tag
+   */
+  set footprintElevations(elevations) {
+    this.#footprintElevations = elevations;
+    this.satellites.forEach((sat) => {
+      sat.props.footprintElevation = this.footprintElevationOf(sat);
+    });
+  }
+
+  footprintElevationOf(sat) {
+    const tag = sat.props.tags.find((satTag) => Number.isFinite(this.#footprintElevations[satTag]));
+    return tag ? this.#footprintElevations[tag] : this.#footprintElevation;
+  }
+
+  get sensors() {
+    return this.#sensors;
+  }
+
+  /**
+   * Set the sensor models rendered by the sensor cone and ground track components
+   * @param {Object} definitions - lists of sensor definitions (see SensorModel) by satellite name or tag, e.g.
+   *   { "SENTINEL-1A": [{ shape: "rectangular", alongTrackHalfAngle: 0.5, crossTrackHalfAngle: 5, roll: 32 }] }
+   */
+  set sensors(definitions) {
+    // Validate all definitions before applying any of them
+    this.#sensors = Object.fromEntries(Object.entries(definitions).map(([key, sensors]) => [key, sensors.map((sensor) => new SensorModel(sensor))]));
+    this.satellites.forEach((sat) => {
+      sat.sensors = this.sensorsOf(sat);
+    });
+  }
+
+  sensorsOf(sat) {
+    if (sat.props.name in this.#sensors) {
+      return this.#sensors[sat.props.name];
+    }
+    const tag = sat.props.tags.find((satTag) => satTag in this.#sensors);
+    return tag ? this.#sensors[tag] : sat.props.metadata.sensors ?? [];
+  }
+
+  get propagationWorkers() {
+    return PropagationPool.enabled;
+  }
+
+  set propagationWorkers(enabled) {
+    PropagationPool.enabled = enabled;
+  }
+
+  /**
+   * Screen a satellite or all satellites of a tag against every other loaded satellite for close approaches
+   * @param {Object} options - satellite name or tag, window length in hours and distance threshold in km
+   * @returns {Promise<Object[]>} - close approaches sorted by miss distance
+   */
+  async screenConjunctions({ satellite, tag, hours = 24, threshold = 10 } = {}) {
+    let primaries = [];
+    if (satellite) {
+      primaries = [this.getSatellite(satellite)].filter((sat) => sat);
+    } else if (tag) {
+      primaries = this.getSatellitesWithTag(tag);
+    }
+    const start = Cesium.JulianDate.toDate(this.viewer.clock.currentTime);
+    const end = new Date(start.getTime() + hours * 3600 * 1000);
+    const orbits = this.satellites.map((sat) => sat.props.orbit);
+    const screened = new Set();
+
+    const conjunctions = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const primary of primaries) {
+      screened.add(primary.props.orbit);
+      // Skip pairs already screened when both satellites are part of the tag
+      const secondaries = orbits.filter((orbit) => !screened.has(orbit));
+      conjunctions.push(...ConjunctionScreening.screen(primary.props.orbit, secondaries, start, end, { threshold }));
+      // Yield to keep the UI responsive while screening large tags
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise((resolve) => { setTimeout(resolve); });
+    }
+    return conjunctions.sort((a, b) => a.missDistance - b.missDistance);
+  }
+
+  /**
+   * Show both satellites of a close approach and draw a line between them at TCA
+   * @param {Object} conjunction - close approach as returned by screenConjunctions
+   */
+  showConjunction(conjunction) {
+    this.clearConjunction();
+    const newSats = [conjunction.primary, conjunction.secondary].filter((name) => !this.#enabledSatellites.includes(name));
+    if (newSats.length > 0) {
+      this.enabledSatellites = [...this.#enabledSatellites, ...newSats];
+    }
+
+    const date = new Date(conjunction.tca);
+    const positions = [conjunction.primary, conjunction.secondary].map((name) => {
+      const { x, y, z } = this.getSatellite(name).props.orbit.positionECF(date);
+      return new Cesium.Cartesian3(x * 1000, y * 1000, z * 1000);
+    });
+    this.conjunctionEntity = this.viewer.entities.add({
+      name: `${conjunction.primary} - ${conjunction.secondary}`,
+      position: Cesium.Cartesian3.midpoint(positions[0], positions[1], new Cesium.Cartesian3()),
+      polyline: {
+        positions,
+        width: 2,
+        material: Cesium.Color.RED,
+        arcType: Cesium.ArcType.NONE,
+      },
+      label: {
+        text: `${conjunction.missDistance.toFixed(3)} km`,
+        font: "12px Arial",
+        fillColor: Cesium.Color.RED,
+        pixelOffset: new Cesium.Cartesian2(0, -15),
+      },
+    });
+  }
+
+  clearConjunction() {
+    if (this.conjunctionEntity) {
+      this.viewer.entities.remove(this.conjunctionEntity);
+      this.conjunctionEntity = undefined;
+    }
+  }
+
   get groundStationAvailable() {
-    return (typeof this.groundStation !== "undefined");
+    return this.groundStations.length > 0;
   }
 
-  focusGroundStation() {
-    if (this.groundStationAvailable) {
-      this.groundStation.track();
+  getGroundStation(name) {
+    return this.groundStations.find((groundStation) => groundStation.name === name);
+  }
+
+  focusGroundStation(name = this.groundStations[0]?.name) {
+    this.getGroundStation(name)?.track();
+  }
+
+  /**
+   * Add a ground station
+   * @param {Object} position - latitude and longitude in degrees, height in meters and cartesian
+   * @param {String} name - unique name, numbered automatically if not set
+   * @param {Number} minElevation - minimum elevation of passes in degrees
+   * @returns {GroundStationEntity}
+   */
+  addGroundStation(position, name = this.#nextGroundStationName(), minElevation = GroundStationEntity.DEFAULT_MIN_ELEVATION) {
+    if (this.getGroundStation(name)) {
+      throw new Error(`Ground station ${name} already exists`);
+    }
+    if (!(position.height >= 1)) {
+      position.height = 0;
     }
+    const groundStation = new GroundStationEntity(this.viewer, this, position, name, minElevation);
+    groundStation.show();
+    this.groundStations = [...this.groundStations, groundStation];
+    this.#updateGroundStations();
+    return groundStation;
   }
 
-  setGroundStation(position) {
-    if (this.groundStationAvailable) {
-      this.groundStation.hide();
+  /**
+   * Add a ground station or move an existing station with the same name
+   * @param {Object} position - latitude and longitude in degrees, height in meters and cartesian
+   * @param {String} name - name of the ground station
+   */
+  setGroundStation(position, name = GroundStationEntity.DEFAULT_NAME) {
+    const groundStation = this.getGroundStation(name);
+    if (!groundStation) {
+      this.addGroundStation(position, name);
+      return;
     }
-    if (position.height < 1) {
+    if (!(position.height >= 1)) {
       position.height = 0;
     }
+    this.#replaceGroundStation(groundStation, position, groundStation.minElevation, groundStation.horizonMask);
+  }
 
-    // Create groundstation entity
-    this.groundStation = new GroundStationEntity(this.viewer, this, position);
-    this.groundStation.show();
+  /**
+   * @param {String} name - name of the ground station
+   * @param {Number} minElevation - minimum elevation of passes in degrees
+   */
+  setGroundStationMinElevation(name, minElevation) {
+    const groundStation = this.getGroundStation(name);
+    if (!groundStation || groundStation.minElevation === minElevation) {
+      return;
+    }
+    if (!(minElevation >= 0 && minElevation < 90)) {
+      throw new Error("Minimum elevation must be between 0 and 90 degrees");
+    }
+    this.#replaceGroundStation(groundStation, groundStation.position, minElevation, groundStation.horizonMask);
+  }
 
-    // Set groundstation for all satellites
-    this.satellites.forEach((sat) => {
-      sat.groundStation = this.groundStation.position;
+  /**
+   * Set the azimuth-dependent horizon mask of a ground station, the minimum elevation of the station still applies
+   * @param {String} name - name of the ground station
+   * @param {HorizonMask|String} horizonMask - mask, CSV with the azimuth and minimum elevation per row or undefined to remove the mask
+   */
+  setHorizonMask(name, horizonMask) {
+    const groundStation = this.getGroundStation(name);
+    if (!groundStation) {
+      throw new Error(`Unknown ground station ${name}`);
+    }
+    const mask = typeof horizonMask === "string" ? HorizonMask.fromCsv(horizonMask) : horizonMask;
+    this.#replaceGroundStation(groundStation, groundStation.position, groundStation.minElevation, mask);
+  }
+
+  /**
+   * Load the horizon mask of a ground station from a CSV file
+   * @param {String} name - name of the ground station
+   * @param {String} url - URL of the CSV file with the azimuth and minimum elevation per row
+   */
+  addHorizonMaskFromUrl(name, url) {
+    return fetchText(url)
+      .then((data) => {
+        this.setHorizonMask(name, data);
+      })
+      .catch((error) => {
+        console.log(error);
+        useToast().error(`Failed to load horizon mask from ${url}: ${error.message}`);
+      });
+  }
+
+  // Recreate a ground station in place, e.g. to update its horizon fence
+  #replaceGroundStation(groundStation, position, minElevation, horizonMask) {
+    groundStation.hide();
+    const newGroundStation = new GroundStationEntity(this.viewer, this, position, groundStation.name, minElevation, horizonMask);
+    newGroundStation.show();
+    this.groundStations = this.groundStations.map((station) => (station === groundStation ? newGroundStation : station));
+    this.#updateGroundStations();
+  }
+
+  removeGroundStation(name) {
+    const groundStation = this.getGroundStation(name);
+    if (!groundStation) {
+      return;
+    }
+    groundStation.hide();
+    this.groundStations = this.groundStations.filter((station) => station !== groundStation);
+    this.#updateGroundStations();
+  }
+
+  renameGroundStation(name, newName) {
+    const groundStation = this.getGroundStation(name);
+    if (!groundStation || name === newName) {
+      return;
+    }
+    if (!newName) {
+      throw new Error("Ground station name must not be empty");
+    }
+    if (this.getGroundStation(newName)) {
+      throw new Error(`Ground station ${newName} already exists`);
+    }
+    groundStation.rename(newName);
+    this.#updateGroundStations();
+  }
+
+  /**
+   * Replace all ground stations, stations with an unchanged name, position, minimum elevation and horizon mask are kept
+   * @param {Object[]} stations - stations with name, latitude and longitude in degrees, height in meters, optional minElevation in degrees
+   *   and optional horizonMask (HorizonMask or its string form)
+   */
+  setGroundStations(stations) {
+    const isStation = (station, { name, position, minElevation, horizonMask }) => station.name === name && station.latitude === position.latitude &&
+      station.longitude === position.longitude && (station.height ?? 0) === position.height &&
+      (station.minElevation ?? GroundStationEntity.DEFAULT_MIN_ELEVATION) === minElevation &&
+      station.horizonMask?.toString() === horizonMask?.toString();
+    const unchanged = (groundStation) => stations.some((station) => isStation(station, groundStation));
+    if (stations.length === this.groundStations.length && this.groundStations.every(unchanged)) {
+      return;
+    }
+    this.groundStations.filter((groundStation) => !unchanged(groundStation)).forEach((groundStation) => groundStation.hide());
+    this.groundStations = stations.map(({ name, latitude, longitude, height = 0, minElevation, horizonMask }) => {
+      const groundStation = this.getGroundStation(name);
+      if (groundStation && unchanged(groundStation)) {
+        return groundStation;
+      }
+      const position = {
+        latitude,
+        longitude,
+        height,
+        cartesian: Cesium.Cartesian3.fromDegrees(longitude, latitude, height),
+      };
+      const mask = typeof horizonMask === "string" ? HorizonMask.fromString(horizonMask) : horizonMask;
+      const newGroundStation = new GroundStationEntity(this.viewer, this, position, name, minElevation, mask);
+      newGroundStation.show();
+      return newGroundStation;
     });
+    this.#updateGroundStations();
+  }
 
-    // Update store for url state
+  /**
+   * Import a ground station network, imported stations replace existing stations with the same name
+   * but keep their horizon mask if the station list does not contain one
+   * @param {String} data - station list in CSV or GeoJSON format (see GroundStationParser)
+   * @param {String} format - format of the data, detected automatically if not set
+   * @returns {Number} - number of imported stations
+   */
+  importGroundStations(data, format = GroundStationParser.detectFormat(data)) {
+    const stations = GroundStationParser.parse(data, format);
+    const names = new Set(this.groundStations.map((groundStation) => groundStation.name));
+    const importedNames = new Set();
+    stations.forEach((station) => {
+      // Unnamed or duplicate stations are numbered like stations picked on the globe
+      if (!station.name || importedNames.has(station.name)) {
+        station.name = this.#nextGroundStationName(names);
+      }
+      names.add(station.name);
+      importedNames.add(station.name);
+      station.horizonMask ??= this.getGroundStation(station.name)?.horizonMask;
+    });
+    const existing = this.groundStations
+      .filter((groundStation) => !importedNames.has(groundStation.name))
+      .map(({ name, position, minElevation, horizonMask }) => ({ ...position, name, minElevation, horizonMask }));
+    this.setGroundStations([...existing, ...stations]);
+    return stations.length;
+  }
+
+  /**
+   * Load a ground station network from a CSV or GeoJSON file
+   * @param {String} url - URL of the station list
+   */
+  addGroundStationsFromUrl(url) {
+    return fetchText(url)
+      .then((data) => {
+        this.importGroundStations(data);
+      })
+      .catch((error) => {
+        console.log(error);
+        useToast().error(`Failed to load ground stations from ${url}: ${error.message}`);
+      });
+  }
+
+  /**
+   * Export all ground stations
+   * @param {String} format - csv or geojson
+   * @returns {String}
+   */
+  exportGroundStations(format = "csv") {
+    const stations = this.groundStations.map(({ name, position, minElevation, horizonMask }) => ({
+      name,
+      latitude: position.latitude,
+      longitude: position.longitude,
+      height: position.height,
+      minElevation,
+      horizonMask: horizonMask?.toString(),
+    }));
+    switch (format) {
+      case "csv":
+        return GroundStationParser.toCsv(stations);
+      case "geojson":
+        return GroundStationParser.toGeoJson(stations);
+      default:
+        throw new TypeError(`Unsupported ground station format ${format}`);
+    }
+  }
+
+  /**
+   * Upcoming passes of a satellite or over a ground station as listed in their infobox
+   * @param {Object} selection - name of the satellite or the ground station
+   * @param {Cesium.JulianDate} time - start time, the current simulation time by default
+   * @returns {Object[]} - passes that have not ended yet
+   */
+  upcomingPasses({ satellite, groundStation }, time = this.viewer.clock.currentTime) {
+    let passes = [];
+    if (satellite) {
+      const sat = this.getSatellite(satellite);
+      if (!sat) {
+        throw new Error(`Unknown satellite ${satellite}`);
+      }
+      sat.props.updatePasses(time);
+      passes = sat.props.passes;
+    } else if (groundStation) {
+      const station = this.getGroundStation(groundStation);
+      if (!station) {
+        throw new Error(`Unknown ground station ${groundStation}`);
+      }
+      passes = station.passes(time);
+    }
+    const now = Cesium.JulianDate.toDate(time).getTime();
+    return passes.filter((pass) => pass.end > now);
+  }
+
+  /**
+   * Export the upcoming passes of a satellite or over a ground station as iCalendar with one event per pass
+   * @param {Object} selection - name of the satellite or the ground station
+   * @param {Number} alarmMinutes - minutes before AOS for a reminder, no reminder if 0
+   * @returns {String}
+   */
+  exportPassesIcs(selection, alarmMinutes = this.calendarAlarm) {
+    const passes = this.upcomingPasses(selection);
+    return ICalendarHelper.passesToIcs(passes, {
+      calendarName: `${selection.satellite ?? selection.groundStation} passes`,
+      alarmMinutes,
+    });
+  }
+
+  /**
+   * Export the upcoming passes of a satellite or over a ground station with all fields of the pass prediction
+   * @param {Object} selection - name of the satellite or the ground station
+   * @param {String} format - csv or json
+   * @returns {String}
+   */
+  exportPasses(selection, format = "csv") {
+    const passes = this.upcomingPasses(selection);
+    switch (format) {
+      case "csv":
+        return PassExportHelper.passesToCsv(passes);
+      case "json":
+        return PassExportHelper.passesToJson(passes);
+      default:
+        throw new TypeError(`Unsupported pass export format ${format}`);
+    }
+  }
+
+  /**
+   * Export the Doppler profile of a pass of a satellite
+   * @param {String} name - name of the satellite
+   * @param {String} groundStation - name of the ground station of the pass
+   * @param {Number} start - start of the pass in ms
+   * @returns {String} - CSV content
+   */
+  exportDoppler(name, groundStation, start) {
+    const sat = this.getSatellite(name);
+    if (!sat) {
+      throw new Error(`Unknown satellite ${name}`);
+    }
+    const pass = sat.props.passes.find((other) => other.groundStation === groundStation && other.start === start);
+    if (!pass) {
+      throw new Error(`Unknown pass of ${name}`);
+    }
+    return Doppler.toCsv(sat.props.dopplerProfile(pass), sat.props.frequencies);
+  }
+
+  /**
+   * Export the sampled ephemeris of a satellite with ECI, ECEF and geodetic coordinates
+   * @param {String} name - name of the satellite
+   * @param {Object} options - start and end date, the current simulation time and one day later by default, step in seconds and format (csv or json)
+   * @returns {String}
+   */
+  exportEphemeris(name, { start = Cesium.JulianDate.toDate(this.viewer.clock.currentTime), end = new Date(new Date(start).getTime() + 86400000), step = 60, format = "csv" } = {}) {
+    const sat = this.getSatellite(name);
+    if (!sat) {
+      throw new Error(`Unknown satellite ${name}`);
+    }
+    if (!["csv", "json"].includes(format)) {
+      throw new TypeError(`Unsupported ephemeris export format ${format}`);
+    }
+    const samples = Ephemeris.sample(sat.props.orbit, start, end, step);
+    return format === "csv" ? Ephemeris.toCsv(samples) : Ephemeris.toJson(samples);
+  }
+
+  #nextGroundStationName(names = new Set(this.groundStations.map((groundStation) => groundStation.name))) {
+    const name = GroundStationEntity.DEFAULT_NAME;
+    let number = 1;
+    while (names.has(number === 1 ? name : `${name} ${number}`)) {
+      number += 1;
+    }
+    return number === 1 ? name : `${name} ${number}`;
+  }
+
+  // Update the ground stations of all satellites and the store for url state
+  #updateGroundStations() {
+    this.satellites.forEach((sat) => {
+      sat.groundStations = this.groundStations;
+    });
     const satStore = useSatStore();
-    satStore.groundstation = [position.latitude, position.longitude];
+    satStore.groundstations = this.groundStations.map(({ name, position, minElevation, horizonMask }) => ({
+      name,
+      latitude: position.latitude,
+      longitude: position.longitude,
+      height: position.height,
+      minElevation,
+      horizonMask: horizonMask?.toString(),
+    }));
   }
 }
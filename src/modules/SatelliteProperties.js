@@ -6,20 +6,33 @@
  * - 构造函数 "constructor"
  * - 判断是否有标签 "hasTag"
  * - 添加标签 "addTags"
+ * - 添加历史TLE "addOrbits"
+ * - 选择历元最接近的TLE "selectOrbit"
+ * - 判断最近是否有机动 "maneuveredRecently"
  * - 获取位置 "position"
  * - 获取下一个轨道的采样位置 "getSampledPositionsForNextOrbit"
  * - 创建采样位置 "createSampledPosition"
  * - 更新采样位置 "updateSampledPosition"
  * - 初始化采样位置 "initSampledPosition"
- * - 添加采样位置 "addSamples"
- * - 计算惯性坐标系下的位置 "computePositionInertialTEME"
- * - 计算位置 "computePosition"
+ * - 计算采样时刻（偏心轨道按偏近点角均匀采样） "sampleOffsets"
+ * - 异步添加采样位置 "addSamples"
  * - 计算地面轨迹 "groundTrack"
  * - 获取地面站是否可用 "groundStationAvailable"
+ * - 获取通过所属的地面站 "groundStationOf"
  * - 更新通过 "updatePasses"
+ * - 计算所有地面站的通过（可选仅目视可见） "computePasses"
  * - 清除通过 "clearPasses"
  * - 计算通过时间 "computePassIntervals"
  * - 通知通过 "notifyPasses"
+ * - 计算通过的多普勒曲线 "dopplerProfile"
+ * - 获取光照状态 "illumination"
+ * - 更新地影区间 "updateEclipses"
+ * - 获取下一次通过 "nextPass"
+ * - 获取TLE历元的时长 "epochAge"
+ * - 判断TLE是否过期 "isStale"
+ * - 计算覆盖区半径 "footprintRadius"
+ * - 计算传感器的地面覆盖和姿态 "sensorCoverage" / "sensorOrientation"
+ * - 获取显示名称、颜色和3D模型 "displayName" / "color" / "modelUri"
  * - 获取扫描宽度 "swath"
  */
 import * as Cesium from "@cesium/engine";
@@ -27,6 +40,12 @@ import dayjs from "dayjs";
 import { useToast } from "vue-toastification";
 
 import Orbit from "./Orbit";
+import { Doppler } from "./Doppler";
+import { ManeuverDetection } from "./ManeuverDetection";
+import { Sun } from "./Sun";
+import { KeplerianPropagator } from "./util/KeplerianPropagator";
+import { PackedSampledPosition } from "./util/PackedSampledPosition";
+import { PropagationPool } from "./util/PropagationPool";
 import { PushManager } from "./util/PushManager";
 import "./util/CesiumSampledPositionRawValueAccess";
 
@@ -34,19 +53,55 @@ import satvisIcon from "../assets/android-chrome-192x192.png";
 import { CesiumCallbackHelper } from "./util/CesiumCallbackHelper";
 
 export class SatelliteProperties {
+  /**
+   * @param {String|Orbit} tle - three line TLE string or an already created orbit (e.g. from an OMM record)
+   * @param {String[]} tags - satellite tags
+   */
   constructor(tle, tags = []) {
-    this.name = tle.split("\n")[0].trim();
-    if (tle.startsWith("0 ")) {
-      this.name = this.name.substring(2);
+    if (tle instanceof Orbit) {
+      this.orbit = tle;
+      this.name = this.orbit.name;
+    } else {
+      this.name = tle.split("\n")[0].trim();
+      if (tle.startsWith("0 ")) {
+        this.name = this.name.substring(2);
+      }
+      this.orbit = new Orbit(this.name, tle);
     }
-    this.orbit = new Orbit(this.name, tle);
+    // Catalog number as Number (see Orbit.satnum), undefined for custom satellites
     this.satnum = this.orbit.satnum;
+    // All known element sets sorted by epoch, the one closest to the simulation time is used for propagation
+    this.orbits = [this.orbit];
+    // Maneuvers and decay detected from successive element sets
+    this.orbitEvents = [];
     this.tags = tags;
-
-    this.groundStationPosition = undefined;
+    // Metadata from the satellite registry (see SatelliteRegistry)
+    this.metadata = {};
+    // Record of the satellite catalog (see SatcatParser.normalize), undefined if no SATCAT is loaded
+    this.satcat = undefined;
+
+    // Ground stations with a unique name, a position (latitude and longitude in degrees, height in meters and cartesian)
+    // and an optional elevation mask of passes (minimum elevation in degrees or a function of the azimuth)
+    this.groundStations = [];
     this.passes = [];
     this.passInterval = undefined;
-    this.passIntervals = new Cesium.TimeIntervalCollection();
+    // Pass intervals by ground station name
+    this.passIntervals = new Map();
+    // Nominal radio frequencies ({name, frequency, direction}) with frequency in Hz and direction "uplink" or "downlink"
+    this.frequencies = [];
+    this.dopplerProfiles = new Map();
+    this.eclipses = [];
+    this.eclipseInterval = undefined;
+    // Optical visibility settings for pass prediction
+    this.visiblePassesOnly = false;
+    this.twilight = "nautical";
+    this.standardMagnitude = 4;
+    // TLE epoch age in days above which the elements are considered stale
+    this.staleTleAge = 14;
+    // Minimum elevation in degrees from which the satellite is visible within its footprint
+    this.footprintElevation = 10;
+    // Sensor models rendered by the sensor cone and ground track components, a nadir cone and the swath are used if empty
+    this.sensors = [];
     this.pm = new PushManager({
       icon: satvisIcon,
     });
@@ -60,8 +115,57 @@ export class SatelliteProperties {
     this.tags = [...new Set(this.tags.concat(tags))];
   }
 
+  /**
+   * Add further element sets of this satellite, e.g. from a historical TLE archive
+   * @param {Orbit[]} orbits - orbits of the same satellite, element sets with an already known epoch are ignored
+   */
+  addOrbits(orbits) {
+    const epochs = new Set(this.orbits.map((orbit) => orbit.epoch.getTime()));
+    orbits.forEach((orbit) => {
+      if (!epochs.has(orbit.epoch.getTime())) {
+        epochs.add(orbit.epoch.getTime());
+        this.orbits.push(orbit);
+      }
+    });
+    this.orbits.sort((a, b) => a.epoch - b.epoch);
+    this.orbitEvents = ManeuverDetection.detect(this.orbits);
+  }
+
+  /**
+   * Check if a maneuver was detected shortly before the given time
+   * @param {Cesium.JulianDate} time
+   * @param {Number} days - length of the period before the given time in days
+   * @returns {boolean}
+   */
+  maneuveredRecently(time, days = 30) {
+    const date = Cesium.JulianDate.toDate(time).getTime();
+    return this.orbitEvents.some((event) => event.type === ManeuverDetection.MANEUVER && event.epoch <= date && date - event.epoch <= days * 86400000);
+  }
+
+  /**
+   * Switch to the element set with the epoch closest to the given time
+   * @param {Cesium.JulianDate} time
+   * @returns {boolean} true if the element set changed
+   */
+  selectOrbit(time) {
+    if (this.orbits.length < 2) {
+      return false;
+    }
+    const date = Cesium.JulianDate.toDate(time).getTime();
+    const closest = this.orbits.reduce((best, orbit) => (Math.abs(orbit.epoch - date) < Math.abs(best.epoch - date) ? orbit : best));
+    if (closest === this.orbit) {
+      return false;
+    }
+    this.orbit = closest;
+    // Drop all results derived from the previous element set
+    this.sampledPosition = undefined;
+    this.clearPasses();
+    this.eclipseInterval = undefined;
+    return true;
+  }
+
   position(time) {
-    return this.sampledPosition.fixed.getValue(time);
+    return this.sampledPosition?.fixed.getValue(time);
   }
 
   getSampledPositionsForNextOrbit(start, reference = "inertial", loop = true) {
@@ -75,27 +179,38 @@ export class SatelliteProperties {
   }
 
   createSampledPosition(viewer, callback) {
-    this.updateSampledPosition(viewer.clock.currentTime);
-    callback(this.sampledPosition);
+    let active = true;
+    const update = (time) => {
+      this.updateSampledPosition(time).then(() => {
+        // Skip results that arrive after the sampled position was removed
+        if (active) {
+          callback(this.sampledPosition);
+        }
+      }).catch((error) => {
+        console.log(`Failed to propagate ${this.name}`, error);
+      });
+    };
+    update(viewer.clock.currentTime);
 
     const samplingRefreshRate = (this.orbit.orbitalPeriod * 60) / 4;
-    const removeCallback = CesiumCallbackHelper.createPeriodicTimeCallback(viewer, samplingRefreshRate, (time) => {
-      this.updateSampledPosition(time);
-      callback(this.sampledPosition);
-    });
+    const removeCallback = CesiumCallbackHelper.createPeriodicTimeCallback(viewer, samplingRefreshRate, update);
     return () => {
+      active = false;
       removeCallback();
       this.sampledPosition = undefined;
     };
   }
 
+  /**
+   * Extend the sampled position to cover the time around the given time.
+   * The samples are propagated asynchronously by the propagation worker pool.
+   * @param {Cesium.JulianDate} time
+   * @returns {Promise} - resolves once all requested samples have been added
+   */
   updateSampledPosition(time) {
-    // Determine sampling interval based on sampled positions per orbit and orbital period
-    // 120 samples per orbit seems to be a good compromise between performance and accuracy
-    const samplingPointsPerOrbit = 120;
+    this.selectOrbit(time);
+
     const orbitalPeriod = this.orbit.orbitalPeriod * 60;
-    const samplingInterval = orbitalPeriod / samplingPointsPerOrbit;
-    // console.log("updateSampledPosition", this.name, this.orbit.orbitalPeriod, samplingInterval.toFixed(2));
 
     // Always keep half an orbit backwards and 1.5 full orbits forward in the sampled position
     const request = new Cesium.TimeInterval({
@@ -119,15 +234,16 @@ export class SatelliteProperties {
     //   `Intersect ${Cesium.TimeInterval.toIso8601(intersect, 0)}`,
     // );
 
+    const samples = [];
     if (missingSecondsStart > 0) {
       const samplingStart = Cesium.JulianDate.addSeconds(intersect.start, -missingSecondsStart, new Cesium.JulianDate());
       const samplingStop = this.sampledPosition.interval.start;
-      this.addSamples(samplingStart, samplingStop, samplingInterval);
+      samples.push(this.addSamples(samplingStart, samplingStop));
     }
     if (missingSecondsEnd > 0) {
       const samplingStart = this.sampledPosition.interval.stop;
       const samplingStop = Cesium.JulianDate.addSeconds(intersect.stop, missingSecondsEnd, new Cesium.JulianDate());
-      this.addSamples(samplingStart, samplingStop, samplingInterval);
+      samples.push(this.addSamples(samplingStart, samplingStop));
     }
 
     // Remove no longer needed samples
@@ -147,8 +263,14 @@ export class SatelliteProperties {
     this.sampledPosition.inertial.removeSamples(removeBefore);
     this.sampledPosition.fixed.removeSamples(removeAfter);
     this.sampledPosition.inertial.removeSamples(removeAfter);
+    this.sampledPosition.packed.removeSamplesOutside(request);
 
     this.sampledPosition.interval = request;
+
+    const { sampledPosition } = this;
+    return Promise.all(samples).then(() => {
+      sampledPosition.ready = true;
+    });
   }
 
   initSampledPosition(currentTime) {
@@ -173,77 +295,111 @@ export class SatelliteProperties {
       interpolationDegree: 5,
       interpolationAlgorithm: Cesium.LagrangePolynomialApproximation,
     });
+    // Fixed samples in packed arrays from which batched points and labels are interpolated without the property
+    this.sampledPosition.packed = new PackedSampledPosition(currentTime);
     this.sampledPosition.valid = true;
+    // Set once the first samples have been added
+    this.sampledPosition.ready = false;
   }
 
-  addSamples(start, stop, samplingInterval) {
-    const times = [];
-    const positionsFixed = [];
-    const positionsInertial = [];
-    for (let time = start; Cesium.JulianDate.compare(stop, time) >= 0; time = Cesium.JulianDate.addSeconds(time, samplingInterval, new Cesium.JulianDate())) {
-      const { positionFixed, positionInertial } = this.computePosition(time);
-      times.push(time);
-      positionsFixed.push(positionFixed);
-      positionsInertial.push(positionInertial);
+  /**
+   * Sample times for the sampled position.
+   * Near-circular orbits are sampled evenly in time. Eccentric orbits are sampled evenly in eccentric anomaly, which concentrates
+   * the samples around the perigee. Their number of samples per orbit is increased so that the true anomaly between two samples
+   * at the perigee does not exceed the spacing of a circular orbit, which keeps the interpolation error at the level of circular orbits.
+   * @param {Cesium.JulianDate} start - time of the first sample
+   * @param {Cesium.JulianDate} stop - latest time of the last sample
+   * @param {Number} samplingPointsPerOrbit - samples per orbit of a circular orbit
+   * @returns {Float64Array} - sample times as offsets in seconds from start
+   */
+  sampleOffsets(start, stop, samplingPointsPerOrbit = 120) {
+    // 120 samples per orbit seems to be a good compromise between performance and accuracy
+    const duration = Cesium.JulianDate.secondsDifference(stop, start);
+    const orbitalPeriod = this.orbit.orbitalPeriod * 60;
+    const { eccentricity } = this.orbit.elements;
+    if (eccentricity < 0.1) {
+      const samplingInterval = orbitalPeriod / samplingPointsPerOrbit;
+      const count = Math.floor(duration / samplingInterval) + 1;
+      return Float64Array.from({ length: count }, (_, i) => i * samplingInterval);
     }
-    // Add all samples at once as adding a sorted array avoids searching for the correct position every time
-    this.sampledPosition.fixed.addSamples(times, positionsFixed);
-    this.sampledPosition.inertial.addSamples(times, positionsInertial);
-  }
 
-  computePositionInertialTEME(time) {
-    const eci = this.orbit.positionECI(Cesium.JulianDate.toDate(time));
-    if (this.orbit.error) {
-      this.sampledPosition.valid = false;
-      return Cesium.Cartesian3.ZERO;
+    // The true anomaly changes faster than the eccentric anomaly at the perigee by sqrt((1 + e) / (1 - e))
+    const samples = Math.ceil(samplingPointsPerOrbit * Math.sqrt((1 + eccentricity) / (1 - eccentricity)));
+    const eccentricAnomalyStep = (2 * Math.PI) / samples;
+    const meanMotion = (2 * Math.PI) / orbitalPeriod;
+    const meanAnomalyStart = this.orbit.meanAnomaly(Cesium.JulianDate.toDate(start));
+    const eccentricAnomalyStart = KeplerianPropagator.solveKepler(meanAnomalyStart, eccentricity);
+    const offsets = [];
+    for (let i = 0; ; i += 1) {
+      const eccentricAnomaly = eccentricAnomalyStart + i * eccentricAnomalyStep;
+      const meanAnomaly = eccentricAnomaly - eccentricity * Math.sin(eccentricAnomaly);
+      const offset = (meanAnomaly - meanAnomalyStart) / meanMotion;
+      if (offset > duration) {
+        break;
+      }
+      offsets.push(offset);
     }
-    return new Cesium.Cartesian3(eci.x * 1000, eci.y * 1000, eci.z * 1000);
+    return Float64Array.from(offsets);
   }
 
-  computePosition(timestamp) {
-    const positionInertialTEME = this.computePositionInertialTEME(timestamp);
-
-    const temeToFixed = Cesium.Transforms.computeTemeToPseudoFixedMatrix(timestamp);
-    if (!Cesium.defined(temeToFixed)) {
-      console.error("Reference frame transformation data failed to load");
-    }
-    const positionFixed = Cesium.Matrix3.multiplyByVector(temeToFixed, positionInertialTEME, new Cesium.Cartesian3());
+  addSamples(start, stop) {
+    const { sampledPosition } = this;
+    const offsets = this.sampleOffsets(start, stop);
+    const count = offsets.length;
+    return PropagationPool.instance.propagate(this.orbit.propagationSource, start, offsets).then(({ fixed, inertial, valid }) => {
+      if (sampledPosition !== this.sampledPosition) {
+        // Sampled position was recreated in the meantime
+        return;
+      }
+      if (!valid) {
+        sampledPosition.valid = false;
+      }
+      // Interleave the sample times (as offsets from the start) with the positions
+      const packedFixed = new Float64Array(count * 4);
+      const packedInertial = new Float64Array(count * 4);
+      for (let i = 0; i < count; i += 1) {
+        packedFixed.set([offsets[i], fixed[i * 3], fixed[i * 3 + 1], fixed[i * 3 + 2]], i * 4);
+        packedInertial.set([offsets[i], inertial[i * 3], inertial[i * 3 + 1], inertial[i * 3 + 2]], i * 4);
+      }
+      // Add all samples at once as adding a sorted array avoids searching for the correct position every time
+      sampledPosition.fixed.addSamplesPackedArray(packedFixed, start);
+      sampledPosition.inertial.addSamplesPackedArray(packedInertial, start);
+      sampledPosition.packed.addSamples(start, offsets, fixed);
+    });
+  }
 
-    const fixedToIcrf = Cesium.Transforms.computeFixedToIcrfMatrix(timestamp);
-    if (!Cesium.defined(fixedToIcrf)) {
-      console.error("Reference frame transformation data failed to load");
+  /**
+   * Positions of the satellite over one full revolution starting at the given time, optionally rotated perpendicular to the flight direction.
+   * The propagated samples are used directly, so the track has the sampling density of the sampled position for every orbit class.
+   * @param {Cesium.JulianDate} julianDate - start of the ground track
+   * @param {Number} offset - distance along the surface in meters, positive to the right of the flight direction
+   * @returns {Cesium.Cartesian3[]} - satellite positions in the fixed frame
+   */
+  groundTrack(julianDate, offset = 0) {
+    const position = this.position(julianDate);
+    if (!position) {
+      return [];
     }
-    const positionInertialICRF = Cesium.Matrix3.multiplyByVector(fixedToIcrf, positionFixed, new Cesium.Cartesian3());
-
-    // Show computed sampled position
-    // window.cc.viewer.entities.add({
-    //  //position: positionFixed,
-    //  position: new Cesium.ConstantPositionProperty(positionInertialICRF, Cesium.ReferenceFrame.INERTIAL),
-    //  point: {
-    //    pixelSize: 8,
-    //    color: Cesium.Color.TRANSPARENT,
-    //    outlineColor: Cesium.Color.YELLOW,
-    //    outlineWidth: 2,
-    //  }
-    // });
-
-    return { positionFixed, positionInertial: positionInertialICRF };
-  }
-
-  groundTrack(julianDate, samplesFwd = 2, samplesBwd = 0, interval = 600) {
-    const groundTrack = [];
-
-    const startTime = -samplesBwd * interval;
-    const stopTime = samplesFwd * interval;
-    for (let time = startTime; time <= stopTime; time += interval) {
-      const timestamp = Cesium.JulianDate.addSeconds(julianDate, time, new Cesium.JulianDate());
-      groundTrack.push(this.position(timestamp));
+    const positions = [position, ...this.getSampledPositionsForNextOrbit(julianDate, "fixed", false)];
+    if (offset === 0) {
+      return positions;
     }
-    return groundTrack;
+    const angle = offset / Cesium.Ellipsoid.WGS84.maximumRadius;
+    return positions.map((point, index) => {
+      const direction = Cesium.Cartesian3.subtract(positions[Math.min(index + 1, positions.length - 1)], positions[Math.max(index - 1, 0)], new Cesium.Cartesian3());
+      // Rotating around the flight direction moves the point along the great circle perpendicular to the track
+      const axis = Cesium.Cartesian3.normalize(direction, direction);
+      const rotation = Cesium.Matrix3.fromQuaternion(Cesium.Quaternion.fromAxisAngle(axis, angle));
+      return Cesium.Matrix3.multiplyByVector(rotation, point, new Cesium.Cartesian3());
+    });
   }
 
   get groundStationAvailable() {
-    return (typeof this.groundStationPosition !== "undefined");
+    return this.groundStations.length > 0;
+  }
+
+  groundStationOf(pass) {
+    return this.groundStations.find((groundStation) => groundStation.name === pass.groundStation);
   }
 
   updatePasses(time) {
@@ -261,8 +417,7 @@ export class SatelliteProperties {
       stopPrediction: Cesium.JulianDate.addDays(time, 4, Cesium.JulianDate.clone(time)),
     };
 
-    const passes = this.orbit.computePassesElevation(
-      this.groundStationPosition,
+    const passes = this.computePasses(
       Cesium.JulianDate.toDate(this.passInterval.start),
       Cesium.JulianDate.toDate(this.passInterval.stopPrediction),
     );
@@ -275,60 +430,205 @@ export class SatelliteProperties {
     return true;
   }
 
+  /**
+   * Passes over all ground stations sorted by start time, each pass contains the name of its ground station
+   * @param {Date} startDate - start of the prediction
+   * @param {Date} endDate - end of the prediction
+   * @param {Boolean} visibleOnly - only passes where the satellite is visible to the naked eye
+   * @returns {Object[]}
+   */
+  computePasses(startDate, endDate, visibleOnly = this.visiblePassesOnly) {
+    const passes = this.groundStations.flatMap((groundStation) => {
+      let stationPasses;
+      if (visibleOnly) {
+        stationPasses = this.orbit.computeVisiblePasses(groundStation.position, startDate, endDate, {
+          twilight: this.twilight,
+          standardMagnitude: this.standardMagnitude,
+          minElevation: groundStation.elevationMask,
+        });
+      } else {
+        stationPasses = this.orbit.computePassesElevation(groundStation.position, startDate, endDate, groundStation.elevationMask);
+      }
+      return stationPasses.map((pass) => ({ ...pass, groundStation: groundStation.name }));
+    });
+    return passes.sort((a, b) => a.start - b.start);
+  }
+
   clearPasses() {
     this.passInterval = undefined;
     this.passes = [];
-    this.passIntervals = new Cesium.TimeIntervalCollection();
+    this.dopplerProfiles.clear();
+    this.passIntervals = new Map();
   }
 
   computePassIntervals() {
-    const passIntervalArray = this.passes.map((pass) => {
-      const startJulian = Cesium.JulianDate.fromDate(new Date(pass.start));
-      const endJulian = Cesium.JulianDate.fromDate(new Date(pass.end));
-      return new Cesium.TimeInterval({
-        start: startJulian,
-        stop: endJulian,
+    this.passIntervals = new Map(this.groundStations.map((groundStation) => {
+      const passIntervalArray = this.passes.filter((pass) => pass.groundStation === groundStation.name).map((pass) => {
+        const startJulian = Cesium.JulianDate.fromDate(new Date(pass.start));
+        const endJulian = Cesium.JulianDate.fromDate(new Date(pass.end));
+        return new Cesium.TimeInterval({
+          start: startJulian,
+          stop: endJulian,
+        });
       });
-    });
-    this.passIntervals = new Cesium.TimeIntervalCollection(passIntervalArray);
+      return [groundStation.name, new Cesium.TimeIntervalCollection(passIntervalArray)];
+    }));
   }
 
-  notifyPasses(aheadMin = 5) {
+  notifyPasses(aheadMin = 5, visibleOnly = this.visiblePassesOnly) {
     const toast = useToast();
 
     if (!this.groundStationAvailable) {
       toast.warning("Ground station required to notify for passes");
       return;
     }
-    const passes = this.orbit.computePassesElevation(this.groundStationPosition);
+    const startDate = dayjs().toDate();
+    const passes = this.computePasses(startDate, dayjs(startDate).add(7, "day").toDate(), visibleOnly);
     if (!passes) {
       toast.info(`No passes for ${this.name}`);
       return;
     }
 
+    const passType = visibleOnly ? "visible pass" : "pass";
     passes.forEach((pass) => {
       const start = dayjs(pass.start).startOf("second");
-      this.pm.notifyAtDate(start.subtract(aheadMin, "minute"), `${pass.name} pass in ${aheadMin} minutes`);
-      this.pm.notifyAtDate(start, `${pass.name} pass starting now`);
+      const title = this.groundStations.length > 1 ? `${pass.name} ${passType} over ${pass.groundStation}` : `${pass.name} ${passType}`;
+      this.pm.notifyAtDate(start.subtract(aheadMin, "minute"), `${title} in ${aheadMin} minutes`);
+      this.pm.notifyAtDate(start, `${title} starting now`);
       // this.pm.notifyAtDate(dayjs().add(5, "second"), `${pass.name} test pass in ${aheadMin} minutes`);
     });
-    toast.success(`Notifying for ${passes.length} passes of ${this.name}`);
+    toast.success(`Notifying for ${passes.length} ${passType}es of ${this.name}`);
   }
 
-  get swath() {
-    // Hardcoded swath for certain satellites
-    if (["SUOMI NPP", "NOAA 20 (JPSS-1)", "NOAA 21 (JPSS-2)"].includes(this.name)) {
-      return 3000;
+  /**
+   * Shadow state looked up in the eclipse intervals, the orbit is only propagated when the eclipses are recomputed.
+   * @param {Cesium.JulianDate} time - time of the lookup
+   * @returns {String} - Sun.SUNLIT, Sun.PENUMBRA or Sun.UMBRA
+   */
+  illumination(time) {
+    this.updateEclipses(time);
+    const date = Cesium.JulianDate.toDate(time).getTime();
+    const eclipse = this.eclipses.find(({ start, end }) => start <= date && date < end);
+    if (!eclipse) {
+      return Sun.SUNLIT;
     }
-    if (["AQUA", "TERRA"].includes(this.name)) {
-      return 2330;
+    // Eclipses ongoing at the end of the computation have no umbra exit
+    if (eclipse.umbraStart <= date && date < (eclipse.umbraEnd ?? eclipse.end)) {
+      return Sun.UMBRA;
     }
-    if (this.name.includes("SENTINEL-2")) {
-      return 290;
+    return Sun.PENUMBRA;
+  }
+
+  updateEclipses(time) {
+    // Check if still inside of current eclipse interval
+    if (typeof this.eclipseInterval !== "undefined" && Cesium.TimeInterval.contains(this.eclipseInterval, time)) {
+      return false;
+    }
+    this.eclipseInterval = new Cesium.TimeInterval({
+      start: Cesium.JulianDate.addDays(time, -1, new Cesium.JulianDate()),
+      stop: Cesium.JulianDate.addDays(time, 1, new Cesium.JulianDate()),
+    });
+    this.eclipses = this.orbit.computeEclipses(
+      Cesium.JulianDate.toDate(this.eclipseInterval.start),
+      Cesium.JulianDate.toDate(Cesium.JulianDate.addDays(time, 2, new Cesium.JulianDate())),
+    );
+    return true;
+  }
+
+  nextPass(time) {
+    const date = Cesium.JulianDate.toDate(time).getTime();
+    return this.passes.find((pass) => pass.end > date);
+  }
+
+  /**
+   * Age of the TLE epoch in days
+   * @param {Cesium.JulianDate} time - reference time, defaults to the current time
+   * @returns {Number} - days since the epoch, negative if the epoch is in the future
+   */
+  epochAge(time = Cesium.JulianDate.now()) {
+    return (Cesium.JulianDate.toDate(time).getTime() - this.orbit.epoch.getTime()) / 86400000;
+  }
+
+  isStale(time) {
+    if (!this.orbit.tle) {
+      // Custom orbits without TLE are not updated
+      return false;
     }
-    if (this.name.includes("LANDSAT")) {
-      return 185;
+    return Math.abs(this.epochAge(time)) > this.staleTleAge;
+  }
+
+  dopplerProfile(pass, step = Doppler.step(pass)) {
+    const key = `${pass.groundStation}-${pass.start}-${step}`;
+    if (!this.dopplerProfiles.has(key)) {
+      this.dopplerProfiles.set(key, Doppler.profile(this.orbit, this.groundStationOf(pass).position, pass, this.frequencies, step));
     }
-    return 200;
+    return this.dopplerProfiles.get(key);
+  }
+
+  /**
+   * Radius of the area on the ground from which the satellite is seen above the minimum elevation.
+   * @param {Cesium.JulianDate} time - time
+   * @param {Number} minElevation - minimum elevation in degrees
+   * @returns {Number|undefined} - radius along the surface in meters, undefined if the satellite is below the minimum elevation everywhere
+   */
+  footprintRadius(time, minElevation = this.footprintElevation) {
+    const position = this.position(time);
+    if (!position) {
+      return undefined;
+    }
+    const earthRadius = Cesium.Ellipsoid.WGS84.maximumRadius;
+    const elevation = Cesium.Math.toRadians(minElevation);
+    // Earth central angle between the sub-satellite point and the edge of the footprint
+    const centralAngle = Math.acos((earthRadius * Math.cos(elevation)) / Cesium.Cartesian3.magnitude(position)) - elevation;
+    if (!(centralAngle > 0)) {
+      return undefined;
+    }
+    return centralAngle * earthRadius;
+  }
+
+  /**
+   * Ground coverage of a sensor perpendicular to the flight direction.
+   * @param {Cesium.JulianDate} time - time
+   * @param {SensorModel} sensor - sensor
+   * @returns {{width: Number, offset: Number}|undefined} - width and offset from the ground track in meters
+   */
+  sensorCoverage(time, sensor) {
+    const position = this.position(time);
+    if (!position) {
+      return undefined;
+    }
+    return sensor.groundCoverage(Cesium.Cartesian3.magnitude(position));
+  }
+
+  /**
+   * Orientation of a sensor in the fixed frame.
+   * @param {Cesium.JulianDate} time - time
+   * @param {SensorModel} sensor - sensor
+   * @returns {Cesium.Quaternion|undefined}
+   */
+  sensorOrientation(time, sensor) {
+    const position = this.position(time);
+    const nextPosition = this.position(Cesium.JulianDate.addSeconds(time, 1, new Cesium.JulianDate()));
+    if (!position || !nextPosition) {
+      return undefined;
+    }
+    return sensor.orientation(position, Cesium.Cartesian3.subtract(nextPosition, position, new Cesium.Cartesian3()));
+  }
+
+  get displayName() {
+    return this.metadata.displayName ?? this.name;
+  }
+
+  // Color of the orbit, tracks and sensors, undefined for the default colors of each component
+  get color() {
+    return this.metadata.color;
+  }
+
+  get modelUri() {
+    return this.metadata.model ?? `./data/models/${this.name.split(" ").join("-")}.glb`;
+  }
+
+  get swath() {
+    return this.metadata.swath ?? 200;
   }
 }
@@ -0,0 +1,94 @@
+/**
+ * SatelliteRegistry.js
+ *
+ * 该文件定义了一个SatelliteRegistry类，用于管理从JSON文件加载的卫星元数据（显示名称、颜色、扫描宽度、传感器、3D模型、运营商和频率）。
+ * 条目通过NORAD编号或名称的正则表达式匹配卫星，NORAD编号的条目优先于名称匹配的条目，因此添加卫星配置无需修改代码。
+ * 其中方法包括：
+ * - 加载注册表 “load”
+ * - 校验条目 “parseEntry”
+ * - 查询卫星的元数据 “lookup”
+ * - 比较两组元数据是否相同 “equalMetadata”
+ */
+import * as Cesium from "@cesium/engine";
+
+import { SensorModel } from "./SensorModel";
+
+export class SatelliteRegistry {
+  /**
+   * @param {Object[]} entries - entries with either norad (catalog number) or pattern (regular expression of the satellite name)
+   *   and the optional metadata displayName, color (CSS color), swath (km), sensors (see SensorModel), model (glTF URI),
+   *   operator and frequencies ({name, frequency, direction} with frequency in Hz and direction "uplink" or "downlink")
+   */
+  constructor(entries = []) {
+    this.entries = entries.map((entry, index) => SatelliteRegistry.parseEntry(entry, index));
+  }
+
+  /**
+   * Load the registry from a JSON file with a satellites array
+   * @param {String} url - URL of the JSON file
+   * @returns {Promise<SatelliteRegistry>}
+   */
+  static load(url) {
+    return fetch(url).then((response) => {
+      if (!response.ok) {
+        throw Error(response.statusText);
+      }
+      return response.json();
+    }).then((json) => new SatelliteRegistry(json.satellites));
+  }
+
+  static parseEntry(entry, index) {
+    const invalid = (message) => new Error(`Invalid satellite registry entry ${index}: ${message}`);
+    const { norad, pattern, displayName, color, swath, sensors, model, operator, frequencies } = entry;
+    if (Number.isInteger(norad) === (typeof pattern === "string")) {
+      throw invalid("either norad or pattern is required");
+    }
+    const metadata = { displayName, swath, model, operator };
+    if (typeof color !== "undefined") {
+      metadata.color = Cesium.Color.fromCssColorString(color);
+      if (!metadata.color) {
+        throw invalid(`unknown color ${color}`);
+      }
+    }
+    if (typeof swath !== "undefined" && !(swath > 0)) {
+      throw invalid("swath must be positive");
+    }
+    if (typeof sensors !== "undefined") {
+      try {
+        metadata.sensors = sensors.map((sensor) => new SensorModel(sensor));
+      } catch (error) {
+        throw invalid(error.message);
+      }
+    }
+    if (typeof frequencies !== "undefined") {
+      if (!frequencies.every(({ frequency, direction }) => frequency > 0 && ["uplink", "downlink"].includes(direction))) {
+        throw invalid("frequencies need a frequency in Hz and an uplink or downlink direction");
+      }
+      metadata.frequencies = frequencies;
+    }
+    // Drop unset fields so that merged entries don't override each other with undefined
+    Object.keys(metadata).filter((key) => typeof metadata[key] === "undefined").forEach((key) => delete metadata[key]);
+    return {
+      norad,
+      pattern: typeof pattern === "string" ? new RegExp(pattern) : undefined,
+      metadata,
+    };
+  }
+
+  /**
+   * Metadata of a satellite merged from all matching entries
+   * @param {Number} satnum - catalog number, undefined for custom satellites
+   * @param {String} name - satellite name
+   * @returns {Object} - metadata, empty if no entry matches
+   */
+  lookup(satnum, name) {
+    const byPattern = this.entries.filter((entry) => entry.pattern?.test(name));
+    const byNorad = this.entries.filter((entry) => typeof satnum !== "undefined" && entry.norad === satnum);
+    return Object.assign({}, ...[...byPattern, ...byNorad].map((entry) => entry.metadata));
+  }
+
+  // Colors and sensor models are compared by value
+  static equalMetadata(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
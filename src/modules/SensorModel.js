@@ -0,0 +1,112 @@
+/**
+ * SensorModel.js
+ *
+ * 该文件定义了一个SensorModel类，用于描述卫星上的传感器：圆锥形或矩形视场、半视场角以及相对于星下点的滚动角和俯仰角。
+ * 侧视传感器（例如SAR）通过滚动角描述，传感器锥体和地面轨迹组件根据该定义进行渲染。
+ * 其中方法包括：
+ * - 计算视线与地面交点到星下点的地面距离 “groundDistance”
+ * - 计算地面覆盖宽度和横向偏移 “groundCoverage”
+ * - 计算传感器的姿态 “orientation”
+ */
+import * as Cesium from "@cesium/engine";
+
+export class SensorModel {
+  static CONIC = "conic";
+
+  static RECTANGULAR = "rectangular";
+
+  /**
+   * @param {Object} definition - sensor definition with all angles in degrees
+   * @param {String} definition.name - sensor name
+   * @param {String} definition.shape - conic or rectangular
+   * @param {Number} definition.halfAngle - half-angle of conic sensors
+   * @param {Number} definition.alongTrackHalfAngle - half-angle of rectangular sensors in flight direction
+   * @param {Number} definition.crossTrackHalfAngle - half-angle of rectangular sensors perpendicular to the flight direction
+   * @param {Number} definition.roll - off-nadir angle perpendicular to the flight direction, positive to the right
+   * @param {Number} definition.pitch - off-nadir angle in flight direction, positive forward
+   */
+  constructor({ name = "Sensor", shape = SensorModel.CONIC, halfAngle, alongTrackHalfAngle, crossTrackHalfAngle, roll = 0, pitch = 0 }) {
+    const isAngle = (angle, limit) => Number.isFinite(angle) && Math.abs(angle) < limit;
+    if (shape === SensorModel.CONIC) {
+      if (!isAngle(halfAngle, 90) || halfAngle <= 0) {
+        throw new Error(`Half-angle of sensor ${name} must be between 0 and 90 degrees`);
+      }
+      this.alongTrackHalfAngle = halfAngle;
+      this.crossTrackHalfAngle = halfAngle;
+    } else if (shape === SensorModel.RECTANGULAR) {
+      if (!isAngle(alongTrackHalfAngle, 90) || !isAngle(crossTrackHalfAngle, 90) || alongTrackHalfAngle <= 0 || crossTrackHalfAngle <= 0) {
+        throw new Error(`Half-angles of sensor ${name} must be between 0 and 90 degrees`);
+      }
+      this.alongTrackHalfAngle = alongTrackHalfAngle;
+      this.crossTrackHalfAngle = crossTrackHalfAngle;
+    } else {
+      throw new Error(`Unknown shape ${shape} of sensor ${name}`);
+    }
+    if (!isAngle(roll, 90) || !isAngle(pitch, 90)) {
+      throw new Error(`Roll and pitch of sensor ${name} must be between -90 and 90 degrees`);
+    }
+    this.name = name;
+    this.shape = shape;
+    this.roll = roll;
+    this.pitch = pitch;
+  }
+
+  get halfAngle() {
+    return this.shape === SensorModel.CONIC ? this.alongTrackHalfAngle : undefined;
+  }
+
+  /**
+   * Signed distance along the surface from the sub-satellite point to the intersection of a line of sight with the earth.
+   * Lines of sight that miss the earth are limited to the horizon.
+   * @param {Number} offNadirAngle - angle between nadir and the line of sight in radians
+   * @param {Number} radius - distance of the satellite from the earth center in meters
+   * @returns {Number} - distance in meters with the sign of the angle
+   */
+  static groundDistance(offNadirAngle, radius) {
+    const earthRadius = Cesium.Ellipsoid.WGS84.maximumRadius;
+    const angle = Math.abs(offNadirAngle);
+    // Law of sines in the triangle earth center, satellite and ground point
+    const sinGroundAngle = (radius / earthRadius) * Math.sin(angle);
+    const centralAngle = sinGroundAngle < 1 ? Math.asin(sinGroundAngle) - angle : Math.acos(earthRadius / radius);
+    return Math.sign(offNadirAngle) * centralAngle * earthRadius;
+  }
+
+  /**
+   * Width of the strip on the ground covered perpendicular to the flight direction and its offset from the ground track.
+   * @param {Number} radius - distance of the satellite from the earth center in meters
+   * @returns {{width: Number, offset: Number}} - width and offset in meters, the offset is positive to the right
+   */
+  groundCoverage(radius) {
+    const roll = Cesium.Math.toRadians(this.roll);
+    const halfAngle = Cesium.Math.toRadians(this.crossTrackHalfAngle);
+    const near = SensorModel.groundDistance(roll - halfAngle, radius);
+    const far = SensorModel.groundDistance(roll + halfAngle, radius);
+    return {
+      width: far - near,
+      offset: (far + near) / 2,
+    };
+  }
+
+  /**
+   * Orientation of the sensor frame with the boresight as z axis and the flight direction as x axis.
+   * @param {Cesium.Cartesian3} position - satellite position
+   * @param {Cesium.Cartesian3} velocity - satellite velocity in the same frame
+   * @returns {Cesium.Quaternion}
+   */
+  orientation(position, velocity) {
+    const nadir = Cesium.Cartesian3.normalize(Cesium.Cartesian3.negate(position, new Cesium.Cartesian3()), new Cesium.Cartesian3());
+    // Velocity component perpendicular to nadir
+    const alongTrack = Cesium.Cartesian3.cross(Cesium.Cartesian3.cross(nadir, velocity, new Cesium.Cartesian3()), nadir, new Cesium.Cartesian3());
+    Cesium.Cartesian3.normalize(alongTrack, alongTrack);
+    const crossTrack = Cesium.Cartesian3.cross(nadir, alongTrack, new Cesium.Cartesian3());
+
+    const rotation = new Cesium.Matrix3();
+    Cesium.Matrix3.setColumn(rotation, 0, alongTrack, rotation);
+    Cesium.Matrix3.setColumn(rotation, 1, crossTrack, rotation);
+    Cesium.Matrix3.setColumn(rotation, 2, nadir, rotation);
+    // Roll the boresight to the right and pitch it forward
+    Cesium.Matrix3.multiply(rotation, Cesium.Matrix3.fromRotationX(Cesium.Math.toRadians(-this.roll)), rotation);
+    Cesium.Matrix3.multiply(rotation, Cesium.Matrix3.fromRotationY(Cesium.Math.toRadians(this.pitch)), rotation);
+    return Cesium.Quaternion.fromRotationMatrix(rotation);
+  }
+}
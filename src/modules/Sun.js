@@ -0,0 +1,102 @@
+/**
+ * Sun.js
+ *
+ * 该文件定义了一个Sun类，用于计算太阳位置以及卫星的光照状态。
+ * 地影采用锥形模型，区分日照（sunlit）、半影（penumbra）和本影（umbra）。
+ * 其中方法包括：
+ * - 计算太阳在地心惯性坐标系中的位置 “positionECI”
+ * - 计算卫星的光照状态 “shadowState”
+ * - 估算卫星的视星等 “visualMagnitude”
+ */
+
+const deg2rad = Math.PI / 180;
+// Astronomical unit, Earth and Sun radius in km
+const astronomicalUnit = 149597870.7;
+const earthRadius = 6378.137;
+const sunRadius = 696000;
+
+function norm(v) {
+  return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+export class Sun {
+  static SUNLIT = "sunlit";
+
+  static PENUMBRA = "penumbra";
+
+  static UMBRA = "umbra";
+
+  // Maximum Sun elevation in degrees for a ground station to be in the given twilight or darker
+  static TWILIGHT = {
+    civil: -0.833,
+    nautical: -6,
+    astronomical: -12,
+  };
+
+  /**
+   * Compute the position of the Sun in the Earth centered inertial frame (mean equator of date).
+   * Low precision algorithm from the Astronomical Almanac with an accuracy of about 0.01 degrees.
+   * @param {Date} date - time of the position
+   * @returns {{x: Number, y: Number, z: Number}} - position in km
+   */
+  static positionECI(date) {
+    const julianDate = date.getTime() / 86400000 + 2440587.5;
+    const t = (julianDate - 2451545.0) / 36525;
+
+    const meanLongitude = 280.460 + 36000.771 * t;
+    const meanAnomaly = (357.5291092 + 35999.05034 * t) * deg2rad;
+    const eclipticLongitude = (meanLongitude + 1.914666471 * Math.sin(meanAnomaly) + 0.019994643 * Math.sin(2 * meanAnomaly)) * deg2rad;
+    const obliquity = (23.439291 - 0.0130042 * t) * deg2rad;
+    const distance = (1.000140612 - 0.016708617 * Math.cos(meanAnomaly) - 0.000139589 * Math.cos(2 * meanAnomaly)) * astronomicalUnit;
+
+    return {
+      x: distance * Math.cos(eclipticLongitude),
+      y: distance * Math.cos(obliquity) * Math.sin(eclipticLongitude),
+      z: distance * Math.sin(obliquity) * Math.sin(eclipticLongitude),
+    };
+  }
+
+  /**
+   * Determine the shadow state of a satellite with a conical Earth shadow model.
+   * Compares the apparent radii of Sun and Earth as seen from the satellite with their angular separation.
+   * @param {Object} position - satellite position in the inertial frame in km
+   * @param {Object} sunPosition - sun position in the same frame in km
+   * @returns {String} - Sun.SUNLIT, Sun.PENUMBRA or Sun.UMBRA
+   */
+  static shadowState(position, sunPosition) {
+    const toSun = {
+      x: sunPosition.x - position.x,
+      y: sunPosition.y - position.y,
+      z: sunPosition.z - position.z,
+    };
+    const distanceSun = norm(toSun);
+    const distanceEarth = norm(position);
+
+    const radiusSun = Math.asin(Math.min(1, sunRadius / distanceSun));
+    const radiusEarth = Math.asin(Math.min(1, earthRadius / distanceEarth));
+    const cosSeparation = -(position.x * toSun.x + position.y * toSun.y + position.z * toSun.z) / (distanceEarth * distanceSun);
+    const separation = Math.acos(Math.max(-1, Math.min(1, cosSeparation)));
+
+    if (separation >= radiusSun + radiusEarth) {
+      return this.SUNLIT;
+    }
+    if (separation <= radiusEarth - radiusSun) {
+      return this.UMBRA;
+    }
+    // Partial occultation or annular eclipse
+    return this.PENUMBRA;
+  }
+
+  /**
+   * Estimate the visual magnitude of a sunlit satellite modelled as a diffusely reflecting sphere.
+   * @param {Number} standardMagnitude - magnitude at 1000 km range and 90 degrees phase angle
+   * @param {Number} range - range from the observer in km
+   * @param {Number} phaseAngle - angle between the directions from the satellite to the Sun and to the observer in radians
+   * @returns {Number} - visual magnitude
+   */
+  static visualMagnitude(standardMagnitude, range, phaseAngle) {
+    const phaseFunction = ((Math.PI - phaseAngle) * Math.cos(phaseAngle) + Math.sin(phaseAngle)) / Math.PI;
+    // Phase function at 90 degrees is 1 / PI
+    return standardMagnitude + 5 * Math.log10(range / 1000) - 2.5 * Math.log10(Math.max(phaseFunction * Math.PI, 1e-6));
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * WalkerConstellation.js
+ *
+ * 该文件定义了一个WalkerConstellation类，用于根据Walker delta/star参数生成星座中所有卫星的轨道根数。
+ * 记法为 i: T/P/F，其中T为卫星总数，P为轨道面数，F为相邻轨道面之间的相位因子。
+ * 其中方法包括：
+ * - 校验星座参数 “validate”
+ * - 生成卫星名称 “satelliteName”
+ * - 生成所有卫星的轨道根数 “generate”
+ */
+import { KeplerianPropagator } from "./util/KeplerianPropagator";
+
+export class WalkerConstellation {
+  // Planes spread over 360° of RAAN, e.g. Galileo or Starlink shells
+  static DELTA = "delta";
+
+  // Planes spread over 180° of RAAN, e.g. Iridium
+  static STAR = "star";
+
+  /**
+   * @param {Object} parameters - total number of satellites, planes, phasing factor, altitude in km, inclination in degrees and type
+   */
+  static validate({ total, planes, phasing, altitude, inclination, type }) {
+    if (!Number.isInteger(total) || !Number.isInteger(planes) || total < 1 || planes < 1) {
+      throw new Error("Number of satellites and planes must be positive integers");
+    }
+    if (total % planes !== 0) {
+      throw new Error("Number of satellites must be a multiple of the number of planes");
+    }
+    if (!Number.isInteger(phasing) || phasing < 0 || phasing >= planes) {
+      throw new Error(`Phasing must be an integer between 0 and ${planes - 1}`);
+    }
+    if (!(altitude > 0)) {
+      throw new Error("Altitude must be positive");
+    }
+    if (!(inclination >= 0 && inclination <= 180)) {
+      throw new Error("Inclination must be between 0 and 180 degrees");
+    }
+    if (![this.DELTA, this.STAR].includes(type)) {
+      throw new Error(`Unknown constellation type ${type}`);
+    }
+  }
+
+  static satelliteName(prefix, plane, satellite) {
+    const pad = (number) => String(number + 1).padStart(2, "0");
+    return `${prefix} ${pad(plane)}-${pad(satellite)}`;
+  }
+
+  /**
+   * Generate circular orbits of all satellites of a Walker constellation.
+   * @param {String} prefix - satellite name prefix
+   * @param {Object} parameters - total number of satellites, planes, phasing factor, altitude in km, inclination in degrees,
+   *   type (delta or star) and RAAN of the first plane in degrees
+   * @returns {{name: String, elements: Object}[]} - names and elements for SatelliteManager.addFromElements without epoch
+   */
+  static generate(prefix, { total, planes, phasing, altitude, inclination, type = this.DELTA, raan = 0 }) {
+    this.validate({ total, planes, phasing, altitude, inclination, type });
+    const satellitesPerPlane = total / planes;
+    const raanSpread = type === this.STAR ? 180 : 360;
+    const semiMajorAxis = KeplerianPropagator.earthRadius + altitude;
+
+    const satellites = [];
+    for (let plane = 0; plane < planes; plane += 1) {
+      for (let satellite = 0; satellite < satellitesPerPlane; satellite += 1) {
+        const meanAnomaly = (satellite * 360) / satellitesPerPlane + (plane * phasing * 360) / total;
+        satellites.push({
+          name: this.satelliteName(prefix, plane, satellite),
+          elements: {
+            semiMajorAxis,
+            eccentricity: 0,
+            inclination,
+            raan: (raan + (plane * raanSpread) / planes) % 360,
+            argumentOfPerigee: 0,
+            meanAnomaly: meanAnomaly % 360,
+          },
+        });
+      }
+    }
+    return satellites;
+  }
+}
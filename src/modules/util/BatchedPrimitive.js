@@ -0,0 +1,98 @@
+/**
+ * BatchedPrimitive.js
+ *
+ * 该文件定义了一个BatchedPrimitive类，表示由CesiumPrimitiveBatch共享集合批量渲染的点或标签组件。
+ * 包括方法：
+ * - enabled: 判断图元是否已添加到集合
+ * - position: 获取或设置位置属性
+ * - orientation: 获取或设置姿态属性
+ * - setOption: 设置图元选项
+ * - update: 更新图元的位置和动态属性
+ *
+ */
+import * as Cesium from "@cesium/engine";
+
+/** BatchedPrimitive
+  *
+  * A point or label component that is rendered by a shared collection instead of the entity visualizers.
+  * Its position is interpolated from packed samples, the entity is only the pick id of the primitive and
+  * holds the position, name and description for selection and tracking. It is not added to the entity collection.
+ */
+export class BatchedPrimitive {
+  static POINT = "point";
+
+  static LABEL = "label";
+
+  /**
+   * @param {String} type - BatchedPrimitive.POINT or BatchedPrimitive.LABEL
+   * @param {Object} options - PointPrimitive or Label options, Cesium properties are evaluated every frame
+   * @param {Cesium.Entity} entity - entity the primitive is picked as
+   * @param {PackedSampledPosition} samples - samples the position is interpolated from
+   */
+  constructor(type, options, entity, samples) {
+    this.type = type;
+    this.entity = entity;
+    this.samples = samples;
+    this.options = {};
+    this.properties = {};
+    Object.entries(options).forEach(([key, value]) => {
+      if (Cesium.defined(value?.getValue)) {
+        this.properties[key] = value;
+      } else {
+        this.options[key] = value;
+      }
+    });
+    this.primitive = undefined;
+  }
+
+  get enabled() {
+    return Cesium.defined(this.primitive);
+  }
+
+  get position() {
+    return this.entity.position;
+  }
+
+  set position(position) {
+    this.entity.position = position;
+  }
+
+  get orientation() {
+    return this.entity.orientation;
+  }
+
+  set orientation(orientation) {
+    this.entity.orientation = orientation;
+  }
+
+  setOption(key, value) {
+    this.options[key] = value;
+    if (this.primitive) {
+      this.primitive[key] = value;
+    }
+  }
+
+  /**
+   * @param {Cesium.JulianDate} time - frame time
+   * @param {Map} positions - positions of the frame by samples, shared by the primitives of the same satellite
+   */
+  update(time, positions = new Map()) {
+    if (!positions.has(this.samples)) {
+      positions.set(this.samples, this.samples?.getValue(time, new Cesium.Cartesian3()));
+    }
+    const position = positions.get(this.samples);
+    if (!Cesium.defined(position)) {
+      // Samples are still being propagated
+      this.primitive.show = false;
+      return;
+    }
+    this.primitive.show = true;
+    this.primitive.position = position;
+    Object.entries(this.properties).forEach(([key, property]) => {
+      const value = property.getValue(time);
+      if (Cesium.defined(value)) {
+        this.primitive[key] = value;
+      }
+    });
+  }
+}
@@ -13,18 +13,24 @@
  * - disableComponent: 禁用组件
  * - recreateGeometryInstancePrimitive: 重新创建几何实例基元
  * - visibleComponents: 获取所有可见组件
+ * - entities: 获取用于选中和跟踪的实体
  * - isSelected: 判断是否选中
  * - isTracked: 判断是否跟踪
  * - track: 跟踪
+ * - flyToDefaultEntity: 飞到默认实体
  * - setSelectedOnTickCallback: 设置选中回调
  * - setTrackedOnTickCallback: 设置跟踪回调
  * - artificiallyTrack: 人工跟踪
- * - createCesiumEntity: 创建Cesium实体
+ * - buildCesiumEntity: 构建Cesium实体
+ * - createCesiumEntity: 创建Cesium实体组件
+ * - createBatchedPrimitive: 创建批量渲染的点或标签
  *
  */
 import * as Cesium from "@cesium/engine";
 
 import { CesiumCallbackHelper } from "./CesiumCallbackHelper";
+import { BatchedPrimitive } from "./BatchedPrimitive";
+import { CesiumPrimitiveBatch } from "./CesiumPrimitiveBatch";
 
 /** CesiumComponentCollection
   *
@@ -78,16 +84,21 @@ export class CesiumComponentCollection {
       return;
     }
     const component = this.components[name];
-    if (component instanceof Cesium.Entity && !this.viewer.entities.contains(component)) {
+    if (Array.isArray(component)) {
+      // Components made of several entities, e.g. one per sensor
+      component.filter((entity) => !this.viewer.entities.contains(entity)).forEach((entity) => this.viewer.entities.add(entity));
+    } else if (component instanceof Cesium.Entity && !this.viewer.entities.contains(component)) {
       this.viewer.entities.add(component);
     } else if (component instanceof Cesium.Primitive && !this.viewer.scene.primitives.contains(component)) {
       this.viewer.scene.primitives.add(component);
     } else if (component instanceof Cesium.GeometryInstance) {
       this.constructor.geometries.push(component);
       this.recreateGeometryInstancePrimitive();
+    } else if (component instanceof BatchedPrimitive) {
+      CesiumPrimitiveBatch.forViewer(this.viewer).add(component);
     }
     if (!this.defaultEntity) {
-      this.defaultEntity = component;
+      [this.defaultEntity] = [component instanceof BatchedPrimitive ? component.entity : component].flat();
     }
   }
 
@@ -96,13 +107,17 @@ export class CesiumComponentCollection {
       return;
     }
     const component = this.components[name];
-    if (component instanceof Cesium.Entity) {
+    if (Array.isArray(component)) {
+      component.forEach((entity) => this.viewer.entities.remove(entity));
+    } else if (component instanceof Cesium.Entity) {
       this.viewer.entities.remove(component);
     } else if (component instanceof Cesium.Primitive) {
       this.viewer.scene.primitives.remove(component);
     } else if (component instanceof Cesium.GeometryInstance) {
       this.constructor.geometries = this.constructor.geometries.filter((geometry) => geometry !== component);
       this.recreateGeometryInstancePrimitive();
+    } else if (component instanceof BatchedPrimitive) {
+      CesiumPrimitiveBatch.forViewer(this.viewer).remove(component);
     }
     if (this.lazy) {
       delete this.components[name];
@@ -168,22 +183,33 @@ export class CesiumComponentCollection {
    */
   get visibleComponents() {
     return Object.values(this.components).filter((component) => {
+      if (Array.isArray(component)) {
+        return component.some((entity) => this.viewer.entities.contains(entity));
+      }
       if (component instanceof Cesium.Entity) {
         return this.viewer.entities.contains(component);
       }
       if (component instanceof Cesium.Primitive) {
         return this.viewer.scene.primitives.contains(component);
       }
+      if (component instanceof BatchedPrimitive) {
+        return component.enabled;
+      }
       return false;
     });
   }
 
+  // Batched primitives are selected and tracked through their entity
+  get entities() {
+    return Object.values(this.components).flatMap((component) => (component instanceof BatchedPrimitive ? component.entity : component));
+  }
+
   get isSelected() {
-    return Object.values(this.components).some((entity) => this.viewer.selectedEntity === entity);
+    return this.entities.some((entity) => this.viewer.selectedEntity === entity);
   }
 
   get isTracked() {
-    return Object.values(this.components).some((entity) => this.viewer.trackedEntity === entity);
+    return this.entities.some((entity) => this.viewer.trackedEntity === entity);
   }
 
   track(animate = false) {
@@ -199,9 +225,7 @@ export class CesiumComponentCollection {
     const clockRunning = this.viewer.clock.shouldAnimate;
     this.viewer.clock.shouldAnimate = false;
 
-    this.viewer.flyTo(this.defaultEntity, {
-      offset: new Cesium.HeadingPitchRange(0, -Cesium.Math.PI_OVER_FOUR, 1580000),
-    }).then((result) => {
+    this.flyToDefaultEntity(new Cesium.HeadingPitchRange(0, -Cesium.Math.PI_OVER_FOUR, 1580000)).then((result) => {
       if (result) {
         this.viewer.trackedEntity = this.defaultEntity;
         this.viewer.clock.shouldAnimate = clockRunning;
@@ -209,6 +233,29 @@ export class CesiumComponentCollection {
     });
   }
 
+  /**
+   * Fly to the default entity. Entities of batched primitives are not in the entity collection and have no
+   * bounding sphere, so the camera flies to their current position instead.
+   * @param {Cesium.HeadingPitchRange} offset - camera offset from the entity
+   * @returns {Promise<boolean>} - true if the flight completed
+   */
+  flyToDefaultEntity(offset) {
+    if (this.viewer.entities.contains(this.defaultEntity)) {
+      return this.viewer.flyTo(this.defaultEntity, { offset });
+    }
+    const position = this.defaultEntity.position?.getValue(this.viewer.clock.currentTime);
+    if (!Cesium.defined(position)) {
+      return Promise.resolve(false);
+    }
+    return new Promise((resolve) => {
+      this.viewer.camera.flyToBoundingSphere(new Cesium.BoundingSphere(position, 0), {
+        offset,
+        complete: () => resolve(true),
+        cancel: () => resolve(false),
+      });
+    });
+  }
+
   setSelectedOnTickCallback(onTickCallback = () => {}, onUnselectCallback = () => {}) {
     const onTickEventRemovalCallback = this.viewer.clock.onTick.addEventListener((clock) => {
       onTickCallback(clock);
@@ -240,14 +287,12 @@ export class CesiumComponentCollection {
       onUntrackCallback();
       // Restore default view angle if no new entity is tracked
       if (typeof this.viewer.trackedEntity === "undefined") {
-        this.viewer.flyTo(this.defaultEntity, {
-          offset: new Cesium.HeadingPitchRange(0, Cesium.Math.toRadians(-90.0), 2000000),
-        });
+        this.flyToDefaultEntity(new Cesium.HeadingPitchRange(0, Cesium.Math.toRadians(-90.0), 2000000));
       }
     });
   }
 
-  createCesiumEntity(componentName, entityKey, entityValue, name, description, position, moving) {
+  buildCesiumEntity(entityKey, entityValue, name, description, position, moving) {
     const entity = new Cesium.Entity({
       name,
       description,
@@ -260,6 +305,24 @@ export class CesiumComponentCollection {
     }
 
     entity[entityKey] = entityValue;
-    this.components[componentName] = entity;
+    return entity;
+  }
+
+  createCesiumEntity(componentName, entityKey, entityValue, name, description, position, moving) {
+    this.components[componentName] = this.buildCesiumEntity(entityKey, entityValue, name, description, position, moving);
+  }
+
+  createBatchedPrimitive(componentName, type, options, name, description, position, samples) {
+    // All batched primitives of the collection share a single entity without graphics
+    if (!this.batchEntity) {
+      this.batchEntity = new Cesium.Entity({
+        name,
+        description,
+        viewFrom: new Cesium.Cartesian3(0, -3600000, 4200000),
+      });
+    }
+    this.batchEntity.name = name;
+    this.batchEntity.position = position;
+    this.components[componentName] = new BatchedPrimitive(type, options, this.batchEntity, samples);
   }
 }
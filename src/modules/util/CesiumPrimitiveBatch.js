@@ -0,0 +1,95 @@
+/**
+ * CesiumPrimitiveBatch.js
+ *
+ * 该文件定义了一个CesiumPrimitiveBatch类，用于通过共享的PointPrimitiveCollection和LabelCollection批量渲染大量卫星的点和标签。
+ * 每帧根据传播线程池计算的打包采样位置（PackedSampledPosition）直接插值更新所有图元的位置，同一卫星的点和标签每帧只插值一次。
+ * 图元的id为所属卫星的实体，因此拾取、选中和跟踪仍然对应到卫星，但这些实体不加入视图的实体集合。
+ * 包括方法：
+ * - forViewer: 获取视图共享的批量渲染集合
+ * - add: 添加图元
+ * - remove: 移除图元
+ * - update: 更新所有图元的位置和动态属性
+ *
+ */
+import * as Cesium from "@cesium/engine";
+
+import { BatchedPrimitive } from "./BatchedPrimitive";
+
+/** CesiumPrimitiveBatch
+  *
+  * Shared point and label collections of a viewer. The entities of the primitives are only used as pick ids
+  * for selection and tracking and are not added to the entity collection, which would update them every frame.
+  * The selection and tracking of an entity end with its last primitive.
+ */
+export class CesiumPrimitiveBatch {
+  static #batches = new Map();
+
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.points = viewer.scene.primitives.add(new Cesium.PointPrimitiveCollection());
+    this.labels = viewer.scene.primitives.add(new Cesium.LabelCollection());
+    this.primitives = new Set();
+    this.entityUsers = new Map();
+    // Positions of the current frame by samples
+    this.positions = new Map();
+    viewer.scene.preUpdate.addEventListener((scene, time) => this.update(time));
+  }
+
+  static forViewer(viewer) {
+    if (!this.#batches.has(viewer)) {
+      this.#batches.set(viewer, new CesiumPrimitiveBatch(viewer));
+    }
+    return this.#batches.get(viewer);
+  }
+
+  collection(batchedPrimitive) {
+    return batchedPrimitive.type === BatchedPrimitive.LABEL ? this.labels : this.points;
+  }
+
+  add(batchedPrimitive) {
+    if (batchedPrimitive.enabled) {
+      return;
+    }
+    const { entity } = batchedPrimitive;
+    batchedPrimitive.primitive = this.collection(batchedPrimitive).add({
+      ...batchedPrimitive.options,
+      show: false,
+      id: entity,
+    });
+    this.primitives.add(batchedPrimitive);
+
+    this.entityUsers.set(entity, (this.entityUsers.get(entity) ?? 0) + 1);
+    this.viewer.scene.requestRender();
+  }
+
+  remove(batchedPrimitive) {
+    if (!batchedPrimitive.enabled) {
+      return;
+    }
+    const { entity } = batchedPrimitive;
+    this.collection(batchedPrimitive).remove(batchedPrimitive.primitive);
+    batchedPrimitive.primitive = undefined;
+    this.primitives.delete(batchedPrimitive);
+
+    const users = this.entityUsers.get(entity) - 1;
+    if (users > 0) {
+      this.entityUsers.set(entity, users);
+    } else {
+      this.entityUsers.delete(entity);
+      // Like the removal of an entity from the entity collection
+      if (this.viewer.trackedEntity === entity) {
+        this.viewer.trackedEntity = undefined;
+      }
+      if (this.viewer.selectedEntity === entity) {
+        this.viewer.selectedEntity = undefined;
+      }
+    }
+    this.viewer.scene.requestRender();
+  }
+
+  update(time) {
+    // The point and label of a satellite share their samples, which are interpolated only once per frame
+    this.positions.clear();
+    this.primitives.forEach((batchedPrimitive) => batchedPrimitive.update(time, this.positions));
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * CsvParser.js
+ *
+ * 该文件定义了一个CsvParser类，用于将CSV内容拆分为行和字段，供OMM和地面站列表等CSV导入共用。
+ * 包括方法：
+ * - parseRows: 将CSV拆分为行和字段（支持引号、转义引号和换行）
+ *
+ */
+export class CsvParser {
+  /**
+   * Split CSV content into rows of trimmed fields, empty lines are skipped.
+   * Quoted fields may contain commas, line breaks and quotes escaped as "".
+   * @param {String} data - CSV content
+   * @returns {String[][]} - fields of each row
+   */
+  static parseRows(data) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    const endField = () => {
+      row.push(field.trim());
+      field = "";
+    };
+    const endRow = () => {
+      endField();
+      if (row.length > 1 || row[0] !== "") {
+        rows.push(row);
+      }
+      row = [];
+    };
+    for (let i = 0; i < data.length; i += 1) {
+      const char = data[i];
+      if (char === "\"") {
+        if (quoted && data[i + 1] === "\"") {
+          field += char;
+          i += 1;
+        } else {
+          quoted = !quoted;
+        }
+      } else if (char === "," && !quoted) {
+        endField();
+      } else if ((char === "\n" || char === "\r") && !quoted) {
+        if (char === "\r" && data[i + 1] === "\n") {
+          i += 1;
+        }
+        endRow();
+      } else {
+        field += char;
+      }
+    }
+    endRow();
+    return rows;
+  }
+}
@@ -6,8 +6,15 @@
  * - cachedCallbackProperty: 缓存回调函数的结果
  * - renderDescription: 生成实体的描述信息
  * - renderPasses: 生成实体的通行信息
+ * - escapeHtml: 转义HTML特殊字符
  * - renderPass: 生成实体的通行信息
+ * - renderElements: 生成实体的轨道根数信息
+ * - renderOrbitEvents: 生成实体的机动和衰减事件信息
+ * - renderSatellite: 生成卫星的元数据信息
+ * - satcatFields: 生成卫星目录（SATCAT）信息的字段
  * - renderTLE: 生成实体的TLE信息
+ * - renderDoppler: 生成下一次通行的多普勒信息
+ * - renderEclipses: 生成实体的地影信息
  *
  */
 import * as Cesium from "@cesium/engine";
@@ -15,6 +22,8 @@ import dayjs from "dayjs";
 import relativeTime from "dayjs/plugin/relativeTime";
 import utc from "dayjs/plugin/utc";
 
+import { ManeuverDetection } from "../ManeuverDetection";
+
 dayjs.extend(relativeTime);
 dayjs.extend(utc);
 
@@ -43,7 +52,12 @@ export class DescriptionHelper {
     }, false);
   }
 
-  static renderDescription(time, name, position, passes, isGroundStation, tle) {
+  /**
+   * Render the infobox description of a satellite or ground station.
+   * @param {Object} details - optional satellite details: doppler (see renderDoppler), eclipses, elements (see renderElements), orbitEvents
+   *   and satellite (see renderSatellite)
+   */
+  static renderDescription(time, name, position, passes, isGroundStation, tle, details = {}) {
     const description = `
       <div class="ib">
         <h3>Position</h3>
@@ -68,6 +82,11 @@ export class DescriptionHelper {
           </tbody>
         </table>
         ${this.renderPasses(passes, time, isGroundStation)}
+        ${typeof details.doppler === "undefined" ? "" : this.renderDoppler(details.doppler)}
+        ${typeof details.eclipses === "undefined" ? "" : this.renderEclipses(details.eclipses, time)}
+        ${typeof details.elements === "undefined" ? "" : this.renderElements(details.elements)}
+        ${typeof details.orbitEvents === "undefined" ? "" : this.renderOrbitEvents(details.orbitEvents)}
+        ${typeof details.satellite === "undefined" ? "" : this.renderSatellite(details.satellite)}
         ${typeof tle === "undefined" ? "" : this.renderTLE(tle)}
       </div>
     `;
@@ -96,6 +115,9 @@ export class DescriptionHelper {
     const upcomingPasses = passes.slice(upcomingPassIdx);
 
     const showPassName = isGroundStation;
+    const showMagnitude = upcomingPasses.some((pass) => typeof pass.magnitude !== "undefined");
+    // Passes over several ground stations are merged
+    const showStation = new Set(upcomingPasses.map((pass) => pass.groundStation)).size > 1;
     const htmlName = showPassName ? "<th>Name</th>\n" : "";
     const html = `
       <h3>Passes</h3>
@@ -103,22 +125,38 @@ export class DescriptionHelper {
         <thead>
           <tr>
             ${htmlName}
+            ${showStation ? "<th>Station</th>" : ""}
             <th>Countdown</th>
             <th>Start</th>
             <th>End</th>
             <th>El</th>
             <th>Az</th>
+            ${showMagnitude ? "<th>Mag</th>" : ""}
           </tr>
         </thead>
         <tbody>
-          ${upcomingPasses.map((pass) => this.renderPass(start, pass, showPassName)).join("")}
+          ${upcomingPasses.map((pass) => this.renderPass(start, pass, showPassName, showMagnitude, showStation)).join("")}
         </tbody>
       </table>
     `;
     return html;
   }
 
-  static renderPass(time, pass, showPassName) {
+  /**
+   * Escape text for use in HTML content and attributes, e.g. user provided ground station names.
+   * @param {String} text - text to escape
+   * @returns {String}
+   */
+  static escapeHtml(text) {
+    return String(text)
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll("\"", "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  static renderPass(time, pass, showPassName, showMagnitude = false, showStation = false) {
     function pad2(num) {
       return String(num).padStart(2, "0");
     }
@@ -128,24 +166,220 @@ export class DescriptionHelper {
     } else if (dayjs(pass.start).diff(time) > 0) {
       countdown = `${pad2(dayjs(pass.start).diff(time, "days"))}:${pad2(dayjs(pass.start).diff(time, "hours") % 24)}:${pad2(dayjs(pass.start).diff(time, "minutes") % 60)}:${pad2(dayjs(pass.start).diff(time, "seconds") % 60)}`;
     }
-    const htmlName = showPassName ? `<td>${pass.name}</td>\n` : "";
+    const htmlName = showPassName ? `<td>${this.escapeHtml(pass.name)}</td>\n` : "";
+    // Only the start time is needed to jump to the pass, quotes are escaped for the single quoted attribute
+    const timeMessage = JSON.stringify({ start: pass.start }).replaceAll("'", "&#39;");
     const html = `
       <tr>
         ${htmlName}
+        ${showStation ? `<td>${this.escapeHtml(pass.groundStation)}</td>` : ""}
         <td>${countdown}</td>
-        <td><a onclick='parent.postMessage(${JSON.stringify(pass)}, "*")'>${dayjs.utc(pass.start).format("DD.MM HH:mm:ss")}</td>
+        <td><a onclick='parent.postMessage(${timeMessage}, "*")'>${dayjs.utc(pass.start).format("DD.MM HH:mm:ss")}</td>
         <td>${dayjs.utc(pass.end).format("HH:mm:ss")}</td>
         <td class="ibt-right">${pass.maxElevation.toFixed(0)}&deg</td>
         <td class="ibt-right">${pass.azimuthApex.toFixed(2)}&deg</td>
+        ${showMagnitude ? `<td class="ibt-right">${pass.magnitude?.toFixed(1) ?? "-"}</td>` : ""}
       </tr>
     `;
     return html;
   }
 
+  /**
+   * Render the orbital elements derived from the TLE.
+   * @param {Object} elements - elements as computed by Orbit.elements, epoch age in days and whether the TLE is stale
+   */
+  static renderElements({ elements, epochAge, stale }) {
+    const rows = [
+      ["Apogee", `${elements.apogee.toFixed(1)} km`],
+      ["Perigee", `${elements.perigee.toFixed(1)} km`],
+      ["Inclination", `${elements.inclination.toFixed(4)}&deg`],
+      ["Eccentricity", elements.eccentricity.toFixed(7)],
+      ["RAAN", `${elements.raan.toFixed(4)}&deg`],
+      ["Arg. of perigee", `${elements.argumentOfPerigee.toFixed(4)}&deg`],
+      ["Period", `${elements.period.toFixed(2)} min`],
+      ["Semi-major axis", `${elements.semiMajorAxis.toFixed(1)} km`],
+      ["Epoch", `${dayjs.utc(elements.epoch).format("YYYY-MM-DD HH:mm:ss")} UTC`],
+      ["Epoch age", `${epochAge.toFixed(1)} days${stale ? " <span class='ib-badge'>Stale TLE</span>" : ""}`],
+    ];
+    // Custom orbits from Keplerian elements have a mean anomaly at epoch instead of a drag term
+    if (typeof elements.bstar !== "undefined") {
+      rows.splice(8, 0, ["B*", elements.bstar.toExponential(4)]);
+    }
+    if (typeof elements.meanAnomaly !== "undefined") {
+      rows.splice(6, 0, ["Mean anomaly", `${elements.meanAnomaly.toFixed(4)}&deg`]);
+    }
+    const html = `
+      <h3>Orbital elements</h3>
+      <table class="ibt">
+        <tbody>
+          ${rows.map(([name, value]) => `
+            <tr>
+              <td>${name}</td>
+              <td class="ibt-right">${value}</td>
+            </tr>`).join("")}
+        </tbody>
+      </table>
+    `;
+    return html;
+  }
+
+  /**
+   * Render satellite metadata, fields without a value are skipped.
+   * @param {Array[]} fields - label and value pairs
+   */
+  static renderSatellite(fields) {
+    const rows = fields.filter(([, value]) => typeof value !== "undefined" && value !== "");
+    if (rows.length === 0) {
+      return "";
+    }
+    const html = `
+      <h3>Satellite</h3>
+      <table class="ibt">
+        <tbody>
+          ${rows.map(([label, value]) => `
+            <tr>
+              <td>${label}</td>
+              <td>${value}</td>
+            </tr>`).join("")}
+        </tbody>
+      </table>
+    `;
+    return html;
+  }
+
+  /**
+   * Infobox fields of a SATCAT record.
+   * @param {Object} satcat - record as returned by SatcatParser.normalize
+   * @returns {Array[]} - label and value pairs for renderSatellite
+   */
+  static satcatFields(satcat) {
+    if (!satcat) {
+      return [];
+    }
+    const formatDate = (date) => (date ? dayjs.utc(date).format("DD.MM.YYYY") : undefined);
+    return [
+      ["International designator", satcat.internationalDesignator],
+      ["Launch date", formatDate(satcat.launchDate)],
+      ["Owner", satcat.owner],
+      ["Object type", satcat.objectType],
+      ["Decayed", satcat.decayed ? formatDate(satcat.decayDate) ?? "Yes" : undefined],
+      ["RCS", typeof satcat.rcs === "undefined" ? satcat.rcsSize : `${satcat.rcs.toFixed(4)} m&sup2; (${satcat.rcsSize})`],
+    ];
+  }
+
+  /**
+   * Render the latest maneuvers and decay detected from successive element sets.
+   * @param {Object[]} events - events as detected by ManeuverDetection.detect
+   */
+  static renderOrbitEvents(events, maxEvents = 5) {
+    if (events.length === 0) {
+      return "";
+    }
+    const describe = (event) => {
+      if (event.type === ManeuverDetection.DECAY) {
+        return `Mean motion +${event.meanMotionRate.toFixed(4)} rev/day&sup2; since ${dayjs.utc(event.startEpoch).format("DD.MM.YYYY")}`;
+      }
+      return `&Delta;a ${event.semiMajorAxis.toFixed(2)} km, &Delta;i ${event.inclination.toFixed(3)}&deg, &Delta;RAAN ${event.raan.toFixed(3)}&deg`;
+    };
+    const html = `
+      <h3>Maneuvers</h3>
+      <table class="ibt">
+        <thead>
+          <tr>
+            <th>Epoch</th>
+            <th>Type</th>
+            <th>Details</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${events.slice(-maxEvents).reverse().map((event) => `
+            <tr>
+              <td>${dayjs.utc(event.epoch).format("DD.MM.YYYY HH:mm")}</td>
+              <td>${event.type}</td>
+              <td>${describe(event)}</td>
+            </tr>`).join("")}
+        </tbody>
+      </table>
+    `;
+    return html;
+  }
+
   static renderTLE(tle) {
     const html = `
       <h3>TLE</h3>
       <div class="ib-code"><code>${tle.slice(1, 3).join("\n")}</code></div>`;
     return html;
   }
+
+  static renderEclipses(eclipses, time, maxEclipses = 3) {
+    const now = Cesium.JulianDate.toDate(time).getTime();
+    const upcomingEclipses = eclipses.filter((eclipse) => eclipse.end > now).slice(0, maxEclipses);
+    if (upcomingEclipses.length === 0) {
+      return "";
+    }
+    const formatTime = (timestamp) => (typeof timestamp === "undefined" ? "-" : dayjs.utc(timestamp).format("HH:mm:ss"));
+    const html = `
+      <h3>Eclipses</h3>
+      <table class="ibt">
+        <thead>
+          <tr>
+            <th>Penumbra</th>
+            <th>Umbra</th>
+            <th>Umbra end</th>
+            <th>End</th>
+            <th>Duration</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${upcomingEclipses.map((eclipse) => `
+            <tr>
+              <td>${dayjs.utc(eclipse.start).format("DD.MM HH:mm:ss")}</td>
+              <td>${formatTime(eclipse.umbraStart)}</td>
+              <td>${formatTime(eclipse.umbraEnd)}</td>
+              <td>${formatTime(eclipse.end)}</td>
+              <td class="ibt-right">${(eclipse.duration / 60000).toFixed(1)} min</td>
+            </tr>`).join("")}
+        </tbody>
+      </table>
+    `;
+    return html;
+  }
+
+  /**
+   * Render the Doppler profile of a pass with a CSV export link.
+   * The CSV is only generated by the parent window when the link is clicked (see SatelliteManager.exportDoppler).
+   * @param {Object} doppler - pass, profile as computed by Doppler.profile and the nominal frequencies
+   * @param {Number} displayStep - number of profile samples between displayed rows
+   */
+  static renderDoppler({ pass, profile, frequencies }, displayStep = 30) {
+    const exportMessage = JSON.stringify({ exportDoppler: { satellite: pass.name, groundStation: pass.groundStation, start: pass.start } }).replaceAll("'", "&#39;");
+    const rows = profile.filter((sample, i) => i % displayStep === 0 || i === profile.length - 1);
+    const html = `
+      <h3>Doppler</h3>
+      <div class="ib-text">
+        Pass ${dayjs.utc(pass.start).format("DD.MM HH:mm:ss")}
+        <a onclick='parent.postMessage(${exportMessage}, "*")'>Export CSV</a>
+      </div>
+      <table class="ibt">
+        <thead>
+          <tr>
+            <th>Time</th>
+            <th>Range</th>
+            <th>Range rate</th>
+            ${frequencies.map(({ name, direction }) => `<th>${name} ${direction === "uplink" ? "UL" : "DL"}</th>`).join("")}
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map((sample) => `
+            <tr>
+              <td>${dayjs.utc(sample.time).format("HH:mm:ss")}</td>
+              <td class="ibt-right">${sample.range.toFixed(0)} km</td>
+              <td class="ibt-right">${sample.rangeRate.toFixed(3)} km/s</td>
+              ${sample.frequencies.map((frequency) => `<td class="ibt-right">${(frequency / 1e6).toFixed(4)} MHz</td>`).join("")}
+            </tr>`).join("")}
+        </tbody>
+      </table>
+    `;
+    return html;
+  }
 }
@@ -0,0 +1,29 @@
+/**
+ * DownloadHelper.js
+ *
+ * 该文件定义了一个DownloadHelper类，用于将生成的文件（例如地面站列表或通过日历）下载到本地。
+ * 包括方法：
+ * - download: 下载文本内容
+ * - filename: 生成安全的文件名
+ *
+ */
+export class DownloadHelper {
+  /**
+   * @param {String} content - file content
+   * @param {String} filename - name of the downloaded file
+   * @param {String} type - MIME type
+   */
+  static download(content, filename, type = "text/plain") {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Replace characters that are not allowed in file names on all platforms
+  static filename(name, extension) {
+    return `${name.replace(/\W+/g, "_")}.${extension}`;
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * GroundStationParser.js
+ *
+ * 该文件定义了一个GroundStationParser类，用于导入和导出地面站列表（CSV或GeoJSON格式）。
+ * 每个地面站包括名称、纬度、经度、高度（米）、最小仰角（度）和可选的地平遮挡，以便与地面段工具交换地面站网络。
+ * 包括方法：
+ * - detectFormat: 检测地面站列表的格式
+ * - parse: 根据格式解析地面站列表
+ * - parseCsv: 解析CSV格式的地面站列表
+ * - parseGeoJson: 解析GeoJSON格式的地面站列表
+ * - validate: 校验并规范化地面站
+ * - toCsv: 导出为CSV格式
+ * - toGeoJson: 导出为GeoJSON格式
+ *
+ */
+import { CsvParser } from "./CsvParser";
+import { HorizonMask } from "../HorizonMask";
+
+// Accepted CSV column names, the first one is used for the export
+const CSV_COLUMNS = {
+  name: ["name", "station"],
+  latitude: ["lat", "latitude"],
+  longitude: ["lon", "lng", "long", "longitude"],
+  height: ["altitude", "alt", "height"],
+  minElevation: ["min_elevation", "minelevation", "min_el", "elevation"],
+  // Space separated azimuth:elevation pairs (see HorizonMask.fromString)
+  horizonMask: ["horizon_mask", "horizonmask", "mask"],
+};
+
+function csvValue(record, key) {
+  const column = Object.keys(record).find((name) => CSV_COLUMNS[key].includes(name.trim().toLowerCase()));
+  return column ? record[column] : undefined;
+}
+
+function parseOptionalFloat(value) {
+  return value === undefined || value === null || `${value}`.trim() === "" ? undefined : Number.parseFloat(value);
+}
+
+// GeoJSON horizon masks may be given as [azimuth, elevation] pairs
+function horizonMaskString(mask) {
+  return Array.isArray(mask) ? mask.map((point) => point.join(":")).join(" ") : mask;
+}
+
+function quoteCsv(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replaceAll("\"", "\"\"")}"` : value;
+}
+
+export class GroundStationParser {
+  static formats = ["csv", "geojson"];
+
+  /**
+   * @param {String} data - raw file content
+   * @returns {String} - "geojson" or "csv"
+   */
+  static detectFormat(data) {
+    const content = data.trimStart();
+    return content.startsWith("{") ? "geojson" : "csv";
+  }
+
+  /**
+   * Parse a ground station list.
+   * @param {String} data - raw file content
+   * @param {String} format - format of the data, detected automatically if not set
+   * @returns {Object[]} - stations with name, latitude and longitude in degrees, height in meters, optional minElevation in degrees
+   *   and optional horizonMask (see HorizonMask.toString)
+   */
+  static parse(data, format = this.detectFormat(data)) {
+    let stations;
+    switch (format) {
+      case "csv":
+        stations = this.parseCsv(data);
+        break;
+      case "geojson":
+        stations = this.parseGeoJson(data);
+        break;
+      default:
+        throw new TypeError(`Unsupported ground station format ${format}`);
+    }
+    if (stations.length === 0) {
+      throw new Error("No ground stations found");
+    }
+    return stations;
+  }
+
+  /**
+   * Parse a CSV file with the columns name, lat, lon, altitude, min_elevation and horizon_mask.
+   * Files without a header row are expected to contain the columns in this order.
+   */
+  static parseCsv(data) {
+    const rows = CsvParser.parseRows(data);
+    // The latitude column of a data row is numeric
+    const hasHeader = rows.length > 0 && Number.isNaN(Number.parseFloat(rows[0][1]));
+    const header = hasHeader ? rows.shift() : Object.values(CSV_COLUMNS).map(([column]) => column);
+    const records = rows.map((fields) => Object.fromEntries(header.map((key, i) => [key, fields[i]])));
+    return records.map((record, index) => this.validate({
+      name: csvValue(record, "name"),
+      latitude: parseOptionalFloat(csvValue(record, "latitude")),
+      longitude: parseOptionalFloat(csvValue(record, "longitude")),
+      height: parseOptionalFloat(csvValue(record, "height")),
+      minElevation: parseOptionalFloat(csvValue(record, "minElevation")),
+      horizonMask: csvValue(record, "horizonMask"),
+    }, index));
+  }
+
+  /**
+   * Parse a GeoJSON FeatureCollection or Feature of points with the station name, min elevation and horizon mask as properties.
+   * The altitude is taken from the third coordinate or the altitude property,
+   * the horizon mask is an array of [azimuth, elevation] pairs or its string form.
+   */
+  static parseGeoJson(data) {
+    const json = JSON.parse(data);
+    const features = json.type === "FeatureCollection" ? json.features : [json];
+    return features
+      .filter((feature) => feature.geometry?.type === "Point")
+      .map((feature, index) => {
+        const { properties = {} } = feature;
+        const [longitude, latitude, altitude] = feature.geometry.coordinates;
+        return this.validate({
+          name: properties.name,
+          latitude,
+          longitude,
+          height: altitude ?? parseOptionalFloat(properties.altitude ?? properties.height),
+          minElevation: parseOptionalFloat(properties.minElevation ?? properties.min_elevation),
+          horizonMask: horizonMaskString(properties.horizonMask ?? properties.horizon_mask),
+        }, index);
+      });
+  }
+
+  static validate({ name, latitude, longitude, height, minElevation, horizonMask }, index) {
+    const station = name || `station ${index + 1}`;
+    if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+      throw new Error(`Invalid latitude of ${station}`);
+    }
+    if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+      throw new Error(`Invalid longitude of ${station}`);
+    }
+    if (height !== undefined && !Number.isFinite(height)) {
+      throw new Error(`Invalid altitude of ${station}`);
+    }
+    if (minElevation !== undefined && !(minElevation >= 0 && minElevation < 90)) {
+      throw new Error(`Minimum elevation of ${station} must be between 0 and 90 degrees`);
+    }
+    let mask;
+    if (typeof horizonMask === "string" && horizonMask.trim()) {
+      try {
+        mask = HorizonMask.fromString(horizonMask).toString();
+      } catch (error) {
+        throw new Error(`Invalid horizon mask of ${station}: ${error.message}`);
+      }
+    }
+    return {
+      name: name?.trim() || undefined,
+      latitude,
+      longitude,
+      height: height ?? 0,
+      minElevation,
+      horizonMask: mask,
+    };
+  }
+
+  /**
+   * @param {Object[]} stations - stations with name, latitude, longitude, height, optional minElevation and optional horizonMask string
+   * @returns {String} - CSV with header row
+   */
+  static toCsv(stations) {
+    const header = Object.values(CSV_COLUMNS).map(([column]) => column).join(",");
+    const rows = stations.map(({ name, latitude, longitude, height, minElevation, horizonMask }) => [
+      quoteCsv(name),
+      latitude.toFixed(6),
+      longitude.toFixed(6),
+      height.toFixed(1),
+      minElevation ?? "",
+      horizonMask ?? "",
+    ].join(","));
+    return [header, ...rows].join("\n");
+  }
+
+  /**
+   * @param {Object[]} stations - stations with name, latitude, longitude, height, optional minElevation and optional horizonMask string
+   * @returns {String} - GeoJSON FeatureCollection of points with the horizon mask as [azimuth, elevation] pairs
+   */
+  static toGeoJson(stations) {
+    return JSON.stringify({
+      type: "FeatureCollection",
+      features: stations.map(({ name, latitude, longitude, height, minElevation, horizonMask }) => ({
+        type: "Feature",
+        geometry: {
+          type: "Point",
+          coordinates: [longitude, latitude, height],
+        },
+        properties: {
+          name,
+          minElevation,
+          horizonMask: horizonMask ? HorizonMask.fromString(horizonMask).points.map(({ azimuth, elevation }) => [azimuth, elevation]) : undefined,
+        },
+      })),
+    }, null, 2);
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * ICalendarHelper.js
+ *
+ * 该文件定义了一个ICalendarHelper类，用于将预测的卫星通过导出为iCalendar（.ics）文件，以便导入日历。
+ * 每次通过生成一个VEVENT，描述中包括AOS/LOS时刻、最大仰角和方位角，并可选地添加VALARM提醒。
+ * 包括方法：
+ * - passesToIcs: 将通过导出为iCalendar
+ * - passToEvent: 将单次通过转换为VEVENT
+ * - formatDate: 格式化UTC时间
+ * - escapeText: 转义文本值
+ * - foldLine: 折叠超过75个字节的行
+ *
+ */
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+
+dayjs.extend(utc);
+
+export class ICalendarHelper {
+  /**
+   * Generate an iCalendar file with one event per pass.
+   * Visibility windows clipped at the prediction bounds are skipped as their AOS and LOS are not known.
+   * @param {Object[]} passes - passes as computed by Orbit.computePassesElevation with the name of the ground station
+   * @param {Object} options - name of the calendar and minutes before AOS for a reminder, no reminder if not set
+   * @returns {String} - iCalendar content with CRLF line endings
+   */
+  static passesToIcs(passes, { calendarName = "Satellite passes", alarmMinutes } = {}) {
+    const stamp = this.formatDate(Date.now());
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//satvis//Satellite passes//EN",
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${this.escapeText(calendarName)}`,
+      ...passes.filter((pass) => !pass.clipped).flatMap((pass) => this.passToEvent(pass, stamp, alarmMinutes)),
+      "END:VCALENDAR",
+    ];
+    return `${lines.map((line) => this.foldLine(line)).join("\r\n")}\r\n`;
+  }
+
+  /**
+   * @param {Object} pass - pass with start, apex and end timestamps, maximum elevation and azimuths
+   * @param {String} stamp - creation time of the calendar
+   * @param {Number} alarmMinutes - minutes before AOS for a reminder
+   * @returns {String[]} - unfolded lines of the VEVENT
+   */
+  static passToEvent(pass, stamp, alarmMinutes) {
+    const time = (timestamp) => dayjs.utc(timestamp).format("YYYY-MM-DD HH:mm:ss");
+    const station = pass.groundStation ? ` over ${pass.groundStation}` : "";
+    const summary = `${pass.name} pass${station} (${pass.maxElevation.toFixed(0)}°)`;
+    const description = [
+      `AOS: ${time(pass.start)} UTC, azimuth ${pass.azimuthStart.toFixed(1)}°`,
+      `TCA: ${time(pass.apex)} UTC, max elevation ${pass.maxElevation.toFixed(1)}°, azimuth ${pass.azimuthApex.toFixed(1)}°`,
+      `LOS: ${time(pass.end)} UTC, azimuth ${pass.azimuthEnd.toFixed(1)}°`,
+      `Duration: ${Math.round(pass.duration / 1000 / 60)} min`,
+    ];
+    if (typeof pass.magnitude !== "undefined") {
+      description.push(`Magnitude: ${pass.magnitude.toFixed(1)}`);
+    }
+    const uid = `${pass.name}-${pass.groundStation ?? ""}-${pass.start}`.replace(/[^\w-]+/g, "_");
+    const event = [
+      "BEGIN:VEVENT",
+      `UID:${uid}@satvis.space`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${this.formatDate(pass.start)}`,
+      `DTEND:${this.formatDate(pass.end)}`,
+      `SUMMARY:${this.escapeText(summary)}`,
+      `DESCRIPTION:${this.escapeText(description.join("\n"))}`,
+    ];
+    if (alarmMinutes > 0) {
+      event.push(
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `TRIGGER:-PT${Math.round(alarmMinutes)}M`,
+        `DESCRIPTION:${this.escapeText(`${summary} in ${Math.round(alarmMinutes)} minutes`)}`,
+        "END:VALARM",
+      );
+    }
+    event.push("END:VEVENT");
+    return event;
+  }
+
+  static formatDate(timestamp) {
+    return dayjs.utc(timestamp).format("YYYYMMDDTHHmmss[Z]");
+  }
+
+  static escapeText(text) {
+    return text.replace(/[\\;,]/g, (char) => `\\${char}`).replace(/\r?\n/g, "\\n");
+  }
+
+  // Lines are limited to 75 octets, continuation lines start with a space
+  static foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let part = "";
+    [...line].forEach((char) => {
+      if (encoder.encode(part + char).length > (parts.length === 0 ? 75 : 74)) {
+        parts.push(part);
+        part = "";
+      }
+      part += char;
+    });
+    parts.push(part);
+    return parts.join("\r\n ");
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * KeplerianPropagator.js
+ *
+ * 该文件定义了一个KeplerianPropagator类，用于通过二体模型和J2长期摄动解析地传播开普勒轨道根数。
+ * 坐标系与SGP4的输出相同（TEME），因此可以与satellite.js的坐标转换函数一起使用，既可在Web Worker中运行也可在主线程中运行。
+ * 包括方法：
+ * - meanMotion: 计算平均运动
+ * - secularRates: 计算J2引起的升交点赤经、近地点幅角和平近点角的长期变化率
+ * - solveKepler: 求解开普勒方程
+ * - propagate: 计算任意时刻的位置和速度
+ * - elementsFromStateVector: 从位置和速度向量计算轨道根数
+ *
+ */
+
+const deg2rad = Math.PI / 180;
+const rad2deg = 180 / Math.PI;
+// WGS72 constants as used by SGP4, distances in km
+const earthGravitationalParameter = 398600.8;
+const earthRadius = 6378.135;
+const j2 = 0.001082616;
+// Below this limit orbits are treated as circular or equatorial
+const epsilon = 1e-10;
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x,
+  };
+}
+
+function norm(v) {
+  return Math.sqrt(dot(v, v));
+}
+
+function scale(v, factor) {
+  return { x: v.x * factor, y: v.y * factor, z: v.z * factor };
+}
+
+// Angle from a to b around the axis in [0, 2π)
+function angleAround(a, b, axis) {
+  const angle = Math.atan2(dot(cross(a, b), axis), dot(a, b));
+  return angle < 0 ? angle + 2 * Math.PI : angle;
+}
+
+export class KeplerianPropagator {
+  static earthRadius = earthRadius;
+
+  /**
+   * @param {Number} semiMajorAxis - semi-major axis in km
+   * @returns {Number} - mean motion in rad/s
+   */
+  static meanMotion(semiMajorAxis) {
+    return Math.sqrt(earthGravitationalParameter / semiMajorAxis ** 3);
+  }
+
+  /**
+   * Secular drift of the node, the perigee and the mean anomaly caused by the Earth oblateness (J2).
+   * @param {Object} elements - semiMajorAxis in km, eccentricity, inclination in degrees
+   * @returns {{raan: Number, argumentOfPerigee: Number, meanAnomaly: Number}} - rates in rad/s
+   */
+  static secularRates({ semiMajorAxis, eccentricity, inclination }) {
+    const meanMotion = this.meanMotion(semiMajorAxis);
+    const semiLatusRectum = semiMajorAxis * (1 - eccentricity * eccentricity);
+    const factor = 0.75 * meanMotion * j2 * (earthRadius / semiLatusRectum) ** 2;
+    const cosInclination = Math.cos(inclination * deg2rad);
+    return {
+      raan: -2 * factor * cosInclination,
+      argumentOfPerigee: factor * (5 * cosInclination * cosInclination - 1),
+      meanAnomaly: meanMotion + factor * Math.sqrt(1 - eccentricity * eccentricity) * (3 * cosInclination * cosInclination - 1),
+    };
+  }
+
+  /**
+   * Solve Kepler's equation M = E - e sin(E) through Newton iteration.
+   * @param {Number} meanAnomaly - mean anomaly in radians
+   * @param {Number} eccentricity - eccentricity < 1
+   * @returns {Number} - eccentric anomaly in radians
+   */
+  static solveKepler(meanAnomaly, eccentricity) {
+    let eccentricAnomaly = eccentricity < 0.8 ? meanAnomaly : Math.PI;
+    for (let i = 0; i < 50; i += 1) {
+      const delta = (eccentricAnomaly - eccentricity * Math.sin(eccentricAnomaly) - meanAnomaly) / (1 - eccentricity * Math.cos(eccentricAnomaly));
+      eccentricAnomaly -= delta;
+      if (Math.abs(delta) < 1e-12) {
+        break;
+      }
+    }
+    return eccentricAnomaly;
+  }
+
+  /**
+   * Propagate mean elements with the two-body motion and the secular J2 drift.
+   * @param {Object} elements - semiMajorAxis in km, eccentricity, inclination, raan, argumentOfPerigee and meanAnomaly in degrees, epoch as timestamp in ms
+   * @param {Date} date - time
+   * @returns {{position: Object, velocity: Object}} - position in km and velocity in km/s in the TEME frame like satellite.js
+   */
+  static propagate(elements, date) {
+    const { semiMajorAxis, eccentricity } = elements;
+    const rates = this.secularRates(elements);
+    const seconds = (date.getTime() - elements.epoch) / 1000;
+    const raan = elements.raan * deg2rad + rates.raan * seconds;
+    const argumentOfPerigee = elements.argumentOfPerigee * deg2rad + rates.argumentOfPerigee * seconds;
+    const meanAnomaly = (elements.meanAnomaly * deg2rad + rates.meanAnomaly * seconds) % (2 * Math.PI);
+    const inclination = elements.inclination * deg2rad;
+
+    // Position and velocity in the perifocal frame
+    const eccentricAnomaly = this.solveKepler(meanAnomaly, eccentricity);
+    const cosE = Math.cos(eccentricAnomaly);
+    const sinE = Math.sin(eccentricAnomaly);
+    const sqrtOneMinusESquared = Math.sqrt(1 - eccentricity * eccentricity);
+    const radius = semiMajorAxis * (1 - eccentricity * cosE);
+    const x = semiMajorAxis * (cosE - eccentricity);
+    const y = semiMajorAxis * sqrtOneMinusESquared * sinE;
+    const velocityFactor = Math.sqrt(earthGravitationalParameter * semiMajorAxis) / radius;
+    const vx = -velocityFactor * sinE;
+    const vy = velocityFactor * sqrtOneMinusESquared * cosE;
+
+    // Rotate the perifocal frame into the inertial frame
+    const cosO = Math.cos(raan);
+    const sinO = Math.sin(raan);
+    const cosW = Math.cos(argumentOfPerigee);
+    const sinW = Math.sin(argumentOfPerigee);
+    const cosI = Math.cos(inclination);
+    const sinI = Math.sin(inclination);
+    const p = { x: cosO * cosW - sinO * sinW * cosI, y: sinO * cosW + cosO * sinW * cosI, z: sinW * sinI };
+    const q = { x: -cosO * sinW - sinO * cosW * cosI, y: -sinO * sinW + cosO * cosW * cosI, z: cosW * sinI };
+
+    return {
+      position: { x: x * p.x + y * q.x, y: x * p.y + y * q.y, z: x * p.z + y * q.z },
+      velocity: { x: vx * p.x + vy * q.x, y: vx * p.y + vy * q.y, z: vx * p.z + vy * q.z },
+    };
+  }
+
+  /**
+   * Compute the osculating elements of a state vector.
+   * For circular orbits the argument of perigee is 0 and the anomaly is measured from the ascending node,
+   * for equatorial orbits the RAAN is 0 and the node is replaced by the x axis.
+   * @param {Object} position - position in km in the TEME frame
+   * @param {Object} velocity - velocity in km/s in the TEME frame
+   * @returns {Object} - semiMajorAxis in km, eccentricity, inclination, raan, argumentOfPerigee and meanAnomaly in degrees
+   */
+  static elementsFromStateVector(position, velocity) {
+    const radius = norm(position);
+    const speed = norm(velocity);
+    const energy = (speed * speed) / 2 - earthGravitationalParameter / radius;
+    if (energy >= 0) {
+      throw new Error("State vector is not on an elliptical orbit");
+    }
+    const semiMajorAxis = -earthGravitationalParameter / (2 * energy);
+
+    const angularMomentum = cross(position, velocity);
+    const normal = scale(angularMomentum, 1 / norm(angularMomentum));
+    const eccentricityVector = scale({
+      x: (speed * speed - earthGravitationalParameter / radius) * position.x - dot(position, velocity) * velocity.x,
+      y: (speed * speed - earthGravitationalParameter / radius) * position.y - dot(position, velocity) * velocity.y,
+      z: (speed * speed - earthGravitationalParameter / radius) * position.z - dot(position, velocity) * velocity.z,
+    }, 1 / earthGravitationalParameter);
+    const eccentricity = norm(eccentricityVector);
+    const inclination = Math.acos(Math.max(-1, Math.min(1, normal.z)));
+
+    const node = { x: -angularMomentum.y, y: angularMomentum.x, z: 0 };
+    const equatorial = norm(node) < epsilon * norm(angularMomentum);
+    const nodeDirection = equatorial ? { x: 1, y: 0, z: 0 } : scale(node, 1 / norm(node));
+    const circular = eccentricity < epsilon;
+    const perigeeDirection = circular ? nodeDirection : scale(eccentricityVector, 1 / eccentricity);
+
+    const raan = equatorial ? 0 : Math.atan2(node.y, node.x);
+    const argumentOfPerigee = circular ? 0 : angleAround(nodeDirection, perigeeDirection, normal);
+    const trueAnomaly = angleAround(perigeeDirection, position, normal);
+    const eccentricAnomaly = Math.atan2(Math.sqrt(1 - eccentricity * eccentricity) * Math.sin(trueAnomaly), eccentricity + Math.cos(trueAnomaly));
+    const meanAnomaly = eccentricAnomaly - eccentricity * Math.sin(eccentricAnomaly);
+
+    const toDegrees = (angle) => (((angle * rad2deg) % 360) + 360) % 360;
+    return {
+      semiMajorAxis,
+      eccentricity,
+      inclination: inclination * rad2deg,
+      raan: toDegrees(raan),
+      argumentOfPerigee: toDegrees(argumentOfPerigee),
+      meanAnomaly: toDegrees(meanAnomaly),
+    };
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * OmmParser.js
+ *
+ * 该文件定义了一个OmmParser类，用于解析CCSDS OMM（Celestrak GP）格式的轨道数据。
+ * 支持JSON、XML和CSV格式，并可将OMM记录转换为TLE字符串，以便复用基于SGP4的Orbit类。
+ * 包括方法：
+ * - detectFormat: 检测轨道数据的格式
+ * - parse: 根据格式解析轨道数据
+ * - parseJson: 解析JSON格式的OMM数据
+ * - parseXml: 解析XML格式的OMM数据
+ * - parseCsv: 解析CSV格式的OMM数据
+ * - toTle: 将OMM记录转换为TLE字符串
+ * - decodeAlpha5: 解析Alpha-5格式的目录编号
+ *
+ */
+import { CsvParser } from "./CsvParser";
+import { TleParser } from "./TleParser";
+
+// Alpha-5 catalog number prefixes (I and O are skipped to avoid confusion with 1 and 0)
+const ALPHA5 = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+
+function formatSatnum(satnum) {
+  const num = Number(satnum);
+  if (num < 100000) {
+    return String(num).padStart(5, "0");
+  }
+  if (num < 340000) {
+    const prefix = ALPHA5[Math.floor(num / 10000) - 10];
+    return `${prefix}${String(num % 10000).padStart(4, "0")}`;
+  }
+  // Not representable in TLE format, the catalog number is kept in the OMM record instead
+  return "00000";
+}
+
+function formatDecimal(value, digits, width) {
+  return Number(value).toFixed(digits).padStart(width, " ");
+}
+
+// Format a value in the TLE decimal point assumed notation, e.g. 0.41838e-4 -> " 41838-4"
+function formatExponential(value) {
+  const num = Number(value);
+  if (num === 0) {
+    return " 00000-0";
+  }
+  let exponent = Math.floor(Math.log10(Math.abs(num))) + 1;
+  let mantissa = Math.round((Math.abs(num) / 10 ** exponent) * 1e5);
+  if (mantissa >= 1e5) {
+    mantissa /= 10;
+    exponent += 1;
+  }
+  if (exponent < -9) {
+    // Too small to be represented with a single digit exponent
+    return " 00000-0";
+  }
+  const sign = num < 0 ? "-" : " ";
+  const exponentSign = exponent < 0 ? "-" : "+";
+  return `${sign}${String(mantissa).padStart(5, "0")}${exponentSign}${Math.abs(exponent)}`;
+}
+
+function formatMeanMotionDot(value) {
+  const num = Number(value);
+  const sign = num < 0 ? "-" : " ";
+  return `${sign}${Math.abs(num).toFixed(8).substring(1)}`;
+}
+
+function formatEpoch(epoch) {
+  const match = epoch.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?)/);
+  if (!match) {
+    throw new TypeError(`Invalid OMM epoch ${epoch}`);
+  }
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  const dayOfYear = (Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 1)) / 86400000 + 1;
+  const fraction = (hour * 3600 + minute * 60 + second) / 86400;
+  return `${String(year % 100).padStart(2, "0")}${(dayOfYear + fraction).toFixed(8).padStart(12, "0")}`;
+}
+
+function formatDesignator(objectId = "") {
+  // 1998-067A -> 98067A
+  const match = objectId.match(/^\d{2}(\d{2})-(\d{3})(\w*)$/);
+  if (!match) {
+    return "".padEnd(8, " ");
+  }
+  return `${match[1]}${match[2]}${match[3]}`.padEnd(8, " ").substring(0, 8);
+}
+
+export class OmmParser {
+  static formats = ["tle", "json", "xml", "csv"];
+
+  /**
+   * Detect the format of orbital data based on its content.
+   * @param {String} data - raw file content
+   * @returns {String} - one of "json", "xml", "csv" or "tle"
+   */
+  static detectFormat(data) {
+    const content = data.trimStart();
+    if (content.startsWith("[") || content.startsWith("{")) {
+      return "json";
+    }
+    if (content.startsWith("<")) {
+      return "xml";
+    }
+    const header = content.split(/\r?\n/, 1)[0];
+    if (header.includes("OBJECT_NAME") && header.includes(",")) {
+      return "csv";
+    }
+    return "tle";
+  }
+
+  /**
+   * Parse OMM records from raw file content.
+   * @param {String} data - raw file content
+   * @param {String} format - format of the data, detected automatically if not set
+   * @returns {Object[]} - OMM records with the CCSDS keyword names as keys
+   */
+  static parse(data, format = this.detectFormat(data)) {
+    switch (format) {
+      case "json":
+        return this.parseJson(data);
+      case "xml":
+        return this.parseXml(data);
+      case "csv":
+        return this.parseCsv(data);
+      default:
+        throw new TypeError(`Unsupported OMM format ${format}`);
+    }
+  }
+
+  static parseJson(data) {
+    const records = JSON.parse(data);
+    return Array.isArray(records) ? records : [records];
+  }
+
+  static parseXml(data) {
+    const doc = new DOMParser().parseFromString(data, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length > 0) {
+      throw new TypeError("Invalid OMM XML");
+    }
+    return [...doc.getElementsByTagName("omm")].map((omm) => {
+      const record = {};
+      [...omm.getElementsByTagName("*")]
+        .filter((element) => element.children.length === 0)
+        .forEach((element) => {
+          record[element.tagName] = element.textContent.trim();
+        });
+      return record;
+    });
+  }
+
+  static parseCsv(data) {
+    const [header = [], ...rows] = CsvParser.parseRows(data);
+    return rows.map((fields) => Object.fromEntries(header.map((key, i) => [key, fields[i]])));
+  }
+
+  /**
+   * Convert an OMM record with SGP4 mean elements to a three line TLE string.
+   * Catalog numbers above 99999 are encoded in the Alpha-5 scheme where possible.
+   * @param {Object} omm - OMM record
+   * @returns {String} - TLE including the name line
+   */
+  static toTle(omm) {
+    const satnum = formatSatnum(omm.NORAD_CAT_ID);
+    const classification = omm.CLASSIFICATION_TYPE || "U";
+    const line1 = [
+      `1 ${satnum}${classification} ${formatDesignator(omm.OBJECT_ID)} ${formatEpoch(omm.EPOCH)}`,
+      formatMeanMotionDot(omm.MEAN_MOTION_DOT ?? 0),
+      formatExponential(omm.MEAN_MOTION_DDOT ?? 0),
+      formatExponential(omm.BSTAR ?? 0),
+      `${omm.EPHEMERIS_TYPE ?? 0} ${String((omm.ELEMENT_SET_NO ?? 999) % 10000).padStart(4, " ")}`,
+    ].join(" ");
+    const line2 = [
+      `2 ${satnum}`,
+      formatDecimal(omm.INCLINATION, 4, 8),
+      formatDecimal(omm.RA_OF_ASC_NODE, 4, 8),
+      Number(omm.ECCENTRICITY).toFixed(7).substring(2),
+      formatDecimal(omm.ARG_OF_PERICENTER, 4, 8),
+      formatDecimal(omm.MEAN_ANOMALY, 4, 8),
+      `${formatDecimal(omm.MEAN_MOTION, 8, 11)}${String((omm.REV_AT_EPOCH ?? 0) % 100000).padStart(5, " ")}`,
+    ].join(" ");
+    return [
+      omm.OBJECT_NAME,
+      `${line1}${TleParser.checksum(line1)}`,
+      `${line2}${TleParser.checksum(line2)}`,
+    ].join("\n");
+  }
+
+  /**
+   * Decode an Alpha-5 catalog number, e.g. T0000 -> 270000.
+   * @param {String} satnum - five character catalog number
+   * @returns {Number}
+   */
+  static decodeAlpha5(satnum) {
+    const prefix = ALPHA5.indexOf(satnum[0]);
+    if (prefix < 0) {
+      return Number(satnum);
+    }
+    return (prefix + 10) * 10000 + Number(satnum.substring(1));
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * PackedSampledPosition.js
+ *
+ * 该文件定义了一个PackedSampledPosition类，以Float64Array保存传播线程池计算的地固坐标采样位置，供批量渲染的点和标签每帧直接插值。
+ * 插值方式与SampledPositionProperty相同（5阶拉格朗日插值，超出范围时保持首尾位置），但不需要通过Property.getValue访问。
+ * 包括方法：
+ * - length: 获取采样数
+ * - addSamples: 合并一批采样位置
+ * - removeSamplesOutside: 移除时间范围之外的采样
+ * - getValue: 插值计算指定时间的位置
+ *
+ */
+import * as Cesium from "@cesium/engine";
+
+const INTERPOLATION_DEGREE = 5;
+
+const xTable = [];
+const yTable = [];
+const scratchResult = [0, 0, 0];
+
+export class PackedSampledPosition {
+  /**
+   * @param {Cesium.JulianDate} epoch - reference time of the sample times
+   */
+  constructor(epoch) {
+    this.epoch = Cesium.JulianDate.clone(epoch);
+    // Sample times in seconds from the epoch in ascending order
+    this.times = new Float64Array(0);
+    // Packed x, y, z positions in meters in the fixed frame
+    this.positions = new Float64Array(0);
+  }
+
+  get length() {
+    return this.times.length;
+  }
+
+  /**
+   * Merge samples as returned by the propagation pool, samples at already known times are replaced.
+   * @param {Cesium.JulianDate} start - reference time of the offsets
+   * @param {Float64Array} offsets - sample times in seconds from start in ascending order
+   * @param {Float64Array} positions - packed x, y, z positions of the samples
+   */
+  addSamples(start, offsets, positions) {
+    const shift = Cesium.JulianDate.secondsDifference(start, this.epoch);
+    const { times: oldTimes, positions: oldPositions } = this;
+    const times = new Float64Array(oldTimes.length + offsets.length);
+    const merged = new Float64Array(times.length * 3);
+    const copy = (source, from, to) => {
+      merged[to * 3] = source[from * 3];
+      merged[to * 3 + 1] = source[from * 3 + 1];
+      merged[to * 3 + 2] = source[from * 3 + 2];
+    };
+    let i = 0;
+    let j = 0;
+    let k = 0;
+    while (i < oldTimes.length || j < offsets.length) {
+      const newTime = j < offsets.length ? shift + offsets[j] : Infinity;
+      const oldTime = i < oldTimes.length ? oldTimes[i] : Infinity;
+      if (newTime <= oldTime) {
+        if (newTime === oldTime) {
+          i += 1;
+        }
+        times[k] = newTime;
+        copy(positions, j, k);
+        j += 1;
+      } else {
+        times[k] = oldTime;
+        copy(oldPositions, i, k);
+        i += 1;
+      }
+      k += 1;
+    }
+    this.times = times.slice(0, k);
+    this.positions = merged.slice(0, k * 3);
+  }
+
+  /**
+   * @param {Cesium.TimeInterval} interval - samples at the interval bounds are kept
+   */
+  removeSamplesOutside(interval) {
+    const start = Cesium.JulianDate.secondsDifference(interval.start, this.epoch);
+    const stop = Cesium.JulianDate.secondsDifference(interval.stop, this.epoch);
+    const first = this.#lowerBound(start);
+    let last = this.#lowerBound(stop);
+    if (last < this.times.length && this.times[last] === stop) {
+      last += 1;
+    }
+    this.times = this.times.slice(first, last);
+    this.positions = this.positions.slice(first * 3, last * 3);
+  }
+
+  // Index of the first sample at or after the given time
+  #lowerBound(time) {
+    let low = 0;
+    let high = this.times.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (this.times[middle] < time) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Interpolate the position like a SampledPositionProperty with Lagrange interpolation of degree 5 and held extrapolation.
+   * @param {Cesium.JulianDate} time
+   * @param {Cesium.Cartesian3} result
+   * @returns {Cesium.Cartesian3|undefined} - position in the fixed frame, undefined if no samples were added yet
+   */
+  getValue(time, result = new Cesium.Cartesian3()) {
+    const { times, positions } = this;
+    const count = times.length;
+    if (count === 0) {
+      return undefined;
+    }
+    const x = Cesium.JulianDate.secondsDifference(time, this.epoch);
+    const index = this.#lowerBound(x);
+    if (index === 0 || index === count || times[index] === x) {
+      return Cesium.Cartesian3.unpack(positions, Math.min(index, count - 1) * 3, result);
+    }
+
+    // Same choice of samples around the time as SampledProperty
+    const degree = Math.min(INTERPOLATION_DEGREE, count - 1);
+    let first = Math.max(0, index - Math.trunc(degree / 2) - 1);
+    let last = first + degree;
+    if (last > count - 1) {
+      last = count - 1;
+      first = last - degree;
+    }
+    xTable.length = degree + 1;
+    yTable.length = (degree + 1) * 3;
+    for (let i = 0; i <= degree; i += 1) {
+      xTable[i] = times[first + i] - times[last];
+      yTable[i * 3] = positions[(first + i) * 3];
+      yTable[i * 3 + 1] = positions[(first + i) * 3 + 1];
+      yTable[i * 3 + 2] = positions[(first + i) * 3 + 2];
+    }
+    Cesium.LagrangePolynomialApproximation.interpolateOrderZero(x - times[last], xTable, yTable, 3, scratchResult);
+    return Cesium.Cartesian3.unpack(scratchResult, 0, result);
+  }
+}
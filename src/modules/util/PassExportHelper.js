@@ -0,0 +1,72 @@
+/**
+ * PassExportHelper.js
+ *
+ * 该文件定义了一个PassExportHelper类，用于将预测的卫星通过导出为CSV或JSON。
+ * 导出包括通过预测计算的所有字段，时间戳转换为ISO 8601格式（UTC），嵌套字段（例如进出地影点）在CSV中展开为单独的列。
+ * 包括方法：
+ * - passRecord: 将通过转换为导出记录
+ * - passesToCsv: 导出CSV
+ * - passesToJson: 导出JSON
+ *
+ */
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+
+dayjs.extend(utc);
+
+// Pass fields with timestamps in ms
+const TIME_FIELDS = ["start", "apex", "end", "visibleStart", "visibleEnd", "time"];
+
+function csvValue(value) {
+  if (typeof value === "undefined" || value === null) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replaceAll("\"", "\"\"")}"` : text;
+}
+
+export class PassExportHelper {
+  /**
+   * @param {Object} pass - pass as computed by Orbit.computePassesElevation or Orbit.computeVisiblePasses
+   * @returns {Object} - copy of the pass with ISO timestamps
+   */
+  static passRecord(pass) {
+    return Object.fromEntries(Object.entries(pass).map(([key, value]) => {
+      if (TIME_FIELDS.includes(key) && typeof value === "number") {
+        return [key, dayjs.utc(value).toISOString()];
+      }
+      if (value && typeof value === "object") {
+        return [key, this.passRecord(value)];
+      }
+      return [key, value];
+    }));
+  }
+
+  /**
+   * @param {Object[]} passes - passes, all fields of all passes are exported, e.g. the magnitude of visible passes
+   * @returns {String} - CSV with one row per pass and nested fields as separate columns, e.g. shadowEntry_time
+   */
+  static passesToCsv(passes) {
+    const rows = passes.map((pass) => {
+      const row = {};
+      Object.entries(this.passRecord(pass)).forEach(([key, value]) => {
+        if (value && typeof value === "object") {
+          Object.entries(value).forEach(([nestedKey, nestedValue]) => {
+            row[`${key}_${nestedKey}`] = nestedValue;
+          });
+        } else {
+          row[key] = value;
+        }
+      });
+      return row;
+    });
+    const header = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    return [header, ...rows.map((row) => header.map((key) => row[key]))]
+      .map((row) => row.map((value) => csvValue(value)).join(","))
+      .join("\n");
+  }
+
+  static passesToJson(passes) {
+    return JSON.stringify(passes.map((pass) => this.passRecord(pass)), null, 2);
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Propagation.js
+ *
+ * 该文件定义了一个Propagation类，用于批量计算卫星的采样位置。
+ * 通过SGP4（或自定义轨道的二体+J2模型）计算TEME坐标，再转换到地固坐标系和ICRF惯性坐标系，结果以Float64Array返回，既可在Web Worker中运行也可在主线程中运行。
+ * 包括方法：
+ * - propagate: 计算一段时间内的采样位置
+ *
+ */
+import * as satellitejs from "satellite.js";
+import { Cartesian3, JulianDate, Matrix3, Transforms, defined } from "@cesium/engine";
+
+import { KeplerianPropagator } from "./KeplerianPropagator";
+
+const scratchTime = new JulianDate();
+const scratchTeme = new Cartesian3();
+const scratchFixed = new Cartesian3();
+const scratchInertial = new Cartesian3();
+const scratchTemeToFixed = new Matrix3();
+const scratchFixedToIcrf = new Matrix3();
+
+export class Propagation {
+  /**
+   * Propagate an orbit to the given sample times.
+   * @param {Object} source - satellite.js satrec or { keplerian } elements as returned by Orbit.propagationSource
+   * @param {JulianDate} start - reference time of the samples
+   * @param {Float64Array} offsets - sample times as offsets in seconds from start
+   * @returns {{fixed: Float64Array, inertial: Float64Array, valid: Boolean}} - packed x, y, z positions in meters in the fixed and the ICRF frame
+   */
+  static propagate(source, start, offsets) {
+    const count = offsets.length;
+    const propagate = source.keplerian ?
+      (date) => KeplerianPropagator.propagate(source.keplerian, date) :
+      (date) => satellitejs.propagate(source, date);
+    const fixed = new Float64Array(count * 3);
+    const inertial = new Float64Array(count * 3);
+    let valid = true;
+    let transformAvailable = true;
+
+    for (let i = 0; i < count; i += 1) {
+      const time = JulianDate.addSeconds(start, offsets[i], scratchTime);
+      const { position } = propagate(JulianDate.toDate(time));
+      if (source.error || !position) {
+        // Propagation failed, e.g. due to decay. Positions are left at the origin as before
+        valid = false;
+      } else {
+        const positionTeme = Cartesian3.fromElements(position.x * 1000, position.y * 1000, position.z * 1000, scratchTeme);
+        const temeToFixed = Transforms.computeTemeToPseudoFixedMatrix(time, scratchTemeToFixed);
+        const positionFixed = Matrix3.multiplyByVector(temeToFixed, positionTeme, scratchFixed);
+        const fixedToIcrf = Transforms.computeFixedToIcrfMatrix(time, scratchFixedToIcrf);
+        let positionInertial = positionFixed;
+        if (defined(fixedToIcrf)) {
+          positionInertial = Matrix3.multiplyByVector(fixedToIcrf, positionFixed, scratchInertial);
+        } else {
+          transformAvailable = false;
+        }
+        Cartesian3.pack(positionFixed, fixed, i * 3);
+        Cartesian3.pack(positionInertial, inertial, i * 3);
+      }
+    }
+    if (!transformAvailable) {
+      console.error("Reference frame transformation data failed to load");
+    }
+    return { fixed, inertial, valid };
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * PropagationPool.js
+ *
+ * 该文件定义了一个PropagationPool类，用于管理多个传播Web Worker。
+ * 同一事件循环中提交的传播请求会被合并为批次并分配给空闲的Worker，不支持Worker时在主线程中计算。
+ * 包括方法：
+ * - instance: 获取共享的线程池实例
+ * - propagate: 异步计算卫星的采样位置
+ * - flush: 将排队的请求分批发送给Worker
+ * Worker加载或通信失败时，其未完成的请求以及之后的所有请求都改为在主线程中计算。
+ *
+ */
+import * as Cesium from "@cesium/engine";
+
+import { Propagation } from "./Propagation";
+
+export class PropagationPool {
+  // Propagate in web workers, set to false to compare with propagation on the main thread
+  static enabled = typeof Worker !== "undefined";
+
+  static #instance;
+
+  #workers = [];
+
+  #queue = [];
+
+  #pending = new Map();
+
+  #nextId = 0;
+
+  #flushScheduled = false;
+
+  // Set once a worker failed to load or to deliver a message, all further requests are propagated on the main thread
+  #failed = false;
+
+  /**
+   * @param {Number} size - number of workers, defaults to the number of cores minus the main thread
+   * @param {Number} batchSize - maximum number of propagation requests per worker message
+   */
+  constructor(size = Math.min(4, Math.max(1, (navigator.hardwareConcurrency || 2) - 1)), batchSize = 50) {
+    this.size = size;
+    this.batchSize = batchSize;
+  }
+
+  static get instance() {
+    if (!this.#instance) {
+      this.#instance = new PropagationPool();
+    }
+    return this.#instance;
+  }
+
+  #createWorkers() {
+    const baseUrl = Cesium.buildModuleUrl("");
+    for (let i = 0; i < this.size; i += 1) {
+      const worker = new Worker(new URL("./PropagationWorker.js", import.meta.url));
+      worker.postMessage({ baseUrl });
+      const entry = { worker, busy: 0 };
+      worker.addEventListener("message", ({ data }) => this.#onMessage(data));
+      worker.addEventListener("error", (event) => this.#onError(entry, event));
+      worker.addEventListener("messageerror", (event) => this.#onError(entry, event));
+      this.#workers.push(entry);
+    }
+  }
+
+  #onError(entry, event) {
+    console.warn("Propagation worker failed, propagating on the main thread", event.message ?? event);
+    this.#failed = true;
+    entry.worker.terminate();
+    this.#workers = this.#workers.filter((other) => other !== entry);
+    this.#pending.forEach(({ tasks, entry: pendingEntry }, id) => {
+      if (pendingEntry === entry) {
+        this.#pending.delete(id);
+        tasks.forEach((task) => this.#propagateOnMainThread(task));
+      }
+    });
+  }
+
+  #propagateOnMainThread({ source, start, offsets, resolve, reject }) {
+    try {
+      resolve(Propagation.propagate(source, new Cesium.JulianDate(start.dayNumber, start.secondsOfDay, Cesium.TimeStandard.TAI), offsets));
+    } catch (error) {
+      reject(error);
+    }
+  }
+
+  #onMessage({ id, results, error }) {
+    const { tasks, entry } = this.#pending.get(id);
+    this.#pending.delete(id);
+    entry.busy -= 1;
+    tasks.forEach((task, i) => {
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(results[i]);
+      }
+    });
+  }
+
+  /**
+   * Propagate an orbit to the given sample times.
+   * @param {Object} source - satellite.js satrec or { keplerian } elements as returned by Orbit.propagationSource
+   * @param {Cesium.JulianDate} start - reference time of the samples
+   * @param {Float64Array} offsets - sample times as offsets in seconds from start
+   * @returns {Promise<Object>} - packed positions in the fixed and inertial frame (see Propagation.propagate)
+   */
+  propagate(source, start, offsets) {
+    if (!PropagationPool.enabled || this.#failed) {
+      return Promise.resolve(Propagation.propagate(source, start, offsets));
+    }
+    return new Promise((resolve, reject) => {
+      this.#queue.push({
+        source,
+        start: { dayNumber: start.dayNumber, secondsOfDay: start.secondsOfDay },
+        offsets,
+        resolve,
+        reject,
+      });
+      if (!this.#flushScheduled) {
+        // Collect all requests of the current event loop iteration before sending them to the workers
+        this.#flushScheduled = true;
+        setTimeout(() => this.flush());
+      }
+    });
+  }
+
+  flush() {
+    this.#flushScheduled = false;
+    if (this.#failed) {
+      this.#queue.splice(0).forEach((task) => this.#propagateOnMainThread(task));
+      return;
+    }
+    if (this.#workers.length === 0) {
+      this.#createWorkers();
+    }
+    while (this.#queue.length > 0) {
+      const tasks = this.#queue.splice(0, this.batchSize);
+      const entry = this.#workers.reduce((a, b) => (b.busy < a.busy ? b : a));
+      const id = this.#nextId;
+      this.#nextId += 1;
+      entry.busy += 1;
+      this.#pending.set(id, { tasks, entry });
+      entry.worker.postMessage({
+        id,
+        tasks: tasks.map(({ source, start, offsets }) => ({ source, start, offsets })),
+      });
+    }
+  }
+}
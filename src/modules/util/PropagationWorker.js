@@ -0,0 +1,42 @@
+/**
+ * PropagationWorker.js
+ *
+ * 该文件定义了传播线程池使用的Web Worker，在后台线程中批量计算卫星的采样位置。
+ * 消息格式：
+ * - { baseUrl }: 设置Cesium资源的路径，用于加载参考框架数据
+ * - { id, tasks: [{ source, start, offsets }] }: 计算一批卫星的采样位置，结果以Float64Array返回
+ *
+ */
+import { JulianDate, TimeInterval, TimeStandard, Transforms, buildModuleUrl } from "@cesium/engine";
+
+import { Propagation } from "./Propagation";
+/* eslint-env worker */
+/* eslint-disable no-restricted-globals */
+
+async function propagateBatch({ id, tasks }) {
+  const results = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for (const { source, start, offsets } of tasks) {
+    // The pool transfers the internal TAI day number and seconds of the start time
+    const startTime = new JulianDate(start.dayNumber, start.secondsOfDay, TimeStandard.TAI);
+    // Reference frame data is cached after the first request for a time range
+    // eslint-disable-next-line no-await-in-loop
+    await Transforms.preloadIcrfFixed(new TimeInterval({
+      start: JulianDate.addSeconds(startTime, offsets[0] ?? 0, new JulianDate()),
+      stop: JulianDate.addSeconds(startTime, offsets[offsets.length - 1] ?? 0, new JulianDate()),
+    }));
+    results.push(Propagation.propagate(source, startTime, offsets));
+  }
+  const buffers = results.flatMap(({ fixed, inertial }) => [fixed.buffer, inertial.buffer]);
+  self.postMessage({ id, results }, buffers);
+}
+
+self.addEventListener("message", ({ data }) => {
+  if (data.baseUrl) {
+    buildModuleUrl.setBaseUrl(data.baseUrl);
+    return;
+  }
+  propagateBatch(data).catch((error) => {
+    self.postMessage({ id: data.id, error: error.message });
+  });
+});
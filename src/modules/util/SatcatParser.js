@@ -0,0 +1,99 @@
+/**
+ * SatcatParser.js
+ *
+ * 该文件定义了一个SatcatParser类，用于解析Celestrak SATCAT卫星目录（CSV或JSON格式）。
+ * 记录被规范化为国际编号、发射日期、所有者/国家、目标类型、衰减状态和雷达截面积等字段，并通过目录编号与卫星关联。
+ * 包括方法：
+ * - parse: 解析SATCAT数据
+ * - normalize: 规范化SATCAT记录
+ * - objectType: 解析目标类型
+ * - rcsSize: 根据雷达截面积计算尺寸类别
+ *
+ */
+import { OmmParser } from "./OmmParser";
+
+function parseDate(value) {
+  if (!value) {
+    return undefined;
+  }
+  const date = new Date(`${value.substring(0, 10)}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+export class SatcatParser {
+  static PAYLOAD = "PAYLOAD";
+
+  static ROCKET_BODY = "ROCKET BODY";
+
+  static DEBRIS = "DEBRIS";
+
+  static UNKNOWN = "UNKNOWN";
+
+  /**
+   * Parse a SATCAT file.
+   * @param {String} data - raw file content in the Celestrak CSV or JSON format
+   * @returns {Object[]} - normalized records (see normalize), records without catalog number are skipped
+   */
+  static parse(data) {
+    const format = OmmParser.detectFormat(data);
+    if (!["json", "csv"].includes(format)) {
+      throw new TypeError(`Unsupported SATCAT format ${format}`);
+    }
+    return OmmParser.parse(data, format)
+      .filter((record) => Number.isInteger(Number.parseInt(record.NORAD_CAT_ID, 10)))
+      .map((record) => this.normalize(record));
+  }
+
+  /**
+   * @param {Object} record - SATCAT record with the Celestrak column names as keys
+   * @returns {Object} - satnum, name, internationalDesignator, launchDate, owner, objectType, decayed, decayDate, rcs in m² and rcsSize
+   */
+  static normalize(record) {
+    const rcs = Number.parseFloat(record.RCS);
+    const decayDate = parseDate(record.DECAY_DATE);
+    return {
+      satnum: Number.parseInt(record.NORAD_CAT_ID, 10),
+      name: record.OBJECT_NAME?.trim(),
+      internationalDesignator: record.OBJECT_ID || record.INTLDES || undefined,
+      launchDate: parseDate(record.LAUNCH_DATE),
+      owner: record.OWNER || record.COUNTRY || undefined,
+      objectType: this.objectType(record.OBJECT_TYPE),
+      decayed: Boolean(decayDate) || record.OPS_STATUS_CODE === "D",
+      decayDate,
+      rcs: Number.isFinite(rcs) ? rcs : undefined,
+      // Older catalogs only provide the size class
+      rcsSize: Number.isFinite(rcs) ? this.rcsSize(rcs) : record.RCS_SIZE || undefined,
+    };
+  }
+
+  static objectType(type = "") {
+    switch (type.trim().toUpperCase()) {
+      case "PAY":
+      case "PAYLOAD":
+        return this.PAYLOAD;
+      case "R/B":
+      case "ROCKET BODY":
+        return this.ROCKET_BODY;
+      case "DEB":
+      case "DEBRIS":
+        return this.DEBRIS;
+      default:
+        return this.UNKNOWN;
+    }
+  }
+
+  /**
+   * Size class of a radar cross section as used by Space-Track.
+   * @param {Number} rcs - radar cross section in m²
+   * @returns {String} - SMALL (< 0.1 m²), MEDIUM (< 1 m²) or LARGE
+   */
+  static rcsSize(rcs) {
+    if (rcs < 0.1) {
+      return "SMALL";
+    }
+    if (rcs < 1) {
+      return "MEDIUM";
+    }
+    return "LARGE";
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * TleParser.js
+ *
+ * 该文件定义了一个TleParser类，用于解析和校验TLE文件。
+ * 支持带名称的三行格式（3LE）和不带名称的两行格式（2LE），可处理空行、行尾空白以及混合的CRLF/LF换行符。
+ * 包括方法：
+ * - parse: 解析TLE文件，返回有效记录和带行号的错误信息
+ * - checksum: 计算TLE行的模10校验和
+ * - validate: 校验一组TLE行的校验和与字段范围
+ *
+ */
+
+const TLE_LINE_LENGTH = 69;
+
+// Column ranges and valid value ranges of the numeric fields that are validated
+const fieldRanges = {
+  1: [
+    { name: "epoch year", start: 18, end: 20, min: 0, max: 99 },
+    { name: "epoch day", start: 20, end: 32, min: 1, max: 367 },
+  ],
+  2: [
+    { name: "inclination", start: 8, end: 16, min: 0, max: 180 },
+    { name: "right ascension of the ascending node", start: 17, end: 25, min: 0, max: 360 },
+    { name: "eccentricity", start: 26, end: 33, min: 0, max: 9999999 },
+    { name: "argument of perigee", start: 34, end: 42, min: 0, max: 360 },
+    { name: "mean anomaly", start: 43, end: 51, min: 0, max: 360 },
+    { name: "mean motion", start: 52, end: 63, min: 0, max: 20, exclusiveMin: true },
+  ],
+};
+
+// Name lines of 3LE files are at most 24 characters long, longer lines starting with the line number are element lines
+function isElementLine(line, lineNumber) {
+  return line.startsWith(`${lineNumber} `) && line.length > 24;
+}
+
+export class TleParser {
+  /**
+   * Parse the content of a TLE file.
+   * @param {String} data - file content
+   * @param {String} file - file name or url used in error messages
+   * @returns {{records: Object[], errors: Object[]}} - valid records ({name, satnum, tle, line}) and rejected records ({file, line, name, message})
+   */
+  static parse(data, file = "") {
+    const records = [];
+    const errors = [];
+    const reject = (line, name, message) => {
+      errors.push({ file, line, name, message });
+    };
+
+    let name;
+    let nameLine;
+    let line1;
+    data.split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+      const line = rawLine.trimEnd();
+      const lineNumber = index + 1;
+      if (line.trim() === "") {
+        return;
+      }
+
+      if (isElementLine(line, 1)) {
+        if (line1) {
+          reject(line1.lineNumber, name, "Line 1 without matching line 2");
+          name = undefined;
+          nameLine = undefined;
+        }
+        line1 = { line, lineNumber };
+        return;
+      }
+
+      if (isElementLine(line, 2)) {
+        if (!line1) {
+          reject(lineNumber, name, "Line 2 without preceding line 1");
+          name = undefined;
+          nameLine = undefined;
+          return;
+        }
+        const satnum = line1.line.substring(2, 7).trim();
+        const recordName = name ?? satnum;
+        const message = this.validate(line1.line, line);
+        if (message) {
+          reject(line1.lineNumber, recordName, message);
+        } else {
+          records.push({
+            name: recordName,
+            satnum,
+            tle: [recordName, line1.line, line].join("\n"),
+            line: nameLine ?? line1.lineNumber,
+          });
+        }
+        name = undefined;
+        nameLine = undefined;
+        line1 = undefined;
+        return;
+      }
+
+      // Any other line is treated as name line of a 3LE
+      if (line1) {
+        reject(line1.lineNumber, name, "Line 1 without matching line 2");
+        line1 = undefined;
+      } else if (name !== undefined) {
+        reject(nameLine, name, "Name without element lines");
+      }
+      name = line.startsWith("0 ") ? line.substring(2).trim() : line.trim();
+      nameLine = lineNumber;
+    });
+
+    if (line1) {
+      reject(line1.lineNumber, name, "Line 1 without matching line 2");
+    } else if (name !== undefined) {
+      reject(nameLine, name, "Name without element lines");
+    }
+    return { records, errors };
+  }
+
+  /**
+   * Compute the modulo 10 checksum of a TLE line.
+   * Digits count their value, minus signs count 1, all other characters count 0.
+   * @param {String} line - TLE line, the checksum digit itself is ignored
+   * @returns {Number}
+   */
+  static checksum(line) {
+    let sum = 0;
+    [...line.substring(0, TLE_LINE_LENGTH - 1)].forEach((char) => {
+      if (char >= "0" && char <= "9") {
+        sum += Number(char);
+      } else if (char === "-") {
+        sum += 1;
+      }
+    });
+    return sum % 10;
+  }
+
+  /**
+   * Validate the checksums and numeric field ranges of a TLE.
+   * @param {String} line1 - first line of the TLE
+   * @param {String} line2 - second line of the TLE
+   * @returns {String|undefined} - error message or undefined if valid
+   */
+  static validate(line1, line2) {
+    const lines = { 1: line1, 2: line2 };
+    const lengthError = Object.entries(lines).find(([, line]) => line.length !== TLE_LINE_LENGTH);
+    if (lengthError) {
+      const [lineNumber, line] = lengthError;
+      return `Invalid length ${line.length} of line ${lineNumber}, expected ${TLE_LINE_LENGTH}`;
+    }
+    const checksumError = Object.entries(lines).find(([, line]) => Number(line[TLE_LINE_LENGTH - 1]) !== this.checksum(line));
+    if (checksumError) {
+      const [lineNumber, line] = checksumError;
+      return `Checksum mismatch in line ${lineNumber}: expected ${this.checksum(line)}, got ${line[TLE_LINE_LENGTH - 1]}`;
+    }
+    if (line1.substring(2, 7) !== line2.substring(2, 7)) {
+      return `Catalog number mismatch between line 1 (${line1.substring(2, 7)}) and line 2 (${line2.substring(2, 7)})`;
+    }
+
+    let error;
+    Object.entries(fieldRanges).some(([lineNumber, fields]) => fields.some((field) => {
+      const text = lines[lineNumber].substring(field.start, field.end).trim();
+      const value = Number(text);
+      if (text === "" || Number.isNaN(value)) {
+        error = `Invalid ${field.name} "${text}" in line ${lineNumber}`;
+      } else if (value < field.min || value > field.max || (field.exclusiveMin && value === field.min)) {
+        error = `${field.name} ${value} out of range [${field.min}, ${field.max}] in line ${lineNumber}`;
+      }
+      return error;
+    }));
+    return error;
+  }
+}
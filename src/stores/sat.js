@@ -5,6 +5,8 @@
  */
 import { defineStore } from "pinia";
 
+import { HorizonMask } from "../modules/HorizonMask";
+
 export const useSatStore = defineStore("sat", {
   state: () => ({
     enabledComponents: ["Point", "Label"],
@@ -12,8 +14,25 @@ export const useSatStore = defineStore("sat", {
     availableTags: [],
     enabledSatellites: [],
     enabledTags: [],
-    groundstation: [],
+    // Ground stations with name, latitude and longitude in degrees, height in meters, minimum elevation in degrees
+    // and optional horizon mask (see HorizonMask.toString)
+    groundstations: [],
+    // Ground station network in CSV or GeoJSON format, e.g. data/groundstations.csv
+    groundStationUrl: "",
+    // Local copy of the Celestrak SATCAT in CSV or JSON format, e.g. data/satcat.csv
+    satcatUrl: "",
+    // Show the passes of all ground stations in the infobox of each station
+    mergeStationPasses: false,
+    // Minutes before AOS for reminders of exported calendar events, no reminders if 0
+    calendarAlarm: 0,
     trackedSatellite: "",
+    visiblePassesOnly: false,
+    twilight: "nautical",
+    // TLE epoch age in days above which a TLE is marked as stale
+    staleTleAge: 14,
+    // Minimum elevation in degrees of the footprint, by tag with the default for all other satellites
+    footprintElevation: 10,
+    footprintElevations: {},
   }),
   urlsync: {
     enabled: true,
@@ -36,15 +55,58 @@ export const useSatStore = defineStore("sat", {
       deserialize: (v) => v.replaceAll("-", " ").split(",").filter((e) => e),
       default: [],
     }, {
-      name: "groundstation",
+      name: "groundstations",
       url: "gs",
-      serialize: (v) => v.map((c) => c.toFixed(4)).join(","),
-      deserialize: (v) => v.split(",").map((c) => parseFloat(c, 10)),
+      // Stations separated by ; as latitude,longitude,height,name,minElevation with the horizon mask as optional sixth field
+      serialize: (v) => v.map((gs) => [
+        gs.latitude.toFixed(4),
+        gs.longitude.toFixed(4),
+        Math.round(gs.height),
+        encodeURIComponent(gs.name),
+        gs.minElevation ?? "",
+        ...(gs.horizonMask ? [gs.horizonMask] : []),
+      ].join(",")).join(";"),
+      deserialize: (v) => v.split(";")
+        .map((gs) => gs.split(","))
+        .filter((gs) => gs.length >= 2)
+        .map(([latitude, longitude, height, name, minElevation, horizonMask], index) => ({
+          // Single unnamed station of the previous lat,lon format
+          name: name ? decodeURIComponent(name) : `Ground station${index > 0 ? ` ${index + 1}` : ""}`,
+          latitude: parseFloat(latitude),
+          longitude: parseFloat(longitude),
+          height: parseFloat(height) || 0,
+          minElevation: Number.isFinite(parseFloat(minElevation)) ? parseFloat(minElevation) : undefined,
+          // Invalid masks throw to drop the url param
+          horizonMask: horizonMask ? HorizonMask.fromString(horizonMask).toString() : undefined,
+        }))
+        .filter((gs) => Number.isFinite(gs.latitude) && Number.isFinite(gs.longitude)),
       default: [],
     }, {
       name: "trackedSatellite",
       url: "track",
       default: "",
+    }, {
+      name: "visiblePassesOnly",
+      url: "visible",
+      serialize: (v) => `${v}`,
+      deserialize: (v) => v === "true",
+      default: "false",
+    }, {
+      name: "mergeStationPasses",
+      url: "mergepasses",
+      serialize: (v) => `${v}`,
+      deserialize: (v) => v === "true",
+      default: "false",
+    }, {
+      name: "twilight",
+      url: "twilight",
+      default: "nautical",
+    }, {
+      name: "staleTleAge",
+      url: "staleage",
+      deserialize: (v) => parseFloat(v),
+      valid: (v) => v > 0,
+      default: 14,
     }],
   },
 });
@@ -0,0 +1,88 @@
+/**
+ * CesiumPrimitiveBatch.test.js
+ *
+ * 该文件用于测试CesiumPrimitiveBatch类：批量渲染的点和标签从打包采样插值位置，拾取仍对应到卫星实体，且实体不加入实体集合。
+ */
+import { describe, expect, it } from "vitest";
+import {
+  Cartesian3, Color, Entity, EntityCollection, Event, JulianDate,
+} from "@cesium/engine";
+import { BatchedPrimitive } from "../modules/util/BatchedPrimitive";
+import { CesiumPrimitiveBatch } from "../modules/util/CesiumPrimitiveBatch";
+import { PackedSampledPosition } from "../modules/util/PackedSampledPosition";
+
+const epoch = JulianDate.fromDate(new Date("2018-12-09T12:00:00Z"));
+
+// Scene and entity parts of a viewer used by the batch
+function createViewer() {
+  return {
+    entities: new EntityCollection(),
+    selectedEntity: undefined,
+    trackedEntity: undefined,
+    scene: {
+      primitives: { add: (primitive) => primitive },
+      preUpdate: new Event(),
+      requestRender: () => {},
+    },
+  };
+}
+
+function createSamples() {
+  const samples = new PackedSampledPosition(epoch);
+  const offsets = Float64Array.from({ length: 10 }, (_, i) => i * 60);
+  const positions = new Float64Array(30);
+  offsets.forEach((offset, i) => positions.set([7000000, 7000 * offset, 0], i * 3));
+  samples.addSamples(epoch, offsets, positions);
+  return samples;
+}
+
+describe("CesiumPrimitiveBatch", () => {
+  it("interpolates points and labels from the packed samples", () => {
+    const viewer = createViewer();
+    const batch = new CesiumPrimitiveBatch(viewer);
+    const entity = new Entity({ name: "ISS (ZARYA)" });
+    const samples = createSamples();
+    const point = new BatchedPrimitive(BatchedPrimitive.POINT, { pixelSize: 6, color: Color.RED }, entity, samples);
+    const label = new BatchedPrimitive(BatchedPrimitive.LABEL, { text: "ISS" }, entity, samples);
+    batch.add(point);
+    batch.add(label);
+
+    const time = JulianDate.addSeconds(epoch, 90, new JulianDate());
+    viewer.scene.preUpdate.raiseEvent(viewer.scene, time);
+    expect(Cartesian3.equalsEpsilon(point.primitive.position, new Cartesian3(7000000, 630000, 0), 0, 1e-6)).toBe(true);
+    expect(label.primitive.position).toEqual(point.primitive.position);
+    expect(point.primitive.show).toBe(true);
+    // Picking the primitives returns the satellite entity, which is not updated by the entity collection
+    expect(point.primitive.id).toBe(entity);
+    expect(label.primitive.id).toBe(entity);
+    expect(viewer.entities.values).toHaveLength(0);
+  });
+
+  it("hides primitives without samples", () => {
+    const viewer = createViewer();
+    const batch = new CesiumPrimitiveBatch(viewer);
+    const point = new BatchedPrimitive(BatchedPrimitive.POINT, {}, new Entity(), new PackedSampledPosition(epoch));
+    batch.add(point);
+    batch.update(epoch);
+    expect(point.primitive.show).toBe(false);
+  });
+
+  it("ends the selection and tracking with the last primitive of an entity", () => {
+    const viewer = createViewer();
+    const batch = new CesiumPrimitiveBatch(viewer);
+    const entity = new Entity();
+    const samples = createSamples();
+    const point = new BatchedPrimitive(BatchedPrimitive.POINT, {}, entity, samples);
+    const label = new BatchedPrimitive(BatchedPrimitive.LABEL, { text: "ISS" }, entity, samples);
+    batch.add(point);
+    batch.add(label);
+    viewer.selectedEntity = entity;
+    viewer.trackedEntity = entity;
+    batch.remove(point);
+    expect(viewer.selectedEntity).toBe(entity);
+    expect(viewer.trackedEntity).toBe(entity);
+    batch.remove(label);
+    expect(viewer.selectedEntity).toBeUndefined();
+    expect(viewer.trackedEntity).toBeUndefined();
+  });
+});
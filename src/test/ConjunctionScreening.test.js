@@ -0,0 +1,66 @@
+/**
+ * ConjunctionScreening.test.js
+ *
+ * 该文件用于测试ConjunctionScreening类的交会筛查，
+ * 使用仅倾角不同的两颗卫星，它们在交点线上每半个轨道周期交会一次。
+ */
+import { describe, expect, it } from "vitest";
+import Orbit from "../modules/Orbit";
+import { ConjunctionScreening } from "../modules/ConjunctionScreening";
+
+const deg2rad = Math.PI / 180;
+const line1 = "1 25544U 98067A   18342.69352573  .00002284  00000-0  41838-4 0  9992";
+const iss = new Orbit("ISS (ZARYA)", ["ISS (ZARYA)", line1, "2 25544  51.6407 229.0798 0005166 124.8351 329.3296 15.54069892145658"].join("\n"));
+// Same orbit inclined by 0.3 degrees
+const twin = new Orbit("TWIN", ["TWIN", line1, "2 25544  51.9407 229.0798 0005166 124.8351 329.3296 15.54069892145651"].join("\n"));
+const geo = new Orbit("GEO", [
+  "GEO",
+  "1 99999U 18001A   18342.69352573  .00000000  00000-0  00000-0 0  9993",
+  "2 99999   0.0500 229.0798 0002000 124.8351 329.3296  1.00271000 10001",
+].join("\n"));
+const start = new Date("2018-12-08T16:38:40Z");
+const end = new Date("2018-12-08T19:38:40Z");
+
+describe("ConjunctionScreening", () => {
+  it("computes the perigee and apogee radius", () => {
+    // Semi-major axis of 6783 km from the mean motion and an eccentricity of 0.0005166
+    const { perigee, apogee } = ConjunctionScreening.apsides(iss);
+    expect(perigee).toBeCloseTo(6780, 0);
+    expect(apogee).toBeCloseTo(6787, 0);
+    expect(ConjunctionScreening.apsides(geo).perigee).toBeCloseTo(42156, -1);
+  });
+
+  it("filters orbits with disjoint radial ranges", () => {
+    expect(ConjunctionScreening.overlaps(iss, twin, 10)).toBe(true);
+    expect(ConjunctionScreening.overlaps(iss, geo, 10)).toBe(false);
+    expect(ConjunctionScreening.overlaps(iss, geo, 40000)).toBe(true);
+    expect(ConjunctionScreening.screen(iss, [iss, geo], start, end)).toEqual([]);
+  });
+
+  it("refines the time of closest approach", () => {
+    const tca = ConjunctionScreening.refineTca(iss, twin, Date.UTC(2018, 11, 8, 16, 55), Date.UTC(2018, 11, 8, 17, 5));
+    const distance = ConjunctionScreening.distance(iss, twin, tca);
+    expect(distance).toBeLessThanOrEqual(ConjunctionScreening.distance(iss, twin, tca - 1000));
+    expect(distance).toBeLessThanOrEqual(ConjunctionScreening.distance(iss, twin, tca + 1000));
+  });
+
+  it("finds a close approach at every node crossing", () => {
+    const conjunctions = ConjunctionScreening.screen(iss, [iss, twin], start, end);
+    // Three hours are almost two revolutions
+    expect(conjunctions).toHaveLength(4);
+    const tcas = conjunctions.map(({ tca }) => tca).sort((a, b) => a - b);
+    tcas.slice(1).forEach((tca, i) => {
+      // Half the orbital period of 92.7 minutes
+      expect(Math.abs(tca - tcas[i] - 46.35 * 60000)).toBeLessThan(30000);
+    });
+    conjunctions.forEach(({ secondary, tca, missDistance, relativeVelocity }) => {
+      expect(secondary).toBe("TWIN");
+      expect(missDistance).toBeLessThan(2);
+      // Crossing of the line of nodes in the equatorial plane
+      expect(Math.abs(iss.positionECI(new Date(tca)).z)).toBeLessThan(100);
+      // 2 v sin(di / 2) at an orbital velocity of 7.66 km/s
+      expect(relativeVelocity).toBeCloseTo(2 * 7.66 * Math.sin(0.15 * deg2rad), 3);
+    });
+    expect(conjunctions.map(({ missDistance }) => missDistance)).toEqual([...conjunctions.map(({ missDistance }) => missDistance)].sort((a, b) => a - b));
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * CsvParser.test.js
+ *
+ * 该文件用于测试CsvParser类对带引号、转义引号和换行的CSV内容的拆分。
+ */
+import { describe, expect, it } from "vitest";
+import { CsvParser } from "../modules/util/CsvParser";
+
+describe("CsvParser", () => {
+  it("splits rows and trims fields", () => {
+    expect(CsvParser.parseRows("name, lat ,lon\r\nMunich,48.1351,11.582\n")).toEqual([
+      ["name", "lat", "lon"],
+      ["Munich", "48.1351", "11.582"],
+    ]);
+  });
+
+  it("skips empty lines", () => {
+    expect(CsvParser.parseRows("\na,b\n\r\n\nc,d")).toEqual([["a", "b"], ["c", "d"]]);
+  });
+
+  it("keeps commas, escaped quotes and line breaks in quoted fields", () => {
+    expect(CsvParser.parseRows("\"Weilheim \"\"WHM\"\", DE\",47.88\n\"Line\r\nbreak\",1")).toEqual([
+      ["Weilheim \"WHM\", DE", "47.88"],
+      ["Line\r\nbreak", "1"],
+    ]);
+  });
+
+  it("keeps empty fields", () => {
+    expect(CsvParser.parseRows("a,,c\n,,")).toEqual([["a", "", "c"], ["", "", ""]]);
+  });
+});
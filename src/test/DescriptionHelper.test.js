@@ -0,0 +1,44 @@
+/**
+ * DescriptionHelper.test.js
+ *
+ * 该文件用于测试DescriptionHelper类生成的信息框HTML，例如多个地面站的通过列表。
+ */
+import { describe, expect, it } from "vitest";
+import { DescriptionHelper } from "../modules/util/DescriptionHelper";
+
+const time = new Date("2018-12-09T12:00:00Z");
+const pass = (groundStation, start) => ({
+  name: "ISS (ZARYA)",
+  groundStation,
+  start: Date.parse(start),
+  end: Date.parse(start) + 600000,
+  maxElevation: 57.68,
+  azimuthApex: 200.5,
+});
+
+describe("DescriptionHelper passes", () => {
+  it("shows the ground station of merged passes", () => {
+    const html = DescriptionHelper.renderPasses([pass("Munich", "2018-12-09T12:32:13Z"), pass("Tromso", "2018-12-09T12:35:00Z")], time, false);
+    expect(html).toContain("<th>Station</th>");
+    expect(html).toContain("<td>Munich</td>");
+    expect(html).toContain("<td>Tromso</td>");
+  });
+
+  it("omits the station column for a single ground station", () => {
+    const html = DescriptionHelper.renderPasses([pass("Munich", "2018-12-09T12:32:13Z"), pass("Munich", "2018-12-09T14:08:48Z")], time, false);
+    expect(html).not.toContain("<th>Station</th>");
+    expect(html).toContain("00:00:32:13");
+  });
+
+  it("escapes ground station names", () => {
+    const html = DescriptionHelper.renderPasses([pass("<b>O'Higgins</b>", "2018-12-09T12:32:13Z"), pass("Munich", "2018-12-09T12:35:00Z")], time, false);
+    expect(html).toContain("<td>&lt;b&gt;O&#39;Higgins&lt;/b&gt;</td>");
+    expect(html).not.toContain("<b>");
+  });
+
+  it("posts only the start time of a pass", () => {
+    const html = DescriptionHelper.renderPass(time, pass("O'Higgins", "2018-12-09T12:32:13Z"), false);
+    expect(html).toContain(`onclick='parent.postMessage({"start":${Date.parse("2018-12-09T12:32:13Z")}}, "*")'`);
+    expect(html).not.toContain("Higgins");
+  });
+});
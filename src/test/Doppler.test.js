@@ -0,0 +1,71 @@
+/**
+ * Doppler.test.js
+ *
+ * 该文件用于测试Doppler类的频率修正和通过期间的多普勒曲线。
+ */
+import { describe, expect, it } from "vitest";
+import { Doppler } from "../modules/Doppler";
+import Orbit from "../modules/Orbit";
+
+const tle = [
+  "ISS (ZARYA)",
+  "1 25544U 98067A   18342.69352573  .00002284  00000-0  41838-4 0  9992",
+  "2 25544  51.6407 229.0798 0005166 124.8351 329.3296 15.54069892145658",
+].join("\n");
+const groundStation = { latitude: 48.177, longitude: 11.7476, height: 0 };
+const frequencies = [
+  { name: "VHF voice", frequency: 145.8e6, direction: "downlink" },
+  { name: "UHF uplink", frequency: 437.8e6, direction: "uplink" },
+];
+
+describe("Doppler", () => {
+  it("shifts the 2 m downlink of an approaching LEO satellite by about 3.4 kHz", () => {
+    // 145.8 MHz * 7 km/s / c
+    expect(Doppler.correctFrequency(145.8e6, -7) - 145.8e6).toBeCloseTo(3404.4, 1);
+    expect(Doppler.correctFrequency(145.8e6, 7) - 145.8e6).toBeCloseTo(-3404.4, 1);
+    expect(Doppler.correctFrequency(145.8e6, 0)).toBe(145.8e6);
+  });
+
+  it("pre-compensates uplinks so that the satellite receives the nominal frequency", () => {
+    [-7, -2, 3, 7].forEach((rangeRate) => {
+      const transmitted = Doppler.correctFrequency(437.8e6, rangeRate, "uplink");
+      expect(Doppler.correctFrequency(transmitted, rangeRate, "downlink")).toBeCloseTo(437.8e6, 3);
+      // Transmit higher while the satellite recedes
+      expect(Math.sign(transmitted - 437.8e6)).toBe(Math.sign(rangeRate));
+    });
+  });
+
+  it("computes the profile of a pass from AOS to LOS", () => {
+    const orbit = new Orbit("ISS (ZARYA)", tle);
+    const passes = orbit.computePassesElevation(groundStation, new Date("2018-12-09T00:00:00Z"), new Date("2018-12-10T00:00:00Z"), 10);
+    const pass = passes.find(({ maxElevation }) => maxElevation > 50);
+    const profile = Doppler.profile(orbit, groundStation, pass, frequencies, 10);
+    expect(profile).toHaveLength(Math.floor(pass.duration / 10000) + 1);
+    expect(profile[0].time).toBe(pass.start);
+    expect(profile[0].rangeRate).toBeCloseTo(pass.rangeRateStart, 6);
+
+    const [first] = profile;
+    const last = profile[profile.length - 1];
+    expect(first.frequencies[0]).toBeGreaterThan(145.8e6 + 3000);
+    expect(last.frequencies[0]).toBeLessThan(145.8e6 - 3000);
+    // The received frequency decreases monotonically over the pass
+    profile.slice(1).forEach((sample, i) => {
+      expect(sample.frequencies[0]).toBeLessThan(profile[i].frequencies[0]);
+    });
+    expect(first.frequencies[1]).toBeLessThan(437.8e6);
+  });
+
+  it("limits the number of samples of long passes", () => {
+    expect(Doppler.step({ duration: 10 * 60 * 1000 })).toBe(1);
+    expect(Doppler.step({ duration: 24 * 3600 * 1000 })).toBe(144);
+    expect(Doppler.step({ duration: 24 * 3600 * 1000 }, 100)).toBe(864);
+  });
+
+  it("exports the profile as CSV", () => {
+    const profile = [{ time: Date.UTC(2018, 11, 9, 12, 32, 13), range: 1234.56789, rangeRate: -6.123456, frequencies: [145803000.4, 437791000.6] }];
+    expect(Doppler.toCsv(profile, frequencies)).toBe([
+      "time,range_km,range_rate_km_s,VHF_voice_downlink_hz,UHF_uplink_uplink_hz",
+      "2018-12-09T12:32:13.000Z,1234.568,-6.12346,145803000,437791001",
+    ].join("\n"));
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Ephemeris.test.js
+ *
+ * 该文件用于测试Ephemeris类的星历采样以及CSV和JSON导出。
+ */
+import { describe, expect, it } from "vitest";
+import { Ephemeris } from "../modules/Ephemeris";
+import Orbit from "../modules/Orbit";
+
+const orbit = new Orbit("ISS (ZARYA)", [
+  "ISS (ZARYA)",
+  "1 25544U 98067A   08264.51782528 -.00002182  00000-0 -11606-4 0  2927",
+  "2 25544  51.6416 247.4627 0006703 130.5360 325.0288 15.72125391563537",
+].join("\n"));
+const start = new Date("2008-09-20T12:00:00Z");
+const end = new Date("2008-09-20T13:00:00Z");
+
+function norm({ x, y, z }) {
+  return Math.sqrt(x * x + y * y + z * z);
+}
+
+describe("Ephemeris", () => {
+  it("samples the position at a fixed step including the end", () => {
+    const samples = Ephemeris.sample(orbit, start, end, 600);
+    expect(samples.map(({ time }) => time)).toEqual([0, 1, 2, 3, 4, 5, 6].map((i) => start.getTime() + i * 600000));
+    samples.forEach(({ eci, ecef, geodetic }) => {
+      // The earth rotation does not change the distance from the geocenter
+      expect(norm(ecef)).toBeCloseTo(norm(eci), 6);
+      expect(Math.abs(geodetic.latitude)).toBeLessThanOrEqual(52);
+      expect(Math.abs(geodetic.longitude)).toBeLessThanOrEqual(180);
+      expect(Math.abs(geodetic.altitude - 350)).toBeLessThan(30);
+    });
+  });
+
+  it("stops at the first failed propagation", () => {
+    let calls = 0;
+    const decaying = {
+      propagate: (date) => {
+        calls += 1;
+        return calls > 2 ? { position: false } : orbit.propagate(date);
+      },
+    };
+    expect(Ephemeris.sample(decaying, start, end, 600)).toHaveLength(2);
+  });
+
+  it("rejects invalid intervals and too many samples", () => {
+    expect(() => Ephemeris.sample(orbit, end, start)).toThrow("Invalid ephemeris interval");
+    expect(() => Ephemeris.sample(orbit, "invalid", end)).toThrow("Invalid ephemeris interval");
+    expect(() => Ephemeris.sample(orbit, start, end, 0)).toThrow("Ephemeris step must be positive");
+    expect(() => Ephemeris.sample(orbit, start, new Date("2008-12-31T00:00:00Z"), 1)).toThrow(`Ephemeris is limited to ${Ephemeris.MAX_SAMPLES} samples`);
+  });
+
+  it("exports CSV with units in the header and JSON with ISO timestamps", () => {
+    const samples = Ephemeris.sample(orbit, start, start, 60);
+    const [header, row, ...rest] = Ephemeris.toCsv(samples).split("\n");
+    expect(rest).toHaveLength(0);
+    expect(header).toBe("time,eci_x_km,eci_y_km,eci_z_km,ecef_x_km,ecef_y_km,ecef_z_km,latitude_deg,longitude_deg,altitude_km");
+    const fields = row.split(",");
+    expect(fields).toHaveLength(10);
+    expect(fields[0]).toBe("2008-09-20T12:00:00.000Z");
+    expect(fields[1]).toBe(samples[0].eci.x.toFixed(6));
+
+    const [record] = JSON.parse(Ephemeris.toJson(samples));
+    expect(record.time).toBe("2008-09-20T12:00:00.000Z");
+    expect(record.geodetic).toEqual(samples[0].geodetic);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * GroundStationParser.test.js
+ *
+ * 该文件用于测试GroundStationParser类对CSV和GeoJSON格式地面站列表（包括地平遮挡）的导入、导出和校验。
+ */
+import { describe, expect, it } from "vitest";
+import { GroundStationParser } from "../modules/util/GroundStationParser";
+
+const stations = [{
+  name: "Weilheim, DE",
+  latitude: 47.8808,
+  longitude: 11.0769,
+  height: 600,
+  minElevation: 5,
+  horizonMask: "0:5 90:12.5 180:3",
+}, {
+  name: "Svalbard",
+  latitude: 78.2298,
+  longitude: 15.4078,
+  height: 500,
+  minElevation: undefined,
+  horizonMask: undefined,
+}];
+
+describe("GroundStationParser", () => {
+  it("detects the format from the content", () => {
+    expect(GroundStationParser.detectFormat(" {\"type\": \"FeatureCollection\"}")).toBe("geojson");
+    expect(GroundStationParser.detectFormat("name,lat,lon")).toBe("csv");
+  });
+
+  it("parses exported CSV back to the same stations", () => {
+    expect(GroundStationParser.parse(GroundStationParser.toCsv(stations))).toEqual(stations);
+  });
+
+  it("exports names with quotes and commas as quoted CSV fields", () => {
+    const quoted = [{ ...stations[0], name: "Weilheim \"WHM\", DE" }];
+    const [, row] = GroundStationParser.toCsv(quoted).split("\n");
+    expect(row).toBe("\"Weilheim \"\"WHM\"\", DE\",47.880800,11.076900,600.0,5,0:5 90:12.5 180:3");
+    expect(GroundStationParser.parse(GroundStationParser.toCsv(quoted))).toEqual(quoted);
+  });
+
+  it("parses exported GeoJSON back to the same stations", () => {
+    expect(GroundStationParser.parse(GroundStationParser.toGeoJson(stations))).toEqual(stations);
+    // Horizon masks are exported as [azimuth, elevation] pairs
+    expect(JSON.parse(GroundStationParser.toGeoJson(stations)).features[0].properties.horizonMask).toEqual([[0, 5], [90, 12.5], [180, 3]]);
+  });
+
+  it("accepts column aliases in any order", () => {
+    const [station] = GroundStationParser.parse("Longitude,Latitude,Station,Alt,Min_El,Mask\r\n11.0769,47.8808,Weilheim,600,5,90:10 0:2\r\n");
+    expect(station).toEqual({
+      name: "Weilheim",
+      latitude: 47.8808,
+      longitude: 11.0769,
+      height: 600,
+      minElevation: 5,
+      horizonMask: "0:2 90:10",
+    });
+  });
+
+  it("parses files without header in the default column order", () => {
+    const [station] = GroundStationParser.parse("Weilheim,47.8808,11.0769\n");
+    expect(station.name).toBe("Weilheim");
+    expect(station.latitude).toBe(47.8808);
+    expect(station.longitude).toBe(11.0769);
+    expect(station.height).toBe(0);
+  });
+
+  it("parses files without header starting with a quoted name", () => {
+    const [station] = GroundStationParser.parse("\"Weilheim, DE\",47.8808,11.0769\n");
+    expect(station.name).toBe("Weilheim, DE");
+    expect(station.latitude).toBe(47.8808);
+    expect(station.longitude).toBe(11.0769);
+  });
+
+  it("accepts GeoJSON features with the altitude as property", () => {
+    const [station] = GroundStationParser.parse(JSON.stringify({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [11.0769, 47.8808] },
+      properties: { name: "Weilheim", altitude: 600, min_elevation: 5, horizon_mask: "0:5" },
+    }));
+    expect(station.height).toBe(600);
+    expect(station.minElevation).toBe(5);
+    expect(station.horizonMask).toBe("0:5");
+  });
+
+  it("rejects files without stations", () => {
+    expect(() => GroundStationParser.parse("")).toThrow("No ground stations found");
+    expect(() => GroundStationParser.parse("name,lat,lon\n")).toThrow("No ground stations found");
+    expect(() => GroundStationParser.parse("{\"type\": \"FeatureCollection\", \"features\": []}")).toThrow("No ground stations found");
+  });
+
+  it("rejects invalid stations with the station name", () => {
+    expect(() => GroundStationParser.parse("name,lat,lon\nNorth,91,0")).toThrow("Invalid latitude of North");
+    expect(() => GroundStationParser.parse("name,lat,lon\n,0,181")).toThrow("Invalid longitude of station 1");
+    expect(() => GroundStationParser.parse("name,lat,lon,altitude\nHigh,0,0,high")).toThrow("Invalid altitude of High");
+    expect(() => GroundStationParser.parse("name,lat,lon,altitude,min_elevation\nHigh,0,0,0,90")).toThrow("Minimum elevation of High must be between 0 and 90 degrees");
+    expect(() => GroundStationParser.parse("name,lat,lon,altitude,min_elevation,horizon_mask\nMasked,0,0,0,,0:95"))
+      .toThrow("Invalid horizon mask of Masked: Invalid horizon mask elevation 95");
+    expect(() => GroundStationParser.parse("name,lat,lon", "kml")).toThrow("Unsupported ground station format kml");
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * HorizonMask.test.js
+ *
+ * 该文件用于测试HorizonMask类的地平遮挡插值、解析和导出。
+ */
+import { describe, expect, it } from "vitest";
+import { HorizonMask } from "../modules/HorizonMask";
+
+const points = (...pairs) => pairs.map(([azimuth, elevation]) => ({ azimuth, elevation }));
+
+describe("HorizonMask", () => {
+  it("interpolates the elevation between neighbouring points", () => {
+    const mask = new HorizonMask(points([0, 5], [90, 15], [180, 3]));
+    expect(mask.elevation(0)).toBe(5);
+    expect(mask.elevation(45)).toBe(10);
+    expect(mask.elevation(90)).toBe(15);
+    expect(mask.elevation(135)).toBe(9);
+  });
+
+  it("wraps around at north", () => {
+    const mask = new HorizonMask(points([90, 10], [270, 20]));
+    expect(mask.elevation(0)).toBe(15);
+    expect(mask.elevation(360)).toBe(15);
+    expect(mask.elevation(-90)).toBe(20);
+    expect(mask.elevation(315)).toBeCloseTo(17.5, 9);
+  });
+
+  it("uses a constant elevation for a single point", () => {
+    expect(new HorizonMask(points([123, 7])).elevation(300)).toBe(7);
+  });
+
+  it("parses CSV with an optional header and normalizes the azimuths", () => {
+    const mask = HorizonMask.fromCsv("azimuth;elevation\r\n270;4\r\n-90\t6\r\n360,2\r\n\r\n");
+    expect(mask.points).toEqual(points([0, 2], [270, 4], [270, 6]));
+  });
+
+  it("exports CSV that is parsed back to the same mask", () => {
+    const mask = new HorizonMask(points([180, 3], [0, 5], [90, 12.5]));
+    expect(mask.toCsv()).toBe("azimuth,elevation\n0,5\n90,12.5\n180,3");
+    expect(HorizonMask.fromCsv(mask.toCsv()).points).toEqual(mask.points);
+  });
+
+  it("converts to and from the compact string form", () => {
+    const mask = HorizonMask.fromString(" 180:3  0:5 90:12.5 ");
+    expect(mask.points).toEqual(points([0, 5], [90, 12.5], [180, 3]));
+    expect(mask.toString()).toBe("0:5 90:12.5 180:3");
+    expect(HorizonMask.fromString(mask.toString()).points).toEqual(mask.points);
+    expect(() => HorizonMask.fromString("0:5 90")).toThrow("Horizon mask points need an azimuth and an elevation");
+  });
+
+  it("rejects invalid masks", () => {
+    expect(() => HorizonMask.fromCsv("azimuth,elevation\n")).toThrow("Horizon mask requires at least one point");
+    expect(() => new HorizonMask([{ azimuth: 90 }])).toThrow("Horizon mask points need an azimuth and an elevation");
+    expect(() => new HorizonMask(points([0, 90]))).toThrow("Invalid horizon mask elevation 90");
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * ICalendarHelper.test.js
+ *
+ * 该文件用于测试ICalendarHelper类将通过导出为iCalendar（RFC 5545）格式。
+ */
+import { describe, expect, it } from "vitest";
+import { ICalendarHelper } from "../modules/util/ICalendarHelper";
+
+const start = Date.UTC(2026, 9, 19, 12, 0, 0);
+const pass = {
+  name: "ISS (ZARYA)",
+  groundStation: "Weilheim, DE",
+  start,
+  apex: start + 5 * 60 * 1000,
+  end: start + 10 * 60 * 1000,
+  duration: 10 * 60 * 1000,
+  maxElevation: 67.4,
+  azimuthStart: 301.2,
+  azimuthApex: 215.5,
+  azimuthEnd: 130.8,
+};
+
+function unfold(ics) {
+  return ics.replaceAll("\r\n ", "").split("\r\n");
+}
+
+describe("ICalendarHelper", () => {
+  it("creates one event per pass with CRLF line endings", () => {
+    const ics = ICalendarHelper.passesToIcs([pass, { ...pass, start: start + 3600000, end: start + 4200000 }], { calendarName: "Weilheim, DE" });
+    expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    expect(ics.replaceAll("\r\n", "")).not.toContain("\n");
+    const lines = unfold(ics);
+    expect(lines).toContain("X-WR-CALNAME:Weilheim\\, DE");
+    expect(lines.filter((line) => line === "BEGIN:VEVENT")).toHaveLength(2);
+  });
+
+  it("describes the pass with AOS, TCA and LOS", () => {
+    const lines = unfold(ICalendarHelper.passesToIcs([pass]));
+    expect(lines).toContain("UID:ISS_ZARYA_-Weilheim_DE-1792411200000@satvis.space");
+    expect(lines).toContain("DTSTART:20261019T120000Z");
+    expect(lines).toContain("DTEND:20261019T121000Z");
+    expect(lines).toContain("SUMMARY:ISS (ZARYA) pass over Weilheim\\, DE (67°)");
+    expect(lines).toContain([
+      "DESCRIPTION:AOS: 2026-10-19 12:00:00 UTC\\, azimuth 301.2°",
+      "TCA: 2026-10-19 12:05:00 UTC\\, max elevation 67.4°\\, azimuth 215.5°",
+      "LOS: 2026-10-19 12:10:00 UTC\\, azimuth 130.8°",
+      "Duration: 10 min",
+    ].join("\\n"));
+  });
+
+  it("adds a reminder only if requested", () => {
+    expect(unfold(ICalendarHelper.passesToIcs([pass]))).not.toContain("BEGIN:VALARM");
+    const lines = unfold(ICalendarHelper.passesToIcs([pass], { alarmMinutes: 15 }));
+    expect(lines).toContain("BEGIN:VALARM");
+    expect(lines).toContain("TRIGGER:-PT15M");
+  });
+
+  it("skips visibility windows clipped at the prediction bounds", () => {
+    const ics = ICalendarHelper.passesToIcs([pass, { ...pass, start: start + 3600000, clipped: true }]);
+    expect(unfold(ics).filter((line) => line === "BEGIN:VEVENT")).toHaveLength(1);
+  });
+
+  it("escapes text values", () => {
+    expect(ICalendarHelper.escapeText("a,b;c\\d\r\ne")).toBe("a\\,b\\;c\\\\d\\ne");
+  });
+
+  it("folds lines longer than 75 octets without splitting characters", () => {
+    const line = `DESCRIPTION:${"°".repeat(100)}`;
+    const folded = ICalendarHelper.foldLine(line);
+    const encoder = new TextEncoder();
+    folded.split("\r\n").forEach((part) => {
+      expect(encoder.encode(part).length).toBeLessThanOrEqual(75);
+    });
+    expect(folded.replaceAll("\r\n ", "")).toBe(line);
+  });
+});
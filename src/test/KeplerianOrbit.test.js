@@ -0,0 +1,51 @@
+/**
+ * KeplerianOrbit.test.js
+ *
+ * 该文件用于测试KeplerianOrbit类的参数校验以及与Orbit相同的接口。
+ */
+import { describe, expect, it } from "vitest";
+import { KeplerianOrbit } from "../modules/KeplerianOrbit";
+import { KeplerianPropagator } from "../modules/util/KeplerianPropagator";
+
+const epoch = new Date("2024-01-01T00:00:00Z");
+const elements = {
+  semiMajorAxis: 7078,
+  eccentricity: 0.001,
+  inclination: 98.19,
+  raan: 10,
+  argumentOfPerigee: 90,
+  meanAnomaly: 0,
+};
+
+describe("KeplerianOrbit", () => {
+  it("validates the elements", () => {
+    expect(() => new KeplerianOrbit("A", { ...elements, inclination: undefined }, epoch)).toThrow("Invalid orbital elements for A");
+    expect(() => new KeplerianOrbit("A", { ...elements, eccentricity: 1 }, epoch)).toThrow("Eccentricity of A must be in [0, 1)");
+    expect(() => new KeplerianOrbit("A", { ...elements, semiMajorAxis: 6000 }, epoch)).toThrow("Perigee of A is below the Earth surface");
+    expect(() => new KeplerianOrbit("A", elements, "tomorrow")).toThrow("Invalid epoch for A");
+  });
+
+  it("describes the orbit like an SGP4 orbit", () => {
+    const orbit = new KeplerianOrbit("SSO", elements, epoch);
+    expect(orbit.satnum).toBeUndefined();
+    expect(orbit.epoch).toEqual(epoch);
+    // About 98.8 minutes at 700 km
+    expect(orbit.orbitalPeriod).toBeCloseTo(98.8, 0);
+    expect(orbit.elements.perigee).toBeCloseTo(7078 * 0.999 - KeplerianPropagator.earthRadius, 6);
+    expect(orbit.elements.apogee).toBeCloseTo(7078 * 1.001 - KeplerianPropagator.earthRadius, 6);
+  });
+
+  it("propagates through the Orbit interface", () => {
+    const orbit = new KeplerianOrbit("SSO", elements, epoch);
+    const date = new Date(epoch.getTime() + 3600000);
+    expect(orbit.positionECI(date)).toEqual(KeplerianPropagator.propagate(orbit.keplerian, date).position);
+  });
+
+  it("is created from a state vector", () => {
+    const orbit = new KeplerianOrbit("SSO", elements, epoch);
+    const { position, velocity } = orbit.propagate(epoch);
+    const copy = KeplerianOrbit.fromStateVector("COPY", position, velocity, epoch);
+    expect(copy.elements.semiMajorAxis).toBeCloseTo(elements.semiMajorAxis, 6);
+    expect(copy.elements.inclination).toBeCloseTo(elements.inclination, 8);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * KeplerianPropagator.test.js
+ *
+ * 该文件用于测试KeplerianPropagator类的二体和J2长期摄动传播，以及状态向量与轨道根数之间的转换。
+ */
+import { describe, expect, it } from "vitest";
+import { KeplerianPropagator } from "../modules/util/KeplerianPropagator";
+
+const rad2deg = 180 / Math.PI;
+const earthGravitationalParameter = 398600.8;
+const epoch = Date.UTC(2024, 0, 1);
+const elements = {
+  semiMajorAxis: 26560,
+  eccentricity: 0.7,
+  inclination: 63.4,
+  raan: 120,
+  argumentOfPerigee: 270,
+  meanAnomaly: 30,
+  epoch,
+};
+
+function norm(v) {
+  return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+describe("KeplerianPropagator", () => {
+  it("computes the orbital period from the semi-major axis", () => {
+    expect((2 * Math.PI) / KeplerianPropagator.meanMotion(7000)).toBeCloseTo(5828.5, 0);
+  });
+
+  it("computes the nodal drift of a sun-synchronous orbit", () => {
+    const { raan } = KeplerianPropagator.secularRates({ semiMajorAxis: 7078, eccentricity: 0, inclination: 98.19 });
+    // One revolution per year eastward
+    expect(raan * rad2deg * 86400).toBeCloseTo(0.9856, 2);
+    // Westward drift of prograde orbits and no drift of polar orbits
+    expect(KeplerianPropagator.secularRates({ semiMajorAxis: 7000, eccentricity: 0, inclination: 51.6 }).raan * rad2deg * 86400).toBeCloseTo(-4.469, 2);
+    expect(KeplerianPropagator.secularRates({ semiMajorAxis: 7000, eccentricity: 0, inclination: 90 }).raan).toBeCloseTo(0, 12);
+    // The perigee of a Molniya orbit is frozen at the critical inclination
+    expect(KeplerianPropagator.secularRates(elements).argumentOfPerigee * rad2deg * 86400).toBeCloseTo(0, 3);
+  });
+
+  it("solves Kepler's equation", () => {
+    [0, 0.1, 0.7, 0.95].forEach((eccentricity) => {
+      [0, 0.5, 2, Math.PI, 5].forEach((meanAnomaly) => {
+        const eccentricAnomaly = KeplerianPropagator.solveKepler(meanAnomaly, eccentricity);
+        expect(eccentricAnomaly - eccentricity * Math.sin(eccentricAnomaly)).toBeCloseTo(meanAnomaly, 10);
+      });
+    });
+  });
+
+  it("propagates to the apsides with the vis-viva speed", () => {
+    const perigee = KeplerianPropagator.propagate({ ...elements, meanAnomaly: 0 }, new Date(epoch));
+    expect(norm(perigee.position)).toBeCloseTo(26560 * 0.3, 6);
+    expect(norm(perigee.velocity)).toBeCloseTo(Math.sqrt(earthGravitationalParameter * (2 / (26560 * 0.3) - 1 / 26560)), 9);
+    const apogee = KeplerianPropagator.propagate({ ...elements, meanAnomaly: 180 }, new Date(epoch));
+    expect(norm(apogee.position)).toBeCloseTo(26560 * 1.7, 6);
+    // Argument of perigee 270 degrees: the apogee is above the northern hemisphere at the inclination
+    expect(Math.asin(apogee.position.z / norm(apogee.position)) * rad2deg).toBeCloseTo(63.4, 6);
+  });
+
+  it("returns to the perigee after one anomalistic period", () => {
+    const circular = { semiMajorAxis: 7000, eccentricity: 0, inclination: 0, raan: 0, argumentOfPerigee: 0, meanAnomaly: 0, epoch };
+    const rates = KeplerianPropagator.secularRates(circular);
+    const period = (2 * Math.PI) / rates.meanAnomaly;
+    const { position } = KeplerianPropagator.propagate(circular, new Date(epoch + period * 1000));
+    expect(norm(position)).toBeCloseTo(7000, 6);
+    // Equatorial orbits don't leave the plane, the perigee advances by the drift of node and perigee
+    expect(position.z).toBe(0);
+    expect(Math.atan2(position.y, position.x)).toBeCloseTo((rates.raan + rates.argumentOfPerigee) * period, 5);
+  });
+
+  it("converts state vectors to the elements they were propagated from", () => {
+    const { position, velocity } = KeplerianPropagator.propagate(elements, new Date(epoch));
+    const result = KeplerianPropagator.elementsFromStateVector(position, velocity);
+    expect(result.semiMajorAxis).toBeCloseTo(elements.semiMajorAxis, 6);
+    expect(result.eccentricity).toBeCloseTo(elements.eccentricity, 10);
+    ["inclination", "raan", "argumentOfPerigee", "meanAnomaly"].forEach((key) => {
+      expect(result[key]).toBeCloseTo(elements[key], 8);
+    });
+  });
+
+  it("measures the anomaly of circular equatorial orbits from the x axis", () => {
+    const speed = Math.sqrt(earthGravitationalParameter / 7000);
+    const result = KeplerianPropagator.elementsFromStateVector({ x: 0, y: 7000, z: 0 }, { x: -speed, y: 0, z: 0 });
+    expect(result.eccentricity).toBeCloseTo(0, 10);
+    expect(result.inclination).toBe(0);
+    expect(result.raan).toBe(0);
+    expect(result.argumentOfPerigee).toBe(0);
+    expect(result.meanAnomaly).toBeCloseTo(90, 8);
+  });
+
+  it("rejects state vectors on escape trajectories", () => {
+    expect(() => KeplerianPropagator.elementsFromStateVector({ x: 7000, y: 0, z: 0 }, { x: 0, y: 11, z: 0 })).toThrow("not on an elliptical orbit");
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * OmmParser.test.js
+ *
+ * 该文件用于测试OmmParser类的格式检测、JSON/XML/CSV解析和OMM到TLE的转换。
+ */
+import { describe, expect, it } from "vitest";
+import { OmmParser } from "../modules/util/OmmParser";
+import Orbit from "../modules/Orbit";
+
+const tle = [
+  "ISS (ZARYA)",
+  "1 25544U 98067A   08264.51782528 -.00002182  00000-0 -11606-4 0  2927",
+  "2 25544  51.6416 247.4627 0006703 130.5360 325.0288 15.72125391563537",
+].join("\n");
+
+// Celestrak GP record of the TLE above
+const omm = {
+  OBJECT_NAME: "ISS (ZARYA)",
+  OBJECT_ID: "1998-067A",
+  EPOCH: "2008-09-20T12:25:40.104192",
+  MEAN_MOTION: 15.72125391,
+  ECCENTRICITY: 0.0006703,
+  INCLINATION: 51.6416,
+  RA_OF_ASC_NODE: 247.4627,
+  ARG_OF_PERICENTER: 130.536,
+  MEAN_ANOMALY: 325.0288,
+  EPHEMERIS_TYPE: 0,
+  CLASSIFICATION_TYPE: "U",
+  NORAD_CAT_ID: 25544,
+  ELEMENT_SET_NO: 292,
+  REV_AT_EPOCH: 56353,
+  BSTAR: -0.000011606,
+  MEAN_MOTION_DOT: -0.00002182,
+  MEAN_MOTION_DDOT: 0,
+};
+
+describe("OmmParser", () => {
+  it("detects the format from the content", () => {
+    expect(OmmParser.detectFormat(JSON.stringify([omm]))).toBe("json");
+    expect(OmmParser.detectFormat("<?xml version=\"1.0\"?><ndm></ndm>")).toBe("xml");
+    expect(OmmParser.detectFormat("OBJECT_NAME,OBJECT_ID,EPOCH\nISS (ZARYA),1998-067A,2008-09-20T12:25:40")).toBe("csv");
+    expect(OmmParser.detectFormat(tle)).toBe("tle");
+  });
+
+  it("parses a single JSON record as list", () => {
+    expect(OmmParser.parse(JSON.stringify(omm))).toEqual([omm]);
+  });
+
+  it("parses the leaf elements of each XML record", () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+      <ndm><omm><body><segment>
+        <metadata><OBJECT_NAME>ISS (ZARYA)</OBJECT_NAME><OBJECT_ID>1998-067A</OBJECT_ID></metadata>
+        <data><meanElements><EPOCH>2008-09-20T12:25:40.104192</EPOCH><MEAN_MOTION>15.72125391</MEAN_MOTION></meanElements>
+        <tleParameters><NORAD_CAT_ID>25544</NORAD_CAT_ID></tleParameters></data>
+      </segment></body></omm></ndm>`;
+    expect(OmmParser.parse(xml)).toEqual([{
+      OBJECT_NAME: "ISS (ZARYA)",
+      OBJECT_ID: "1998-067A",
+      EPOCH: "2008-09-20T12:25:40.104192",
+      MEAN_MOTION: "15.72125391",
+      NORAD_CAT_ID: "25544",
+    }]);
+  });
+
+  it("parses CSV records with quoted commas", () => {
+    const records = OmmParser.parse("OBJECT_NAME,NORAD_CAT_ID\r\n\"DEB, A\",12345\r\n\r\nISS (ZARYA),25544\r\n");
+    expect(records).toEqual([
+      { OBJECT_NAME: "DEB, A", NORAD_CAT_ID: "12345" },
+      { OBJECT_NAME: "ISS (ZARYA)", NORAD_CAT_ID: "25544" },
+    ]);
+  });
+
+  it("parses CSV records with escaped quotes and quoted line breaks", () => {
+    const records = OmmParser.parse("OBJECT_NAME,COMMENT,NORAD_CAT_ID\n\"SL-16 \"\"ZENIT\"\" R/B\",\"Tumbling\nsince 2020\",22285\n");
+    expect(records).toEqual([
+      { OBJECT_NAME: "SL-16 \"ZENIT\" R/B", COMMENT: "Tumbling\nsince 2020", NORAD_CAT_ID: "22285" },
+    ]);
+  });
+
+  it("rejects unsupported formats", () => {
+    expect(() => OmmParser.parse(tle, "tle")).toThrow("Unsupported OMM format tle");
+  });
+
+  it("converts an OMM record to the equivalent TLE", () => {
+    expect(OmmParser.toTle(omm)).toBe(tle);
+  });
+
+  it("encodes catalog numbers above 99999 as Alpha-5", () => {
+    const [, line1, line2] = OmmParser.toTle({ ...omm, NORAD_CAT_ID: 270000 }).split("\n");
+    expect(line1.substring(2, 7)).toBe("T0000");
+    expect(line2.substring(2, 7)).toBe("T0000");
+    expect(OmmParser.decodeAlpha5("T0000")).toBe(270000);
+    expect(OmmParser.decodeAlpha5("25544")).toBe(25544);
+  });
+
+  it("keeps the catalog number of orbits as number", () => {
+    expect(new Orbit("ISS (ZARYA)", tle).satnum).toBe(25544);
+    expect(Orbit.fromOmm({ ...omm, NORAD_CAT_ID: 270000 }).satnum).toBe(270000);
+    // Not representable in the TLE
+    expect(Orbit.fromOmm({ ...omm, NORAD_CAT_ID: "400000" }).satnum).toBe(400000);
+  });
+});
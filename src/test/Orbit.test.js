@@ -0,0 +1,231 @@
+/**
+ * Orbit.test.js
+ *
+ * 该文件用于测试Orbit类的通过预测（包括地平遮挡和地球同步卫星的可见窗口）、地影区间和目视可见通过，参考值由逐秒采样的仰角独立计算。
+ */
+import { describe, expect, it } from "vitest";
+import * as satellitejs from "satellite.js";
+import Orbit from "../modules/Orbit";
+import { Sun } from "../modules/Sun";
+import { HorizonMask } from "../modules/HorizonMask";
+
+const deg2rad = Math.PI / 180;
+const tle = [
+  "ISS (ZARYA)",
+  "1 25544U 98067A   18342.69352573  .00002284  00000-0  41838-4 0  9992",
+  "2 25544  51.6407 229.0798 0005166 124.8351 329.3296 15.54069892145658",
+].join("\n");
+const groundStation = { latitude: 48.177, longitude: 11.7476, height: 0 };
+const start = new Date("2018-12-09T00:00:00Z");
+const end = new Date("2018-12-10T00:00:00Z");
+
+// Reference look angles computed directly with satellite.js
+function lookAngles(orbit, time) {
+  const { position } = satellitejs.propagate(orbit.satrec, new Date(time));
+  const gmst = satellitejs.gstime(new Date(time));
+  const observer = { latitude: groundStation.latitude * deg2rad, longitude: groundStation.longitude * deg2rad, height: 0 };
+  const { azimuth, elevation, rangeSat } = satellitejs.ecfToLookAngles(observer, satellitejs.eciToEcf(position, gmst));
+  return { azimuth: azimuth / deg2rad, elevation: elevation / deg2rad, range: rangeSat };
+}
+
+// Time of the crossing of the minimum elevation between 1 s samples around a time, interpolated linearly
+function referenceCrossing(orbit, around, minElevation) {
+  let last = around - 60000;
+  let lastElevation = lookAngles(orbit, last).elevation;
+  for (let time = last + 1000; time <= around + 60000; time += 1000) {
+    const { elevation } = lookAngles(orbit, time);
+    if ((lastElevation - minElevation) * (elevation - minElevation) <= 0) {
+      return last + ((minElevation - lastElevation) / (elevation - lastElevation)) * 1000;
+    }
+    last = time;
+    lastElevation = elevation;
+  }
+  return undefined;
+}
+
+describe("Orbit passes", () => {
+  const orbit = new Orbit("ISS (ZARYA)", tle);
+  const passes = orbit.computePassesElevation(groundStation, start, end, 10);
+
+  it("finds all passes above the minimum elevation", () => {
+    // Count of rising crossings of 10 degrees sampled every 10 s
+    let risings = 0;
+    let lastElevation = lookAngles(orbit, start.getTime()).elevation;
+    for (let time = start.getTime() + 10000; time < end.getTime(); time += 10000) {
+      const { elevation } = lookAngles(orbit, time);
+      if (lastElevation <= 10 && elevation > 10) {
+        risings += 1;
+      }
+      lastElevation = elevation;
+    }
+    expect(risings).toBeGreaterThan(0);
+    expect(passes).toHaveLength(risings);
+  });
+
+  it("refines AOS and LOS to the crossing of the minimum elevation", () => {
+    passes.forEach((pass) => {
+      expect(Math.abs(pass.start - referenceCrossing(orbit, pass.start, 10))).toBeLessThan(50);
+      expect(Math.abs(pass.end - referenceCrossing(orbit, pass.end, 10))).toBeLessThan(50);
+      expect(pass.duration).toBe(pass.end - pass.start);
+    });
+  });
+
+  it("refines TCA to the maximum elevation", () => {
+    passes.forEach((pass) => {
+      let maxElevation = -90;
+      let apex;
+      for (let time = pass.start; time <= pass.end; time += 1000) {
+        const { elevation } = lookAngles(orbit, time);
+        if (elevation > maxElevation) {
+          maxElevation = elevation;
+          apex = time;
+        }
+      }
+      expect(pass.maxElevation).toBeGreaterThanOrEqual(maxElevation - 1e-6);
+      expect(pass.maxElevation - maxElevation).toBeLessThan(0.01);
+      expect(Math.abs(pass.apex - apex)).toBeLessThanOrEqual(1000);
+    });
+  });
+
+  it("reports the range and range rate at AOS, TCA and LOS", () => {
+    passes.forEach((pass) => {
+      [[pass.start, pass.rangeStart, pass.rangeRateStart], [pass.apex, pass.rangeApex, pass.rangeRateApex], [pass.end, pass.rangeEnd, pass.rangeRateEnd]]
+        .forEach(([time, range, rangeRate]) => {
+          expect(range).toBeCloseTo(lookAngles(orbit, time).range, 3);
+          // Range rate as central difference of the range
+          const difference = (lookAngles(orbit, time + 500).range - lookAngles(orbit, time - 500).range);
+          expect(Math.abs(rangeRate - difference)).toBeLessThan(0.001);
+        });
+      // Approaching at AOS, receding at LOS and closest around TCA
+      expect(pass.rangeRateStart).toBeLessThan(-1);
+      expect(pass.rangeRateEnd).toBeGreaterThan(1);
+      expect(Math.abs(pass.rangeRateApex)).toBeLessThan(0.05);
+    });
+  });
+});
+
+describe("Orbit eclipses", () => {
+  const orbit = new Orbit("ISS (ZARYA)", tle);
+  const eclipses = orbit.computeEclipses(start, end);
+  // Eclipses that begin and end within the computation
+  const complete = eclipses.filter((eclipse) => eclipse.start > start.getTime() && eclipse.end < end.getTime());
+
+  it("finds one eclipse per revolution", () => {
+    // About 15.5 revolutions per day
+    expect(eclipses.length).toBeGreaterThanOrEqual(15);
+    expect(eclipses.length).toBeLessThanOrEqual(17);
+    expect(complete.length).toBeGreaterThanOrEqual(eclipses.length - 2);
+    eclipses.forEach((eclipse) => {
+      expect(eclipse.duration).toBe(eclipse.end - eclipse.start);
+      // The eclipse of a circular LEO orbit at 400 km is shorter than 37 minutes
+      expect(eclipse.duration).toBeLessThan(37 * 60000);
+    });
+  });
+
+  it("nests the umbra in the penumbra", () => {
+    complete.forEach((eclipse) => {
+      expect(eclipse.umbraStart).toBeGreaterThanOrEqual(eclipse.start);
+      expect(eclipse.umbraEnd).toBeGreaterThan(eclipse.umbraStart);
+      expect(eclipse.end).toBeGreaterThanOrEqual(eclipse.umbraEnd);
+      expect(orbit.shadowState(new Date((eclipse.umbraStart + eclipse.umbraEnd) / 2))).toBe(Sun.UMBRA);
+    });
+  });
+
+  it("refines the transitions between sunlight and shadow", () => {
+    complete.forEach((eclipse) => {
+      expect(orbit.shadowState(new Date(eclipse.start - 200))).toBe(Sun.SUNLIT);
+      expect(orbit.shadowState(new Date(eclipse.start + 200))).not.toBe(Sun.SUNLIT);
+      expect(orbit.shadowState(new Date(eclipse.end - 200))).not.toBe(Sun.SUNLIT);
+      expect(orbit.shadowState(new Date(eclipse.end + 200))).toBe(Sun.SUNLIT);
+    });
+  });
+});
+
+describe("Orbit visible passes", () => {
+  const orbit = new Orbit("ISS (ZARYA)", tle);
+  const station = { latitude: groundStation.latitude * deg2rad, longitude: groundStation.longitude * deg2rad, height: 0 };
+
+  it("requires the satellite to be sunlit while the ground station is dark", () => {
+    const passes = orbit.computePassesElevation(groundStation, start, end, 10);
+    const visiblePasses = orbit.computeVisiblePasses(groundStation, start, end);
+    // Only the evening pass after nautical dusk at 15:56 UTC
+    expect(visiblePasses.map((pass) => pass.start)).toEqual(passes.filter((pass) => pass.start > Date.UTC(2018, 11, 9, 16)).map((pass) => pass.start));
+    visiblePasses.forEach((pass) => {
+      [pass.visibleStart, pass.visibleEnd].forEach((time) => {
+        const visibility = orbit.computeVisibility(station, new Date(time));
+        expect(visibility.shadowState).toBe(Sun.SUNLIT);
+        expect(visibility.sunElevation).toBeLessThan(-6);
+      });
+      expect(pass.magnitude).toBeGreaterThan(-4);
+      expect(pass.magnitude).toBeLessThan(4);
+    });
+  });
+
+  it("includes passes in civil twilight", () => {
+    const visiblePasses = orbit.computeVisiblePasses(groundStation, start, end, { twilight: "civil" });
+    expect(visiblePasses.length).toBeGreaterThan(orbit.computeVisiblePasses(groundStation, start, end).length);
+  });
+
+  it("refines the entry into the shadow of the Earth", () => {
+    const [pass] = orbit.computeVisiblePasses(groundStation, start, end);
+    expect(pass.shadowEntry.time).toBeGreaterThan(pass.visibleEnd);
+    expect(pass.shadowEntry.time).toBeLessThan(pass.end);
+    expect(orbit.shadowState(new Date(pass.shadowEntry.time - 200))).toBe(Sun.SUNLIT);
+    expect(orbit.shadowState(new Date(pass.shadowEntry.time + 200))).not.toBe(Sun.SUNLIT);
+    expect(pass.shadowEntry.elevation).toBeCloseTo(orbit.computeVisibility(station, new Date(pass.shadowEntry.time)).elevation, 6);
+  });
+});
+
+describe("Orbit horizon masks", () => {
+  const orbit = new Orbit("ISS (ZARYA)", tle);
+
+  it("predicts the same passes for a constant mask and a fixed minimum elevation", () => {
+    const passes = orbit.computePassesElevation(groundStation, start, end, 10);
+    const maskedPasses = orbit.computePassesElevation(groundStation, start, end, () => 10);
+    expect(maskedPasses).toHaveLength(passes.length);
+    maskedPasses.forEach((pass, i) => {
+      expect(Math.abs(pass.start - passes[i].start)).toBeLessThan(50);
+      expect(Math.abs(pass.end - passes[i].end)).toBeLessThan(50);
+    });
+  });
+
+  it("starts and ends passes at the elevation of the mask", () => {
+    // Obstructed towards the south
+    const mask = new HorizonMask([{ azimuth: 0, elevation: 5 }, { azimuth: 180, elevation: 30 }]);
+    const passes = orbit.computePassesElevation(groundStation, start, end, (azimuth) => mask.elevation(azimuth));
+    expect(passes.length).toBeGreaterThan(0);
+    passes.forEach((pass) => {
+      [pass.start, pass.end].forEach((time) => {
+        const { azimuth, elevation } = lookAngles(orbit, time);
+        expect(elevation).toBeCloseTo(mask.elevation(azimuth), 1);
+      });
+    });
+  });
+});
+
+describe("Orbit geosynchronous visibility windows", () => {
+  const geo = new Orbit("GEO", [
+    "GEO",
+    "1 99999U 18001A   18342.69352573  .00000000  00000-0  00000-0 0  9993",
+    "2 99999   0.0500 229.0798 0002000 124.8351 329.3296  1.00271000 10001",
+  ].join("\n"));
+  const { longitude } = geo.positionGeodetic(start);
+  const below = { latitude: 0, longitude, height: 0 };
+
+  it("marks a window cut off by the prediction bounds as clipped", () => {
+    const windows = geo.computePassesElevation(below, start, end, 10);
+    expect(windows).toHaveLength(1);
+    expect(windows[0].clipped).toBe(true);
+    expect(windows[0].start).toBe(start.getTime());
+    expect(windows[0].end).toBe(end.getTime());
+    expect(windows[0].maxElevation).toBeGreaterThan(80);
+  });
+
+  it("has no windows on the far side of the Earth", () => {
+    expect(geo.computePassesElevation({ latitude: 0, longitude: longitude + 180, height: 0 }, start, end, 10)).toEqual([]);
+  });
+
+  it("skips clipped windows for visible passes", () => {
+    expect(geo.computeVisiblePasses(below, start, end, { twilight: "civil" })).toEqual([]);
+  });
+});
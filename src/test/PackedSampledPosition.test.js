@@ -0,0 +1,67 @@
+/**
+ * PackedSampledPosition.test.js
+ *
+ * 该文件用于测试PackedSampledPosition类的采样合并、移除以及与SampledPositionProperty一致的插值结果。
+ */
+import { describe, expect, it } from "vitest";
+import {
+  Cartesian3, ExtrapolationType, JulianDate, LagrangePolynomialApproximation, SampledPositionProperty, TimeInterval,
+} from "@cesium/engine";
+import { PackedSampledPosition } from "../modules/util/PackedSampledPosition";
+
+const epoch = JulianDate.fromDate(new Date("2018-12-09T12:00:00Z"));
+const at = (seconds) => JulianDate.addSeconds(epoch, seconds, new JulianDate());
+
+// Circular orbit with a period of 90 minutes sampled every 45 seconds
+function samples(start, count, step = 45) {
+  const offsets = Float64Array.from({ length: count }, (_, i) => i * step);
+  const positions = new Float64Array(count * 3);
+  offsets.forEach((offset, i) => {
+    const angle = ((start + offset) / 5400) * 2 * Math.PI;
+    positions.set([6780000 * Math.cos(angle), 6780000 * Math.sin(angle), 1000 * angle], i * 3);
+  });
+  return { offsets, positions };
+}
+
+describe("PackedSampledPosition", () => {
+  it("merges samples before and after the existing samples", () => {
+    const packed = new PackedSampledPosition(epoch);
+    const later = samples(900, 10);
+    packed.addSamples(at(900), later.offsets, later.positions);
+    const earlier = samples(0, 21);
+    packed.addSamples(at(0), earlier.offsets, earlier.positions);
+    // The sample at 900s is contained in both
+    expect(packed.length).toBe(30);
+    expect([...packed.times]).toEqual(Array.from({ length: 30 }, (_, i) => i * 45));
+    expect([...packed.positions.subarray(20 * 3, 21 * 3)]).toEqual([...later.positions.subarray(0, 3)]);
+  });
+
+  it("removes samples outside of an interval", () => {
+    const packed = new PackedSampledPosition(epoch);
+    const { offsets, positions } = samples(0, 20);
+    packed.addSamples(epoch, offsets, positions);
+    packed.removeSamplesOutside(new TimeInterval({ start: at(90), stop: at(200) }));
+    expect([...packed.times]).toEqual([90, 135, 180]);
+    expect([...packed.positions]).toEqual([...positions.subarray(2 * 3, 5 * 3)]);
+  });
+
+  it("interpolates like a sampled position property", () => {
+    const property = new SampledPositionProperty();
+    property.forwardExtrapolationType = ExtrapolationType.HOLD;
+    property.backwardExtrapolationType = ExtrapolationType.HOLD;
+    property.setInterpolationOptions({ interpolationDegree: 5, interpolationAlgorithm: LagrangePolynomialApproximation });
+    const packed = new PackedSampledPosition(at(-300));
+    [0, 540].forEach((start) => {
+      const { offsets, positions } = samples(start, 12);
+      packed.addSamples(at(start), offsets, positions);
+      offsets.forEach((offset, i) => property.addSample(at(start + offset), Cartesian3.unpack(positions, i * 3)));
+    });
+    [-60, 0, 10, 100, 500, 539.5, 700, 1030, 1035, 2000].forEach((seconds) => {
+      expect(Cartesian3.distance(packed.getValue(at(seconds)), property.getValue(at(seconds)))).toBeLessThan(1e-6);
+    });
+  });
+
+  it("has no position without samples", () => {
+    expect(new PackedSampledPosition(epoch).getValue(epoch)).toBeUndefined();
+  });
+});
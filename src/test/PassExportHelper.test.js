@@ -0,0 +1,52 @@
+/**
+ * PassExportHelper.test.js
+ *
+ * 该文件用于测试PassExportHelper类将通过导出为CSV和JSON格式。
+ */
+import { describe, expect, it } from "vitest";
+import { PassExportHelper } from "../modules/util/PassExportHelper";
+
+const start = Date.UTC(2026, 9, 19, 12, 0, 0);
+const pass = {
+  name: "ISS (ZARYA)",
+  start,
+  apex: start + 5 * 60 * 1000,
+  end: start + 10 * 60 * 1000,
+  duration: 10 * 60 * 1000,
+  maxElevation: 67.4,
+};
+const visiblePass = {
+  ...pass,
+  groundStation: "Weilheim, \"WHM\"",
+  magnitude: -3.2,
+  shadowEntry: { time: start + 8 * 60 * 1000, azimuth: 140.5 },
+};
+
+describe("PassExportHelper", () => {
+  it("converts timestamps of passes and nested fields to ISO 8601", () => {
+    expect(PassExportHelper.passRecord(visiblePass)).toEqual({
+      ...visiblePass,
+      start: "2026-10-19T12:00:00.000Z",
+      apex: "2026-10-19T12:05:00.000Z",
+      end: "2026-10-19T12:10:00.000Z",
+      shadowEntry: { time: "2026-10-19T12:08:00.000Z", azimuth: 140.5 },
+    });
+  });
+
+  it("exports nested fields as separate CSV columns and quotes text", () => {
+    const [header, first, second] = PassExportHelper.passesToCsv([pass, visiblePass]).split("\n");
+    expect(header).toBe("name,start,apex,end,duration,maxElevation,groundStation,magnitude,shadowEntry_time,shadowEntry_azimuth");
+    expect(first).toBe("ISS (ZARYA),2026-10-19T12:00:00.000Z,2026-10-19T12:05:00.000Z,2026-10-19T12:10:00.000Z,600000,67.4,,,,");
+    expect(second).toBe([
+      "ISS (ZARYA),2026-10-19T12:00:00.000Z,2026-10-19T12:05:00.000Z,2026-10-19T12:10:00.000Z,600000,67.4",
+      "\"Weilheim, \"\"WHM\"\"\",-3.2,2026-10-19T12:08:00.000Z,140.5",
+    ].join(","));
+  });
+
+  it("exports JSON with ISO timestamps", () => {
+    const [record] = JSON.parse(PassExportHelper.passesToJson([visiblePass]));
+    expect(record.start).toBe("2026-10-19T12:00:00.000Z");
+    expect(record.shadowEntry.time).toBe("2026-10-19T12:08:00.000Z");
+    expect(record.magnitude).toBe(-3.2);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Propagation.test.js
+ *
+ * 该文件用于测试Propagation类对SGP4和开普勒轨道的批量位置计算以及PropagationPool在不支持Worker或Worker失败时的主线程计算。
+ * 参考值由satellite.js直接计算。
+ */
+import { afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import * as satellitejs from "satellite.js";
+import { Cartesian3, JulianDate, TimeInterval, Transforms } from "@cesium/engine";
+import Orbit from "../modules/Orbit";
+import { KeplerianOrbit } from "../modules/KeplerianOrbit";
+import { KeplerianPropagator } from "../modules/util/KeplerianPropagator";
+import { Propagation } from "../modules/util/Propagation";
+import { PropagationPool } from "../modules/util/PropagationPool";
+
+const tle = [
+  "ISS (ZARYA)",
+  "1 25544U 98067A   18342.69352573  .00002284  00000-0  41838-4 0  9992",
+  "2 25544  51.6407 229.0798 0005166 124.8351 329.3296 15.54069892145658",
+].join("\n");
+const orbit = new Orbit("ISS (ZARYA)", tle);
+const start = JulianDate.fromDate(new Date("2018-12-09T12:00:00Z"));
+// Ten samples one minute apart
+const offsets = Float64Array.from({ length: 10 }, (_, i) => i * 60);
+
+describe("Propagation", () => {
+  beforeAll(() => Transforms.preloadIcrfFixed(new TimeInterval({ start, stop: JulianDate.addSeconds(start, 600, new JulianDate()) })));
+
+  it("propagates to the sample times in the fixed frame", () => {
+    const { fixed, valid } = Propagation.propagate(orbit.satrec, start, offsets);
+    expect(valid).toBe(true);
+    expect(fixed).toHaveLength(30);
+    for (let i = 0; i < 10; i += 1) {
+      const date = new Date(JulianDate.toDate(start).getTime() + i * 60000);
+      const { position } = satellitejs.propagate(orbit.satrec, date);
+      const reference = satellitejs.eciToEcf(position, satellitejs.gstime(date));
+      // Both rotate the TEME position by the Greenwich mean sidereal time
+      expect(Cartesian3.distance(Cartesian3.unpack(fixed, i * 3), new Cartesian3(reference.x * 1000, reference.y * 1000, reference.z * 1000))).toBeLessThan(1);
+    }
+  });
+
+  it("rotates the samples to the inertial frame", () => {
+    const { fixed, inertial } = Propagation.propagate(orbit.satrec, start, offsets);
+    for (let i = 0; i < 10; i += 1) {
+      const positionFixed = Cartesian3.unpack(fixed, i * 3);
+      const positionInertial = Cartesian3.unpack(inertial, i * 3);
+      expect(Cartesian3.magnitude(positionInertial)).toBeCloseTo(Cartesian3.magnitude(positionFixed), 3);
+      // The TEME and ICRF frames differ by precession and nutation only
+      const { position } = satellitejs.propagate(orbit.satrec, JulianDate.toDate(JulianDate.addSeconds(start, i * 60, new JulianDate())));
+      const teme = new Cartesian3(position.x * 1000, position.y * 1000, position.z * 1000);
+      expect(Cartesian3.angleBetween(positionInertial, teme)).toBeLessThan(0.01);
+      expect(Cartesian3.angleBetween(positionInertial, positionFixed)).toBeGreaterThan(0.1);
+    }
+  });
+
+  it("propagates Keplerian elements", () => {
+    const keplerianOrbit = new KeplerianOrbit("SSO", {
+      semiMajorAxis: 7078, eccentricity: 0.001, inclination: 98.19, raan: 10, argumentOfPerigee: 90, meanAnomaly: 0,
+    }, JulianDate.toDate(start));
+    const { fixed, valid } = Propagation.propagate(keplerianOrbit.propagationSource, start, offsets);
+    expect(valid).toBe(true);
+    for (let i = 0; i < 10; i += 1) {
+      const date = new Date(JulianDate.toDate(start).getTime() + i * 60000);
+      const { position } = KeplerianPropagator.propagate(keplerianOrbit.keplerian, date);
+      const reference = satellitejs.eciToEcf(position, satellitejs.gstime(date));
+      expect(Cartesian3.distance(Cartesian3.unpack(fixed, i * 3), new Cartesian3(reference.x * 1000, reference.y * 1000, reference.z * 1000))).toBeLessThan(1);
+    }
+  });
+
+  it("flags samples after the decay of the orbit", () => {
+    const { valid } = Propagation.propagate(orbit.satrec, JulianDate.fromDate(new Date("2040-01-01T00:00:00Z")), offsets);
+    expect(valid).toBe(false);
+  });
+});
+
+describe("PropagationPool", () => {
+  it("propagates on the main thread without web workers", async () => {
+    expect(PropagationPool.enabled).toBe(typeof Worker !== "undefined");
+    const { enabled } = PropagationPool;
+    PropagationPool.enabled = false;
+    const result = await new PropagationPool(1).propagate(orbit.satrec, start, offsets);
+    PropagationPool.enabled = enabled;
+    expect(result).toEqual(Propagation.propagate(orbit.satrec, start, offsets));
+  });
+
+  describe("with failing web workers", () => {
+    // Worker that fails to load after receiving its first messages
+    class FailingWorker {
+      static created = 0;
+
+      constructor() {
+        FailingWorker.created += 1;
+        this.listeners = {};
+      }
+
+      postMessage() {
+        setTimeout(() => this.listeners.error?.({ message: "Failed to load worker script" }));
+      }
+
+      addEventListener(type, listener) {
+        this.listeners[type] = listener;
+      }
+
+      terminate() {
+        this.terminated = true;
+      }
+    }
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      vi.restoreAllMocks();
+    });
+
+    it("propagates pending and further requests on the main thread", async () => {
+      vi.stubGlobal("Worker", FailingWorker);
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      const { enabled } = PropagationPool;
+      PropagationPool.enabled = true;
+      const pool = new PropagationPool(2);
+      const expected = Propagation.propagate(orbit.satrec, start, offsets);
+      expect(await pool.propagate(orbit.satrec, start, offsets)).toEqual(expected);
+      expect(FailingWorker.created).toBe(2);
+      expect(console.warn).toHaveBeenCalled();
+      // No further workers are created once a worker failed
+      expect(await pool.propagate(orbit.satrec, start, offsets)).toEqual(expected);
+      expect(FailingWorker.created).toBe(2);
+      PropagationPool.enabled = enabled;
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * SatcatParser.test.js
+ *
+ * 该文件用于测试SatcatParser类对Celestrak SATCAT目录（CSV和JSON格式）的解析。
+ */
+import { describe, expect, it } from "vitest";
+import { SatcatParser } from "../modules/util/SatcatParser";
+
+const csv = [
+  "OBJECT_NAME,OBJECT_ID,NORAD_CAT_ID,OBJECT_TYPE,OPS_STATUS_CODE,OWNER,LAUNCH_DATE,LAUNCH_SITE,DECAY_DATE,PERIOD,INCLINATION,APOGEE,PERIGEE,RCS",
+  "ISS (ZARYA),1998-067A,25544,PAY,+,ISS,1998-11-20,TYMSC,,92.87,51.64,422,417,399.0524",
+  "\"SL-16 R/B\",1992-093B,22285,R/B,,CIS,1992-12-28,PKMTR,,104.31,71.0,849,830,0.4",
+  "FENGYUN 1C DEB,1999-025ABC,29228,DEB,D,PRC,1999-05-10,TSC,2010-03-01,,,,,",
+  "ANALYST OBJECT,,,UNK,,,,,,,,,,",
+].join("\n");
+
+describe("SatcatParser", () => {
+  it("parses the Celestrak CSV format", () => {
+    const [iss, rocketBody, debris, ...rest] = SatcatParser.parse(csv);
+    expect(rest).toHaveLength(0);
+    expect(iss).toEqual({
+      satnum: 25544,
+      name: "ISS (ZARYA)",
+      internationalDesignator: "1998-067A",
+      launchDate: new Date("1998-11-20T00:00:00Z"),
+      owner: "ISS",
+      objectType: SatcatParser.PAYLOAD,
+      decayed: false,
+      decayDate: undefined,
+      rcs: 399.0524,
+      rcsSize: "LARGE",
+    });
+    expect(rocketBody.objectType).toBe(SatcatParser.ROCKET_BODY);
+    expect(rocketBody.rcsSize).toBe("MEDIUM");
+    expect(debris.objectType).toBe(SatcatParser.DEBRIS);
+    expect(debris.decayed).toBe(true);
+    expect(debris.decayDate).toEqual(new Date("2010-03-01T00:00:00Z"));
+    expect(debris.rcs).toBeUndefined();
+  });
+
+  it("parses the JSON format with the size class of older catalogs", () => {
+    const [record] = SatcatParser.parse(JSON.stringify([{
+      OBJECT_NAME: "VANGUARD 1",
+      INTLDES: "1958-002B",
+      NORAD_CAT_ID: "5",
+      OBJECT_TYPE: "PAYLOAD",
+      COUNTRY: "US",
+      LAUNCH_DATE: "1958-03-17",
+      RCS_SIZE: "SMALL",
+    }]));
+    expect(record.satnum).toBe(5);
+    expect(record.internationalDesignator).toBe("1958-002B");
+    expect(record.owner).toBe("US");
+    expect(record.rcs).toBeUndefined();
+    expect(record.rcsSize).toBe("SMALL");
+  });
+
+  it("maps object types and radar cross sections to their classes", () => {
+    expect(SatcatParser.objectType(" pay ")).toBe(SatcatParser.PAYLOAD);
+    expect(SatcatParser.objectType("UNK")).toBe(SatcatParser.UNKNOWN);
+    expect(SatcatParser.objectType()).toBe(SatcatParser.UNKNOWN);
+    expect(SatcatParser.rcsSize(0.05)).toBe("SMALL");
+    expect(SatcatParser.rcsSize(0.1)).toBe("MEDIUM");
+    expect(SatcatParser.rcsSize(1)).toBe("LARGE");
+  });
+
+  it("rejects files in other formats", () => {
+    expect(() => SatcatParser.parse("ISS (ZARYA)\n1 25544U")).toThrow("Unsupported SATCAT format tle");
+  });
+});
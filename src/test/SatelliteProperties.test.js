@@ -0,0 +1,144 @@
+/**
+ * SatelliteProperties.test.js
+ *
+ * 该文件用于测试SatelliteProperties类的采样时刻计算（近圆轨道等时间间隔采样，偏心轨道按偏近点角均匀采样）、覆盖区半径、基于地影区间的光照状态以及多个地面站的通过。
+ */
+import { describe, expect, it, vi } from "vitest";
+import { Cartesian3, JulianDate } from "@cesium/engine";
+import { SatelliteProperties } from "../modules/SatelliteProperties";
+import { KeplerianOrbit } from "../modules/KeplerianOrbit";
+import { Sun } from "../modules/Sun";
+
+const tle = [
+  "ISS (ZARYA)",
+  "1 25544U 98067A   18342.69352573  .00002284  00000-0  41838-4 0  9992",
+  "2 25544  51.6407 229.0798 0005166 124.8351 329.3296 15.54069892145658",
+].join("\n");
+const rad2deg = 180 / Math.PI;
+
+function angle(a, b) {
+  const dot = a.x * b.x + a.y * b.y + a.z * b.z;
+  return Math.acos(Math.min(1, dot / Math.sqrt((a.x ** 2 + a.y ** 2 + a.z ** 2) * (b.x ** 2 + b.y ** 2 + b.z ** 2))));
+}
+
+describe("SatelliteProperties sampling", () => {
+  it("samples near circular orbits at equal time steps", () => {
+    const props = new SatelliteProperties(tle);
+    const start = JulianDate.fromDate(new Date("2018-12-09T12:00:00Z"));
+    const period = props.orbit.orbitalPeriod * 60;
+    const offsets = props.sampleOffsets(start, JulianDate.addSeconds(start, period, new JulianDate()));
+    // 120 samples per orbit and the end of the orbit
+    expect(offsets).toHaveLength(121);
+    offsets.forEach((offset, i) => {
+      expect(offset).toBeCloseTo((i * period) / 120, 6);
+    });
+  });
+
+  it("samples eccentric orbits evenly in eccentric anomaly", () => {
+    const epoch = new Date("2024-01-01T00:00:00Z");
+    const orbit = new KeplerianOrbit("MOLNIYA", {
+      semiMajorAxis: 26560, eccentricity: 0.7, inclination: 63.4, raan: 0, argumentOfPerigee: 270, meanAnomaly: 90,
+    }, epoch);
+    const props = new SatelliteProperties(orbit);
+    const start = JulianDate.fromDate(epoch);
+    const period = orbit.orbitalPeriod * 60;
+    const offsets = props.sampleOffsets(start, JulianDate.addSeconds(start, period, new JulianDate()));
+    // 120 * sqrt((1 + e) / (1 - e)) samples per orbit
+    expect(offsets.length).toBeGreaterThanOrEqual(286);
+    expect(offsets.length).toBeLessThanOrEqual(287);
+    expect(offsets[0]).toBeCloseTo(0, 6);
+    offsets.slice(1).forEach((offset, i) => {
+      expect(offset).toBeGreaterThan(offsets[i]);
+    });
+
+    // The true anomaly between samples stays at 360 / 120 degrees even at the perigee
+    const positions = Array.from(offsets, (offset) => orbit.positionECI(new Date(epoch.getTime() + offset * 1000)));
+    const steps = positions.slice(1).map((position, i) => angle(positions[i], position) * rad2deg);
+    expect(Math.max(...steps)).toBeLessThan(3.01);
+    // Sparse sampling near the apogee
+    expect(Math.min(...steps)).toBeLessThan(0.6);
+  });
+});
+
+describe("SatelliteProperties footprint", () => {
+  const time = JulianDate.fromDate(new Date("2018-12-09T12:00:00Z"));
+  // Satellite at a fixed distance from the center of the Earth
+  const propsAt = (radius) => {
+    const props = new SatelliteProperties(tle);
+    props.position = () => new Cartesian3(radius, 0, 0);
+    return props;
+  };
+
+  it("computes the radius of the area seen above the horizon", () => {
+    // A geostationary satellite sees up to 81.3 degrees from the sub-satellite point
+    expect(propsAt(42164000).footprintRadius(time, 0) / 6378137).toBeCloseTo((81.2995 * Math.PI) / 180, 5);
+    expect(propsAt(42164000).footprintRadius(time, 0)).toBeCloseTo(9050217, -1);
+    expect(propsAt(6786137).footprintRadius(time, 0)).toBeCloseTo(2222941, -1);
+  });
+
+  it("shrinks the footprint with the minimum elevation", () => {
+    const props = propsAt(6786137);
+    expect(props.footprintElevation).toBe(10);
+    expect(props.footprintRadius(time)).toBeCloseTo(1362685, -1);
+    expect(props.footprintRadius(time, 10)).toBe(props.footprintRadius(time));
+    expect(propsAt(42164000).footprintRadius(time, 5)).toBeCloseTo(8497334, -1);
+  });
+
+  it("has no footprint without a position or at the zenith", () => {
+    expect(propsAt(6786137).footprintRadius(time, 90)).toBeUndefined();
+    const props = new SatelliteProperties(tle);
+    props.position = () => undefined;
+    expect(props.footprintRadius(time, 0)).toBeUndefined();
+  });
+});
+
+describe("SatelliteProperties illumination", () => {
+  it("looks up the shadow state in the eclipse intervals", () => {
+    const props = new SatelliteProperties(tle);
+    const start = JulianDate.fromDate(new Date("2018-12-09T12:00:00Z"));
+    expect(props.illumination(start)).toBe(props.orbit.shadowState(JulianDate.toDate(start)));
+    const eclipse = props.eclipses.find(({ umbraEnd }) => umbraEnd);
+    const spy = vi.spyOn(props.orbit, "shadowState");
+    const at = (ms) => JulianDate.fromDate(new Date(ms));
+    expect(props.illumination(at(eclipse.start - 1000))).toBe(Sun.SUNLIT);
+    expect(props.illumination(at(eclipse.start + 1000))).toBe(Sun.PENUMBRA);
+    expect(props.illumination(at((eclipse.umbraStart + eclipse.umbraEnd) / 2))).toBe(Sun.UMBRA);
+    expect(props.illumination(at(eclipse.end - 1000))).toBe(Sun.PENUMBRA);
+    expect(props.illumination(at(eclipse.end + 1000))).toBe(Sun.SUNLIT);
+    // The orbit is not propagated within the interval of the computed eclipses
+    expect(spy).not.toHaveBeenCalled();
+  });
+});
+
+describe("SatelliteProperties ground stations", () => {
+  const start = new Date("2018-12-09T00:00:00Z");
+  const end = new Date("2018-12-10T00:00:00Z");
+  const munich = { name: "Munich", position: { latitude: 48.177, longitude: 11.7476, height: 0 } };
+  const boulder = { name: "Boulder", position: { latitude: 40.015, longitude: -105.2705, height: 1655 } };
+
+  it("merges the passes over all ground stations", () => {
+    const props = new SatelliteProperties(tle);
+    props.groundStations = [munich, boulder];
+    const passes = props.computePasses(start, end, false);
+    [munich, boulder].forEach((groundStation) => {
+      const stationPasses = passes.filter((pass) => pass.groundStation === groundStation.name);
+      expect(stationPasses.map((pass) => pass.start)).toEqual(props.orbit.computePassesElevation(groundStation.position, start, end).map((pass) => pass.start));
+      stationPasses.forEach((pass) => expect(props.groundStationOf(pass)).toBe(groundStation));
+    });
+    passes.slice(1).forEach((pass, i) => {
+      expect(pass.start).toBeGreaterThanOrEqual(passes[i].start);
+    });
+  });
+
+  it("keeps the pass intervals per ground station", () => {
+    const props = new SatelliteProperties(tle);
+    props.groundStations = [munich, boulder];
+    props.passes = props.computePasses(start, end, false);
+    props.computePassIntervals();
+    expect([...props.passIntervals.keys()]).toEqual(["Munich", "Boulder"]);
+    expect(props.passIntervals.get("Munich").length).toBe(props.passes.filter((pass) => pass.groundStation === "Munich").length);
+    const [pass] = props.passes.filter((p) => p.groundStation === "Boulder");
+    const during = JulianDate.fromDate(new Date(pass.start + 1000));
+    expect(props.passIntervals.get("Boulder").contains(during)).toBe(true);
+  });
+});
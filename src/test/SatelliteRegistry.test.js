@@ -0,0 +1,50 @@
+/**
+ * SatelliteRegistry.test.js
+ *
+ * 该文件用于测试SatelliteRegistry类的条目校验和元数据查询，包括随应用发布的 data/satellites.json。
+ */
+import { describe, expect, it } from "vitest";
+import { Color } from "@cesium/engine";
+import { SatelliteRegistry } from "../modules/SatelliteRegistry";
+import registry from "../../data/satellites.json";
+
+describe("SatelliteRegistry", () => {
+  it("validates the entries", () => {
+    expect(() => new SatelliteRegistry([{ displayName: "A" }])).toThrow("Invalid satellite registry entry 0: either norad or pattern is required");
+    expect(() => new SatelliteRegistry([{ norad: 1, pattern: "A" }])).toThrow("either norad or pattern is required");
+    expect(() => new SatelliteRegistry([{ norad: 1 }, { norad: 2, color: "notacolor" }])).toThrow("Invalid satellite registry entry 1: unknown color notacolor");
+    expect(() => new SatelliteRegistry([{ norad: 1, swath: -5 }])).toThrow("swath must be positive");
+    expect(() => new SatelliteRegistry([{ norad: 1, sensors: [{ halfAngle: 95 }] }])).toThrow("Half-angle of sensor Sensor must be between 0 and 90 degrees");
+    expect(() => new SatelliteRegistry([{ norad: 1, frequencies: [{ frequency: 145.8e6, direction: "sideways" }] }])).toThrow("uplink or downlink direction");
+  });
+
+  it("merges the metadata of all matching entries with catalog numbers taking precedence", () => {
+    const satelliteRegistry = new SatelliteRegistry([
+      { norad: 25544, displayName: "ISS", color: "gold" },
+      { pattern: "^ISS", displayName: "Space station", operator: "NASA", swath: 10 },
+    ]);
+    const metadata = satelliteRegistry.lookup(25544, "ISS (ZARYA)");
+    expect(metadata.displayName).toBe("ISS");
+    expect(metadata.operator).toBe("NASA");
+    expect(metadata.swath).toBe(10);
+    expect(metadata.color).toEqual(Color.GOLD);
+    expect(satelliteRegistry.lookup(undefined, "ISS (NAUKA)")).toEqual({ displayName: "Space station", operator: "NASA", swath: 10 });
+    expect(satelliteRegistry.lookup(1, "HUBBLE")).toEqual({});
+  });
+
+  it("loads the bundled registry", () => {
+    const satelliteRegistry = new SatelliteRegistry(registry.satellites);
+    expect(satelliteRegistry.lookup(25544, "ISS (ZARYA)").displayName).toBe("ISS");
+    expect(satelliteRegistry.lookup(39634, "SENTINEL-1A").sensors[0].roll).toBe(33.5);
+    expect(satelliteRegistry.lookup(37849, "SUOMI NPP").swath).toBe(3000);
+  });
+
+  it("compares metadata by value", () => {
+    const a = new SatelliteRegistry([{ norad: 1, color: "red", sensors: [{ halfAngle: 10 }] }]).lookup(1, "A");
+    const b = new SatelliteRegistry([{ norad: 1, color: "#ff0000", sensors: [{ halfAngle: 10 }] }]).lookup(1, "A");
+    const c = new SatelliteRegistry([{ norad: 1, color: "red", sensors: [{ halfAngle: 20 }] }]).lookup(1, "A");
+    expect(SatelliteRegistry.equalMetadata(a, b)).toBe(true);
+    expect(SatelliteRegistry.equalMetadata(a, c)).toBe(false);
+    expect(SatelliteRegistry.equalMetadata({}, {})).toBe(true);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Sun.test.js
+ *
+ * 该文件用于测试Sun类的太阳位置、锥形地影模型和视星等估算，参考值为2024年的分至点和近远日点。
+ */
+import { describe, expect, it } from "vitest";
+import { Sun } from "../modules/Sun";
+
+const rad2deg = 180 / Math.PI;
+const astronomicalUnit = 149597870.7;
+const earthRadius = 6378.137;
+
+function norm(v) {
+  return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+function scale(v, factor) {
+  return { x: v.x * factor, y: v.y * factor, z: v.z * factor };
+}
+
+describe("Sun", () => {
+  it("crosses the equator at the March equinox", () => {
+    const sun = Sun.positionECI(new Date("2024-03-20T03:06:00Z"));
+    expect(Math.asin(sun.z / norm(sun)) * rad2deg).toBeCloseTo(0, 1);
+    // Vernal equinox direction
+    expect(sun.x / norm(sun)).toBeCloseTo(1, 4);
+  });
+
+  it("reaches the obliquity of the ecliptic at the June solstice", () => {
+    const sun = Sun.positionECI(new Date("2024-06-20T20:51:00Z"));
+    expect(Math.asin(sun.z / norm(sun)) * rad2deg).toBeCloseTo(23.44, 1);
+  });
+
+  it("computes the distance at perihelion and aphelion", () => {
+    expect(norm(Sun.positionECI(new Date("2024-01-02T23:38:00Z"))) / astronomicalUnit).toBeCloseTo(0.98331, 3);
+    expect(norm(Sun.positionECI(new Date("2024-07-05T05:06:00Z"))) / astronomicalUnit).toBeCloseTo(1.01673, 3);
+  });
+
+  it("determines the shadow state with a conical Earth shadow", () => {
+    const sun = Sun.positionECI(new Date("2024-03-20T03:06:00Z"));
+    const direction = scale(sun, 1 / norm(sun));
+    // Perpendicular to the direction of the Sun in the equatorial plane
+    const side = { x: -direction.y, y: direction.x, z: 0 };
+    const sideNorm = norm(side);
+
+    expect(Sun.shadowState(scale(direction, 7000), sun)).toBe(Sun.SUNLIT);
+    expect(Sun.shadowState(scale(side, 7000 / sideNorm), sun)).toBe(Sun.SUNLIT);
+    expect(Sun.shadowState(scale(direction, -7000), sun)).toBe(Sun.UMBRA);
+    // The umbra cone ends about 1.4 million km behind the Earth
+    expect(Sun.shadowState(scale(direction, -1e6), sun)).toBe(Sun.UMBRA);
+    expect(Sun.shadowState(scale(direction, -2e6), sun)).toBe(Sun.PENUMBRA);
+
+    // Just behind the Earth at the edge of the shadow the Sun is partially covered
+    const edge = {
+      x: -7000 * direction.x + (earthRadius * side.x) / sideNorm,
+      y: -7000 * direction.y + (earthRadius * side.y) / sideNorm,
+      z: -7000 * direction.z,
+    };
+    expect(Sun.shadowState(edge, sun)).toBe(Sun.PENUMBRA);
+  });
+
+  it("estimates the visual magnitude of a diffusely reflecting sphere", () => {
+    // Standard magnitude at 1000 km and 90 degrees phase angle
+    expect(Sun.visualMagnitude(4, 1000, Math.PI / 2)).toBeCloseTo(4, 6);
+    // Full phase is PI times brighter than half phase
+    expect(Sun.visualMagnitude(4, 1000, 0)).toBeCloseTo(4 - 2.5 * Math.log10(Math.PI), 6);
+    expect(Sun.visualMagnitude(4, 1000, 0)).toBeCloseTo(2.757, 3);
+    // Twice the range is 5 log10(2) fainter
+    expect(Sun.visualMagnitude(4, 2000, Math.PI / 2)).toBeCloseTo(5.505, 3);
+    expect(Sun.visualMagnitude(4, 1000, Math.PI)).toBeGreaterThan(15);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * TleParser.test.js
+ *
+ * 该文件用于测试TleParser类的TLE解析、校验和计算以及字段校验。
+ */
+import { describe, expect, it } from "vitest";
+import { TleParser } from "../modules/util/TleParser";
+
+const line1 = "1 25544U 98067A   08264.51782528 -.00002182  00000-0 -11606-4 0  2927";
+const line2 = "2 25544  51.6416 247.4627 0006703 130.5360 325.0288 15.72125391563537";
+
+describe("TleParser", () => {
+  it("computes the modulo 10 checksum of a line", () => {
+    expect(TleParser.checksum(line1)).toBe(7);
+    expect(TleParser.checksum(line2)).toBe(7);
+  });
+
+  it("parses 3LE and 2LE records with mixed line endings and blank lines", () => {
+    const data = `0 ISS (ZARYA)\r\n${line1}  \r\n${line2}\n\n${line1}\r${line2}\n`;
+    const { records, errors } = TleParser.parse(data, "stations.txt");
+    expect(errors).toEqual([]);
+    expect(records).toEqual([
+      { name: "ISS (ZARYA)", satnum: "25544", tle: ["ISS (ZARYA)", line1, line2].join("\n"), line: 1 },
+      { name: "25544", satnum: "25544", tle: ["25544", line1, line2].join("\n"), line: 5 },
+    ]);
+  });
+
+  it("rejects records with checksum errors and keeps the valid ones", () => {
+    const corrupted = `${line2.substring(0, 68)}0`;
+    const { records, errors } = TleParser.parse(`BROKEN\n${line1}\n${corrupted}\nISS (ZARYA)\n${line1}\n${line2}`, "stations.txt");
+    expect(records.map(({ name }) => name)).toEqual(["ISS (ZARYA)"]);
+    expect(errors).toEqual([{
+      file: "stations.txt",
+      line: 2,
+      name: "BROKEN",
+      message: "Checksum mismatch in line 2: expected 7, got 0",
+    }]);
+  });
+
+  it("reports incomplete records with their line number", () => {
+    const { records, errors } = TleParser.parse(`ISS (ZARYA)\n${line1}\nDANGLING NAME\n${line2}\n`);
+    expect(records).toEqual([]);
+    expect(errors.map(({ line, name, message }) => [line, name, message])).toEqual([
+      [2, "ISS (ZARYA)", "Line 1 without matching line 2"],
+      [4, "DANGLING NAME", "Line 2 without preceding line 1"],
+    ]);
+  });
+
+  it("validates the length, catalog number and field ranges", () => {
+    expect(TleParser.validate(line1, line2)).toBeUndefined();
+    expect(TleParser.validate(line1.substring(0, 68), line2)).toBe("Invalid length 68 of line 1, expected 69");
+
+    const otherSatnum = `2 25545${line2.substring(7, 68)}`;
+    expect(TleParser.validate(line1, `${otherSatnum}${TleParser.checksum(otherSatnum)}`))
+      .toBe("Catalog number mismatch between line 1 (25544) and line 2 (25545)");
+
+    const inclination = `${line2.substring(0, 8)}181.0000${line2.substring(16, 68)}`;
+    expect(TleParser.validate(line1, `${inclination}${TleParser.checksum(inclination)}`))
+      .toBe("inclination 181 out of range [0, 180] in line 2");
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * WalkerConstellation.test.js
+ *
+ * 该文件用于测试WalkerConstellation类生成的轨道根数，参考Galileo（56°: 24/3/1）和Iridium（86.4°: 66/6/2）星座。
+ */
+import { describe, expect, it } from "vitest";
+import { WalkerConstellation } from "../modules/WalkerConstellation";
+import { KeplerianPropagator } from "../modules/util/KeplerianPropagator";
+
+const galileo = { total: 24, planes: 3, phasing: 1, altitude: 23222, inclination: 56 };
+
+describe("WalkerConstellation", () => {
+  it("spreads the planes of a delta constellation over 360 degrees", () => {
+    const satellites = WalkerConstellation.generate("GAL", galileo);
+    expect(satellites).toHaveLength(24);
+    expect([...new Set(satellites.map(({ elements }) => elements.raan))]).toEqual([0, 120, 240]);
+    satellites.forEach(({ elements }) => {
+      expect(elements.semiMajorAxis).toBeCloseTo(KeplerianPropagator.earthRadius + 23222, 6);
+      expect(elements.eccentricity).toBe(0);
+      expect(elements.inclination).toBe(56);
+    });
+  });
+
+  it("spaces the satellites within a plane and shifts adjacent planes by the phasing", () => {
+    const satellites = WalkerConstellation.generate("GAL", galileo);
+    const plane = (index) => satellites.slice(index * 8, index * 8 + 8).map(({ elements }) => elements.meanAnomaly);
+    expect(plane(0)).toEqual([0, 45, 90, 135, 180, 225, 270, 315]);
+    // F * 360 / T = 15 degrees per plane
+    expect(plane(1)).toEqual([15, 60, 105, 150, 195, 240, 285, 330]);
+    expect(plane(2)).toEqual([30, 75, 120, 165, 210, 255, 300, 345]);
+  });
+
+  it("spreads the planes of a star constellation over 180 degrees", () => {
+    const satellites = WalkerConstellation.generate("IRIDIUM", {
+      total: 66, planes: 6, phasing: 2, altitude: 780, inclination: 86.4, type: WalkerConstellation.STAR, raan: 350,
+    });
+    expect([...new Set(satellites.map(({ elements }) => elements.raan))]).toEqual([350, 20, 50, 80, 110, 140]);
+  });
+
+  it("names the satellites by plane and position in the plane", () => {
+    const names = WalkerConstellation.generate("GAL", galileo).map(({ name }) => name);
+    expect(names.slice(0, 2)).toEqual(["GAL 01-01", "GAL 01-02"]);
+    expect(names[names.length - 1]).toBe("GAL 03-08");
+    expect(new Set(names).size).toBe(24);
+  });
+
+  it("validates the parameters", () => {
+    expect(() => WalkerConstellation.generate("A", { ...galileo, total: 25 })).toThrow("multiple of the number of planes");
+    expect(() => WalkerConstellation.generate("A", { ...galileo, planes: 0 })).toThrow("positive integers");
+    expect(() => WalkerConstellation.generate("A", { ...galileo, phasing: 3 })).toThrow("Phasing must be an integer between 0 and 2");
+    expect(() => WalkerConstellation.generate("A", { ...galileo, altitude: -1 })).toThrow("Altitude must be positive");
+    expect(() => WalkerConstellation.generate("A", { ...galileo, inclination: 190 })).toThrow("Inclination must be between 0 and 180 degrees");
+    expect(() => WalkerConstellation.generate("A", { ...galileo, type: "rosette" })).toThrow("Unknown constellation type rosette");
+  });
+});
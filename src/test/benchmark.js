@@ -3,6 +3,7 @@
  *
  * 该文件定义了一个测试函数，用于测试卫星显示的性能。
  * 该函数通过在浏览器控制台中运行，测试不同组件和卫星数量的性能。
+ * 另外比较在主线程和Web Worker中计算卫星位置时，启用卫星所需的时间和界面最长的卡顿时间。
  */
 // Paste into browser console in a clean session without satellites visible
 cc.enablePerformanceStats();
@@ -35,6 +36,52 @@ async function logPerformance() {
   );
 }
 
+// Measure the time until all enabled satellites are sampled and the longest gap between frames in the meantime
+async function logPropagationPerformance(satelliteCount) {
+  let longestFrameGap = 0;
+  let lastFrame = performance.now();
+  let measuring = true;
+  const onFrame = (now) => {
+    longestFrameGap = Math.max(longestFrameGap, now - lastFrame);
+    lastFrame = now;
+    if (measuring) {
+      requestAnimationFrame(onFrame);
+    }
+  };
+  requestAnimationFrame(onFrame);
+
+  const start = performance.now();
+  cc.sats.enabledComponents = ["Point"];
+  cc.sats.enabledSatellites = cc.sats.getSatellitesWithTag(satelliteTag).slice(0, satelliteCount).map((sat) => sat.props.name);
+  while (cc.sats.activeSatellites.some((sat) => !sat.props.sampledPosition?.ready)) {
+    // eslint-disable-next-line no-await-in-loop
+    await sleep(0.05);
+  }
+  const duration = performance.now() - start;
+  measuring = false;
+  console.log(
+    `Workers: ${cc.sats.propagationWorkers ? "on " : "off"};`,
+    `Satellites: ${satelliteCount.toString().padStart(5)};`,
+    `Sampled after: ${duration.toFixed(0).padStart(6)} ms;`,
+    `Longest frame gap: ${longestFrameGap.toFixed(0).padStart(6)} ms;`,
+  );
+  cc.sats.enabledSatellites = [];
+  await sleep(1);
+}
+
+async function testPropagation() {
+  // eslint-disable-next-line no-restricted-syntax
+  for (const workers of [false, true]) {
+    cc.sats.propagationWorkers = workers;
+    // eslint-disable-next-line no-restricted-syntax
+    for (const satelliteCount of satelliteCounts.slice(1)) {
+      // eslint-disable-next-line no-await-in-loop
+      await logPropagationPerformance(satelliteCount);
+    }
+  }
+  cc.sats.propagationWorkers = true;
+}
+
 async function test() {
   // eslint-disable-next-line no-restricted-syntax
   for (const components of componentTests) {
@@ -49,4 +96,4 @@ async function test() {
     cc.sats.enabledSatellites = [];
   }
 }
-test();
+testPropagation().then(test);
@@ -0,0 +1,6 @@
+/**
+ * setup.js
+ *
+ * 该文件在每个单元测试文件之前运行，设置Cesium资源的路径（与webpack配置中的CESIUM_BASE_URL相同）。
+ */
+window.CESIUM_BASE_URL = "cesium/";
@@ -0,0 +1,29 @@
+/**
+ * vitest.config.mjs
+ *
+ * 该文件定义了 vitest 的配置，用于运行 src/test 目录下的单元测试（*.test.js）。
+ * 单元测试在 happy-dom 模拟的浏览器环境中运行，端到端测试位于 cypress 目录中。
+ * 与 webpack 配置相同，Cesium 的资源位于 cesium/ 路径下（见 src/test/setup.js），由 happy-dom 的虚拟服务器从 node_modules 中提供。
+ */
+import { fileURLToPath } from "node:url";
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  test: {
+    include: ["src/test/**/*.test.js"],
+    environment: "happy-dom",
+    setupFiles: ["src/test/setup.js"],
+    environmentOptions: {
+      happyDOM: {
+        settings: {
+          fetch: {
+            virtualServers: [{
+              url: "http://localhost:3000/cesium/",
+              directory: fileURLToPath(new URL("node_modules/@cesium/engine/Source/", import.meta.url)),
+            }],
+          },
+        },
+      },
+    },
+  },
+});
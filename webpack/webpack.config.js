@@ -185,7 +185,7 @@ module.exports = {
         /cesium\/Assets\/.*\.png$/,
         /cesium\/Assets\/.*\.xml$/,
         /cesium\/Assets\/approximateTerrainHeights\.json$/,
-        /data\/tle\/.*\.txt$/,
+        /data\/tle\/.*\.(txt|json|xml|csv)$/,
         /site\.webmanifest$/,
       ],
       exclude: [